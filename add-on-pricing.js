@@ -0,0 +1,114 @@
+// Add-On Pricing for Warnke Windows WindowVisor Dashboard
+// This file prices grids, grid placement, mull configuration and jamb extensions
+
+import { parseMeasurement, formatMeasurement } from './measurement-utils';
+import { roundCurrency } from './currency-utils';
+
+// Grid patterns from the workbook's "G: Grids" list (price per window)
+export const GRID_PATTERNS = [
+  { id: 'none', name: 'None', price: 0 },
+  { id: 'colonial', name: 'Colonial', price: 45 },
+  { id: 'prairie', name: 'Prairie', price: 55 },
+  { id: 'diamond', name: 'Diamond', price: 85 },
+  { id: 'victorian', name: 'Victorian', price: 75 },
+  { id: 'farmhouse', name: 'Farmhouse', price: 50 }
+];
+
+// Grid placements from the workbook's "H: Grid Placement" list (multiplier on the grid price)
+export const GRID_PLACEMENTS = [
+  { id: 'between-glass', name: 'Between Glass', multiplier: 1.0 },
+  { id: 'exterior-applied', name: 'Exterior Applied', multiplier: 1.35 },
+  { id: 'interior-applied', name: 'Interior Applied', multiplier: 1.15 },
+  { id: 'sdl', name: 'Simulated Divided Lite (SDL)', multiplier: 1.9 }
+];
+
+// Mull configurations from the workbook's "I: Mull Configuration" list
+export const MULL_CONFIGURATIONS = [
+  { id: 'single', name: 'Single Wide', units: 1 },
+  { id: '2-wide', name: '2-Wide', units: 2 },
+  { id: '3-wide', name: '3-Wide', units: 3 },
+  { id: '4-wide', name: '4-Wide', units: 4 }
+];
+
+// Price per mull joint between units
+const MULL_JOINT_PRICE = 95;
+
+// Jamb depth included in the base price, and the charge for deeper jambs
+// per linear foot of frame perimeter per inch of extra depth
+export const STANDARD_JAMB_DEPTH = 4.5625; // 4-9/16"
+const JAMB_EXTENSION_RATE = 2.5;
+
+/**
+ * Price the add-ons selected in a window's options
+ * @param {Object} options - gridPattern, gridPlacement, mullConfiguration and jambDepth
+ * @param {Object} measurements - Width, height (inches), quantity and perimeter for shaped windows
+ * @returns {Object} - Itemized add-ons with per-window and total prices
+ */
+export function priceAddOns(options, measurements) {
+  const quantity = measurements.quantity || 1;
+  const items = [];
+
+  const grid = findOption(GRID_PATTERNS, options.gridPattern);
+  if (grid && grid.price > 0) {
+    const placement = findOption(GRID_PLACEMENTS, options.gridPlacement) || GRID_PLACEMENTS[0];
+    items.push({
+      id: 'grids',
+      label: `${grid.name} grids, ${placement.name}`,
+      pricePerWindow: roundCurrency(grid.price * placement.multiplier)
+    });
+  }
+
+  const mull = findOption(MULL_CONFIGURATIONS, options.mullConfiguration);
+  if (mull && mull.units > 1) {
+    items.push({
+      id: 'mull',
+      label: `${mull.name} mull (${mull.units - 1} joint${mull.units > 2 ? 's' : ''})`,
+      pricePerWindow: roundCurrency((mull.units - 1) * MULL_JOINT_PRICE)
+    });
+  }
+
+  const jambDepth = parseMeasurement(options.jambDepth);
+  if (jambDepth !== null && jambDepth > STANDARD_JAMB_DEPTH) {
+    // Shaped windows carry their own perimeter
+    const perimeterFeet = (measurements.perimeter || 2 * (measurements.width + measurements.height)) / 12;
+    items.push({
+      id: 'jamb-extension',
+      label: `${formatMeasurement(jambDepth, 'dash')} jamb depth`,
+      pricePerWindow: roundCurrency(perimeterFeet * (jambDepth - STANDARD_JAMB_DEPTH) * JAMB_EXTENSION_RATE)
+    });
+  }
+
+  const pricedItems = items.map(item => ({
+    ...item,
+    totalPrice: roundCurrency(item.pricePerWindow * quantity)
+  }));
+
+  return {
+    items: pricedItems,
+    pricePerWindow: roundCurrency(pricedItems.reduce((total, item) => total + item.pricePerWindow, 0)),
+    totalPrice: roundCurrency(pricedItems.reduce((total, item) => total + item.totalPrice, 0))
+  };
+}
+
+/**
+ * Get the per-window grid price for a pattern and placement
+ * @param {string} gridPattern - Grid pattern ID
+ * @param {string} gridPlacement - Grid placement ID
+ * @returns {number} - Price per window
+ */
+export function getGridPrice(gridPattern, gridPlacement) {
+  const grid = findOption(GRID_PATTERNS, gridPattern);
+  const placement = findOption(GRID_PLACEMENTS, gridPlacement) || GRID_PLACEMENTS[0];
+
+  return grid ? roundCurrency(grid.price * placement.multiplier) : 0;
+}
+
+/**
+ * Find an option by ID
+ * @param {Array} list - Option list
+ * @param {string} id - Option ID
+ * @returns {Object|undefined} - Option
+ */
+function findOption(list, id) {
+  return list.find(option => option.id === id);
+}
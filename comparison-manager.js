@@ -11,9 +11,28 @@ import {
 
 import { getQuoteDetails, getQuoteItems } from './quoteManager';
 import { getProducts, matchProduct } from './productManager';
-import { calculatePrice } from '../window-calculator';
+import { calculateProjectPrice, calculateAssemblyPrice, calculatePackagePrices } from '../window-calculator';
+import { buildAssembly, findAssemblyType } from '../window-assemblies';
+import { appendTraceSteps } from '../price-trace';
+import { getItemAttributes, describeItemAttributes } from '../quote-item-attributes';
+import { isWindowLine, summarizeQuoteCharges } from '../quote-charges';
+import { GRID_PATTERNS, GRID_PLACEMENTS, MULL_CONFIGURATIONS } from '../add-on-pricing';
+import { applyPricingAdjustments } from '../pricing-adjustments';
+import { getQuantityDiscountLines } from '../project-pricing';
+import { getEffectivePricingMatrix } from './priceBookManager';
+import { canMemberViewMargins, hidePriceMargins } from './marginManager';
+import { getPriceBookVersion } from '../pricing-matrix';
+import {
+  calculateLineMargin,
+  calculateProjectMargin,
+  calculateMargin,
+  checkMarginFloor
+} from '../margin-calculator';
+import { estimateEnergySavings, estimateProjectEnergySavings, findClimateZone, getWindowArea } from '../energy-performance';
+import { roundCurrency } from '../currency-utils';
 
 // Collection names
+const PROJECTS_COLLECTION = 'Projects';
 const QUOTES_COLLECTION = 'CompetitorQuotes';
 const COMPARISONS_COLLECTION = 'Comparisons';
 const COMPARISON_ITEMS_COLLECTION = 'ComparisonItems';
@@ -23,93 +42,263 @@ const PRODUCTS_COLLECTION = 'WarnkeProducts';
  * Generate a comparison for a quote
  * @param {string} quoteId - The quote ID
  * @param {string} projectId - The project ID
+ * @param {Object} adjustments - Optional rep discounts and promotions for the Warnke price
  * @returns {Promise<Object>} - Generated comparison with items
  */
-export async function generateComparison(quoteId, projectId) {
+export async function generateComparison(quoteId, projectId, adjustments = {}) {
   try {
-    // Get quote details and items
-    const [quote, quoteItems, products] = await Promise.all([
-      getQuoteDetails(quoteId),
-      getQuoteItems(quoteId),
-      getProducts()
-    ]);
+    return await hideMarginsFromMember(await createPricedComparison(quoteId, projectId, adjustments));
+  } catch (error) {
+    console.error('Failed to generate comparison:', error);
+    throw new Error('Failed to generate comparison. Please try again.');
+  }
+}
+
+/**
+ * Reprice a comparison under the price book in effect today
+ * The original comparison is left as it was priced; the repriced copy is a new comparison
+ * @param {string} comparisonId - The comparison ID
+ * @returns {Promise<Object>} - Repriced comparison with items
+ */
+export async function repriceComparison(comparisonId) {
+  try {
+    const original = await getDocument(COMPARISONS_COLLECTION, comparisonId);
     
-    // Create comparison record
-    const now = new Date();
+    if (!original) {
+      throw new Error('Comparison not found');
+    }
     
-    const comparisonData = {
-      projectId,
-      quoteId,
-      competitorName: quote.competitorName,
-      totalCompetitorPrice: quote.totalAmount,
-      totalWarnkePrice: 0, // To be calculated
-      savingsAmount: 0, // To be calculated
-      savingsPercentage: 0, // To be calculated
-      status: 'generated',
-      createdAt: now,
-      updatedAt: now,
-      comparisonId: generateId()
-    };
+    return await hideMarginsFromMember(await createPricedComparison(
+      original.quoteId,
+      original.projectId,
+      original.adjustmentInputs || {},
+      {
+        repricedFromComparisonId: original.comparisonId,
+        repricedFromPriceBookVersion: original.priceBookVersion || null
+      }
+    ));
+  } catch (error) {
+    console.error('Failed to reprice comparison:', error);
+    throw new Error('Failed to reprice comparison. Please try again.');
+  }
+}
+
+/**
+ * Price a comparison's windows under every Good/Better/Best package
+ * Packages are priced with the price book the comparison was priced with. Bay, bow and garden
+ * windows and mulled units are left out: packages price single windows, and the assemblies keep
+ * the prices they were compared at
+ * @param {string} comparisonId - The comparison ID
+ * @returns {Promise<Object>} - Package calculation ({ results: { columns, rows, excludedItemIds }, error }),
+ *                              without margins for members who can't view them
+ */
+export async function priceComparisonPackages(comparisonId) {
+  try {
+    const comparison = await getDocument(COMPARISONS_COLLECTION, comparisonId);
     
-    const comparison = await createDocument(COMPARISONS_COLLECTION, comparisonData);
+    if (!comparison) {
+      throw new Error('Comparison not found');
+    }
     
-    // Generate comparison items
-    const comparisonItems = await generateComparisonItems(comparison.comparisonId, quoteItems, products);
+    const { items } = await queryDocuments(COMPARISON_ITEMS_COLLECTION)
+      .eq('comparisonId', comparisonId)
+      .find();
     
-    // Calculate total Warnke price and savings
-    const totalWarnkePrice = comparisonItems.reduce((total, item) => total + item.warnkePrice, 0);
-    const savingsAmount = quote.totalAmount - totalWarnkePrice;
-    const savingsPercentage = quote.totalAmount > 0 ? (savingsAmount / quote.totalAmount) * 100 : 0;
+    const isAssembly = item => Boolean(findAssemblyType(item.warnkeOptionValues || {}));
+    const windowItems = items.filter(item => !isAssembly(item));
+    const excludedItemIds = items.filter(isAssembly).map(item => item.comparisonItemId);
     
-    // Update comparison with calculated values
-    const updatedComparison = await updateDocument(COMPARISONS_COLLECTION, {
-      ...comparison,
-      totalWarnkePrice,
-      savingsAmount,
-      savingsPercentage,
-      updatedAt: now
-    });
+    if (windowItems.length === 0) {
+      return { results: null, error: 'Packages price single windows, and this comparison only has bay, bow, garden or mulled units.' };
+    }
+    
+    // Price the competitor's window sizes with the options each was compared with
+    const matrix = await getEffectivePricingMatrix(comparison.pricedAt || new Date());
+    const calculation = await calculatePackagePrices(windowItems.map(item => ({
+      lineId: item.comparisonItemId,
+      measurements: { width: item.width, height: item.height, quantity: item.quantity },
+      options: item.warnkeOptionValues || {}
+    })), undefined, undefined, matrix);
+    
+    if (!calculation.results) {
+      return calculation;
+    }
+    
+    if (await canMemberViewMargins()) {
+      return { ...calculation, results: { ...calculation.results, excludedItemIds } };
+    }
     
     return {
-      comparison: updatedComparison,
-      items: comparisonItems
+      ...calculation,
+      results: {
+        ...calculation.results,
+        excludedItemIds,
+        columns: calculation.results.columns.map(hidePriceMargins),
+        rows: calculation.results.rows.map(row => ({ ...row, cells: row.cells.map(hidePriceMargins) }))
+      }
     };
   } catch (error) {
-    console.error('Failed to generate comparison:', error);
-    throw new Error('Failed to generate comparison. Please try again.');
+    console.error('Failed to price packages:', error);
+    throw new Error('Failed to price packages. Please try again.');
   }
 }
 
+/**
+ * Price a quote under the current price book and save it as a new comparison
+ * @param {string} quoteId - The quote ID
+ * @param {string} projectId - The project ID
+ * @param {Object} adjustments - Rep discounts and promotions for the Warnke price
+ * @param {Object} extraFields - Additional fields for the comparison record
+ * @returns {Promise<Object>} - Comparison with items
+ */
+async function createPricedComparison(quoteId, projectId, adjustments, extraFields = {}) {
+  // Get quote details, items and the project (for its sales tax address)
+  const [quote, quoteItems, products, project] = await Promise.all([
+    getQuoteDetails(quoteId),
+    getQuoteItems(quoteId),
+    getProducts(),
+    getDocument(PROJECTS_COLLECTION, projectId)
+  ]);
+  
+  // Create comparison record, priced with the price book in effect today
+  const now = new Date();
+  const matrix = await getEffectivePricingMatrix(now);
+  const priceBookVersion = getPriceBookVersion(matrix);
+  
+  const comparisonData = {
+    ...extraFields,
+    projectId,
+    quoteId,
+    competitorName: quote.competitorName,
+    totalCompetitorPrice: quote.totalAmount,
+    // The competitor's windows subtotal and fees, tax and discounts, kept apart from window prices
+    competitorCharges: summarizeQuoteCharges(quoteItems),
+    totalWarnkePrice: 0, // To be calculated
+    savingsAmount: 0, // To be calculated
+    savingsPercentage: 0, // To be calculated
+    status: 'generated',
+    priceBookVersion,
+    pricedAt: now,
+    adjustmentInputs: adjustments,
+    createdAt: now,
+    updatedAt: now,
+    comparisonId: generateId()
+  };
+  
+  const comparison = await createDocument(COMPARISONS_COLLECTION, comparisonData);
+  
+  // Generate comparison items
+  const climateZone = adjustments.climateZone ||
+    findClimateZone(adjustments.address || (project && project.customerAddress));
+  const { comparisonItems, quantityDiscount } = await generateComparisonItems(
+    comparison.comparisonId,
+    quoteItems.filter(isWindowLine),
+    products,
+    climateZone,
+    matrix
+  );
+  
+  // Calculate total Warnke price with installation, the quantity discount, promotions, discounts and sales tax,
+  // then savings
+  const warnkeSubtotal = comparisonItems.reduce((total, item) => total + item.warnkePrice, 0);
+  const warnkeInstallation = comparisonItems.reduce((total, item) => total + (item.warnkeLaborPrice || 0), 0);
+  const warnkeAdjustments = applyPricingAdjustments({
+    subtotal: warnkeSubtotal,
+    installation: warnkeInstallation,
+    windows: comparisonItems.map(item => ({
+      pricePerWindow: item.quantity > 0 ? item.warnkePrice / item.quantity : item.warnkePrice,
+      quantity: item.quantity
+    })),
+    lines: getQuantityDiscountLines(quantityDiscount)
+  }, {
+    ...adjustments,
+    address: adjustments.address || (project && project.customerAddress)
+  });
+  const totalWarnkePrice = warnkeAdjustments.grandTotal;
+  const margin = calculateComparisonMargin(comparisonItems, totalWarnkePrice - warnkeAdjustments.taxAmount);
+  // The floor is checked on the comparison's own adjusted total; a blocked price is kept but can't be offered
+  const floorViolation = margin ? checkMarginFloor(margin) : null;
+  const marginBlocked = Boolean(floorViolation && floorViolation.blocked);
+  const energy = estimateComparisonEnergy(comparisonItems, climateZone, totalWarnkePrice);
+  // Savings compare windows with windows: the competitor's fees, tax and discounts have no Warnke counterpart
+  const competitorWindows = comparison.competitorCharges.windowsSubtotal;
+  const savingsAmount = roundCurrency(competitorWindows - warnkeSubtotal);
+  const savingsPercentage = competitorWindows > 0 ? (savingsAmount / competitorWindows) * 100 : 0;
+  
+  // Update comparison with calculated values
+  const updatedComparison = await updateDocument(COMPARISONS_COLLECTION, {
+    ...comparison,
+    warnkeSubtotal,
+    warnkeInstallation: roundCurrency(warnkeInstallation),
+    quantityDiscount,
+    warnkeAdjustments,
+    totalWarnkePrice,
+    margin,
+    energy,
+    marginWarning: floorViolation ? floorViolation.message : null,
+    marginBlocked,
+    status: marginBlocked ? 'below-margin-floor' : comparison.status,
+    savingsAmount,
+    savingsPercentage,
+    updatedAt: now
+  });
+  
+  return {
+    comparison: updatedComparison,
+    items: comparisonItems
+  };
+}
+
 /**
  * Generate comparison items
  * @param {string} comparisonId - The comparison ID
  * @param {Array} quoteItems - The quote items
  * @param {Array} products - The products catalog
- * @returns {Promise<Array>} - Generated comparison items
+ * @param {string} climateZone - Climate zone for energy estimates
+ * @param {Object} matrix - Pricing matrix in effect for the comparison
+ * @returns {Promise<Object>} - Generated comparison items, and the quantity discount on their windows
  */
-async function generateComparisonItems(comparisonId, quoteItems, products) {
+async function generateComparisonItems(comparisonId, quoteItems, products, climateZone, matrix) {
   const comparisonItems = [];
+  const matchedItems = [];
   
+  // Match every quote item first so the whole quote is priced in one call
   for (const quoteItem of quoteItems) {
     try {
-      // Match with Warnke product
-      const matchedProduct = matchProduct(quoteItem, products);
-      
-      // Calculate Warnke price
-      const priceCalculation = await calculateWarnkePrice(quoteItem, matchedProduct);
-      
+      matchedItems.push({ quoteItem, matchedProduct: matchProduct(quoteItem, products) });
+    } catch (error) {
+      console.error('Failed to match quote item:', error);
+      // Continue with other items
+    }
+  }
+  
+  const { priceCalculations, quantityDiscount } = await calculateWarnkePrices(matchedItems, matrix);
+  
+  for (let index = 0; index < matchedItems.length; index++) {
+    const { quoteItem, matchedProduct } = matchedItems[index];
+    const priceCalculation = priceCalculations[index];
+    
+    try {
       // Create comparison item
       const comparisonItem = {
         comparisonId,
         quoteItemId: quoteItem.itemId,
         competitorProductDescription: quoteItem.description,
-        competitorOptions: extractOptions(quoteItem.description),
+        competitorOptions: describeItemAttributes(getItemAttributes(quoteItem)),
+        competitorAttributes: getItemAttributes(quoteItem),
         competitorPrice: quoteItem.totalPrice,
         warnkeProductId: matchedProduct.productId,
         warnkeProductName: matchedProduct.productName,
         warnkeProductDescription: matchedProduct.description,
         warnkeOptions: formatOptions(priceCalculation.options),
+        warnkeOptionValues: priceCalculation.options,
         warnkePrice: priceCalculation.totalPrice,
+        warnkeLaborPrice: priceCalculation.laborPrice,
+        warnkeAssembly: priceCalculation.assembly || null,
+        priceTrace: priceCalculation.trace,
+        priceBookVersion: priceCalculation.priceBookVersion,
+        margin: priceCalculation.margin,
+        energy: getItemEnergy(quoteItem, priceCalculation, climateZone),
         width: quoteItem.widthInches,
         height: quoteItem.heightInches,
         quantity: quoteItem.quantity,
@@ -130,69 +319,294 @@ async function generateComparisonItems(comparisonId, quoteItems, products) {
     }
   }
   
-  return comparisonItems;
+  return { comparisonItems, quantityDiscount };
 }
 
 /**
- * Calculate Warnke Windows price for a window
- * @param {Object} quoteItem - The quote item
- * @param {Object} matchedProduct - The matched Warnke product
- * @returns {Promise<Object>} - Price calculation result
+ * Calculate Warnke Windows prices for all matched quote items
+ * Single windows are priced in one request; bay, bow and garden windows and mulled units
+ * are priced as assemblies laid out to fit the quoted size
+ * @param {Array} matchedItems - Quote items with their matched Warnke products
+ * @param {Object} matrix - Pricing matrix to price with
+ * @returns {Promise<Object>} - Price calculation results, in the same order, and the project's quantity
+ *                              discount on the single windows (not yet taken off their prices)
  */
-async function calculateWarnkePrice(quoteItem, matchedProduct) {
-  try {
-    // Extract width, height, and quantity
-    const { widthInches, heightInches, quantity } = quoteItem;
+async function calculateWarnkePrices(matchedItems, matrix) {
+  if (matchedItems.length === 0) {
+    return { priceCalculations: [], quantityDiscount: null };
+  }
+  
+  const lineItems = matchedItems.map(({ quoteItem, matchedProduct }) => ({
+    lineId: quoteItem.itemId,
+    measurements: {
+      width: quoteItem.widthInches,
+      height: quoteItem.heightInches,
+      quantity: quoteItem.quantity
+    },
+    options: getWarnkeOptions(quoteItem, matchedProduct)
+  }));
+  
+  const assemblyTypes = lineItems.map(lineItem => findAssemblyType(lineItem.options));
+  const windowLineItems = lineItems.filter((lineItem, index) => !assemblyTypes[index]);
+  let lines = [];
+  let quantityDiscount = null;
+  
+  if (windowLineItems.length > 0) {
+    const calculation = await calculateProjectPrice(windowLineItems, undefined, matrix);
+    
+    // The comparison checks the margin floor on its own total, so prices the calculator blocked are still used
+    const results = calculation.results || calculation.blockedResults;
     
-    // Map window type
-    const windowType = mapWindowType(matchedProduct.productName);
+    if (!results) {
+      console.error('Failed to calculate Warnke prices:', calculation.error);
+    }
     
-    // Map material
-    const material = mapMaterial(matchedProduct.materialType);
+    lines = results ? results.lines : [];
+    quantityDiscount = results ? results.quantityDiscount : null;
+  }
+  
+  const priceCalculations = [];
+  
+  for (let index = 0; index < matchedItems.length; index++) {
+    const { quoteItem, matchedProduct } = matchedItems[index];
     
-    // Map glass type
-    const glassType = mapGlassType(quoteItem.description);
+    if (assemblyTypes[index]) {
+      priceCalculations.push(await calculateAssemblyWarnkePrice(lineItems[index], assemblyTypes[index], matrix) ||
+        getFallbackPrice(quoteItem, matchedProduct));
+      continue;
+    }
     
-    // Calculate price
-    const measurements = {
-      width: widthInches,
-      height: heightInches,
-      quantity
-    };
+    const line = lines[windowLineItems.indexOf(lineItems[index])];
     
-    const options = {
-      windowType,
-      material,
-      glassType
-    };
+    if (!line || line.error) {
+      priceCalculations.push(getFallbackPrice(quoteItem, matchedProduct));
+      continue;
+    }
     
-    const calculation = await calculatePrice(measurements, options);
+    priceCalculations.push({
+      totalPrice: line.totalPrice,
+      pricePerWindow: line.pricePerWindow,
+      basePrice: line.basePrice,
+      optionsPrice: line.optionsPrice,
+      laborPrice: line.laborPrice,
+      priceBookVersion: line.priceBookVersion,
+      margin: getLineMargin(line),
+      trace: getWindowPriceTrace(line.trace),
+      options: lineItems[index].options
+    });
+  }
+  
+  return { priceCalculations, quantityDiscount };
+}
+
+/**
+ * Price a quote item as an assembly whose opening is the quoted size
+ * @param {Object} lineItem - Calculator line item for the quote item
+ * @param {Object} assemblyType - Assembly type and unit count
+ * @param {Object} matrix - Pricing matrix to price with
+ * @returns {Promise<Object|null>} - Price calculation result, or null if the assembly can't be priced
+ */
+async function calculateAssemblyWarnkePrice(lineItem, assemblyType, matrix) {
+  const { measurements, options } = lineItem;
+  
+  try {
+    const assembly = buildAssembly(assemblyType.type, measurements, {
+      ...options,
+      // Mulled units repeat the quoted window type; bay, bow and garden units use their own
+      windowType: assemblyType.type === 'mulled' ? options.windowType : undefined,
+      units: assemblyType.units,
+      quantity: measurements.quantity
+    });
+    const calculation = await calculateAssemblyPrice(assembly, undefined, matrix);
+    // As with single windows, the margin floor is checked on the comparison's total
+    const results = calculation.results || calculation.blockedResults;
     
-    return {
-      totalPrice: calculation.totalPrice,
-      pricePerWindow: calculation.pricePerWindow,
-      basePrice: calculation.basePrice,
-      optionsPrice: calculation.optionsPrice,
-      options
-    };
-  } catch (error) {
-    console.error('Failed to calculate Warnke price:', error);
+    if (!results) {
+      console.error('Failed to calculate Warnke assembly price:', calculation.error);
+      return null;
+    }
+
+    const basePrice = roundCurrency(results.components.reduce((total, line) => total + line.basePrice, 0));
     
-    // Return a fallback price based on the matched product's base price
     return {
-      totalPrice: quoteItem.quantity * matchedProduct.basePrice,
-      pricePerWindow: matchedProduct.basePrice,
-      basePrice: matchedProduct.basePrice,
-      optionsPrice: 0,
-      options: {
-        windowType: 'double-hung',
-        material: 'vinyl',
-        glassType: 'double-pane'
+      totalPrice: results.totalPrice,
+      pricePerWindow: results.pricePerAssembly,
+      basePrice,
+      optionsPrice: roundCurrency(results.pricePerAssembly - basePrice),
+      laborPrice: results.laborPrice,
+      priceBookVersion: results.priceBookVersion,
+      margin: getAssemblyMargin(results),
+      trace: getWindowPriceTrace(results.trace),
+      options,
+      assembly: {
+        type: results.assemblyType,
+        label: results.label,
+        units: results.components.map(line => ({ ...line.measurements, windowType: line.options.windowType })),
+        parts: results.parts
       }
     };
+  } catch (error) {
+    console.error('Failed to build Warnke assembly:', error);
+    return null;
+  }
+}
+
+/**
+ * Get the steps of a price trace that make up the window price
+ * Comparisons don't include installation, and labor is the last step of a line's trace
+ * @param {Array} trace - Price trace from the calculator
+ * @returns {Array} - Trace without the labor step
+ */
+function getWindowPriceTrace(trace) {
+  return (trace || []).filter(step => step.type !== 'labor');
+}
+
+/**
+ * Get the margin on a priced line's window price (comparisons don't include installation)
+ * @param {Object} line - Priced line from the calculator
+ * @returns {Object|null} - Margin details, or null without cost data
+ */
+function getLineMargin(line) {
+  try {
+    return calculateLineMargin(line, undefined, { includeInstallation: false });
+  } catch (error) {
+    console.error('Failed to calculate margin:', error);
+    return null;
+  }
+}
+
+/**
+ * Get the margin on a priced assembly's units and parts (comparisons don't include installation)
+ * @param {Object} results - Assembly results from the calculator
+ * @returns {Object|null} - Margin details, or null without cost data
+ */
+function getAssemblyMargin(results) {
+  try {
+    return calculateProjectMargin(results.components, results.totalPrice, {
+      includeInstallation: false,
+      parts: results.parts
+    });
+  } catch (error) {
+    console.error('Failed to calculate margin:', error);
+    return null;
+  }
+}
+
+/**
+ * Get the margin on a comparison's Warnke total
+ * @param {Array} comparisonItems - Comparison items with margins
+ * @param {number} revenue - Warnke total after discounts and promotions, before tax
+ * @returns {Object|null} - Margin details, or null when an item has no cost
+ */
+function calculateComparisonMargin(comparisonItems, revenue) {
+  if (comparisonItems.length === 0 || comparisonItems.some(item => !item.margin)) {
+    return null;
+  }
+  
+  const cost = ['product', 'addOns', 'installation', 'total'].reduce((totals, key) => ({
+    ...totals,
+    [key]: Math.round(comparisonItems.reduce((total, item) => total + item.margin.cost[key], 0) * 100) / 100
+  }), {});
+  
+  return calculateMargin(revenue, cost);
+}
+
+/**
+ * Estimate yearly energy savings and payback for one comparison item
+ * @param {Object} quoteItem - The quote item
+ * @param {Object} priceCalculation - Warnke price calculation with options
+ * @param {string} climateZone - Climate zone
+ * @returns {Object|null} - Energy estimate, or null without performance data
+ */
+function getItemEnergy(quoteItem, priceCalculation, climateZone) {
+  try {
+    return estimateEnergySavings({
+      options: priceCalculation.options,
+      area: getWindowArea({
+        width: quoteItem.widthInches,
+        height: quoteItem.heightInches,
+        quantity: quoteItem.quantity
+      }),
+      climateZone,
+      cost: priceCalculation.totalPrice
+    });
+  } catch (error) {
+    console.error('Failed to estimate energy savings:', error);
+    return null;
+  }
+}
+
+/**
+ * Estimate yearly energy savings and payback for a comparison's Warnke total
+ * @param {Array} comparisonItems - Comparison items
+ * @param {string} climateZone - Climate zone
+ * @param {number} cost - Warnke total
+ * @returns {Object|null} - Energy estimate, or null without performance data
+ */
+function estimateComparisonEnergy(comparisonItems, climateZone, cost) {
+  try {
+    const { windows, ...energy } = estimateProjectEnergySavings(comparisonItems.map(item => ({
+      measurements: { width: item.width, height: item.height, quantity: item.quantity },
+      options: item.warnkeOptionValues
+    })), { climateZone, cost });
+    
+    return energy;
+  } catch (error) {
+    console.error('Failed to estimate energy savings:', error);
+    return null;
   }
 }
 
+/**
+ * Get calculator options for a quote item and its matched product
+ * @param {Object} quoteItem - The quote item
+ * @param {Object} matchedProduct - The matched Warnke product
+ * @returns {Object} - Calculator options
+ */
+function getWarnkeOptions(quoteItem, matchedProduct) {
+  const attributes = getItemAttributes(quoteItem);
+
+  return {
+    windowType: mapWindowType(matchedProduct.productName),
+    shape: attributes.shape || 'rectangle',
+    material: mapMaterial(matchedProduct.materialType),
+    glassType: mapGlassType(attributes),
+    gridPattern: attributes.gridStyle || (attributes.gridPlacement ? 'colonial' : 'none'),
+    gridPlacement: attributes.gridPlacement || 'between-glass',
+    mullConfiguration: attributes.mullConfiguration || 'single'
+  };
+}
+
+/**
+ * Get a fallback price based on the matched product's base price
+ * Fallback prices come from the product catalog, not a price book
+ * @param {Object} quoteItem - The quote item
+ * @param {Object} matchedProduct - The matched Warnke product
+ * @returns {Object} - Price calculation result
+ */
+function getFallbackPrice(quoteItem, matchedProduct) {
+  return {
+    totalPrice: quoteItem.quantity * matchedProduct.basePrice,
+    pricePerWindow: matchedProduct.basePrice,
+    basePrice: matchedProduct.basePrice,
+    optionsPrice: 0,
+    laborPrice: null,
+    priceBookVersion: null,
+    margin: null,
+    trace: appendTraceSteps([], [{
+      type: 'baseline',
+      label: `${matchedProduct.productName} catalog price`,
+      rule: `$${Number(matchedProduct.basePrice).toFixed(2)} each × ${quoteItem.quantity} (not priced from a price book)`,
+      amount: quoteItem.quantity * matchedProduct.basePrice
+    }]),
+    options: {
+      windowType: 'double-hung',
+      material: 'vinyl',
+      glassType: 'double-pane'
+    }
+  };
+}
+
 /**
  * Map window type from product name
  * @param {string} productName - The product name
@@ -246,64 +660,24 @@ function mapMaterial(materialType) {
 }
 
 /**
- * Map glass type from description
- * @param {string} description - The window description
+ * Map glass type from quote item attributes
+ * Tempered and obscure glass are priced as their own glass type over the glass package.
+ * Warnke Windows doesn't sell single-pane glass, so it's compared with standard double-pane
+ * @param {Object} attributes - The quote item attributes
  * @returns {string} - Mapped glass type
  */
-function mapGlassType(description) {
-  const desc = description.toLowerCase();
-  
-  if (desc.includes('triple') || desc.includes('3-pane') || desc.includes('3 pane')) {
-    return 'triple-pane';
-  } else if (desc.includes('single') || desc.includes('1-pane') || desc.includes('1 pane')) {
-    return 'single-pane';
-  } else {
+function mapGlassType(attributes) {
+  if (attributes.tempered) {
+    return 'tempered';
+  } else if (attributes.obscure) {
+    return 'obscured';
+  } else if (!attributes.glassPackage || attributes.glassPackage === 'single-pane') {
     return 'double-pane'; // Default
+  } else {
+    return attributes.glassPackage;
   }
 }
 
-/**
- * Extract options from description
- * @param {string} description - The window description
- * @returns {string} - Extracted options
- */
-function extractOptions(description) {
-  // Extract options from description
-  // This is a simplified approach
-  const options = [];
-  
-  // Look for common options
-  if (/low-e|low e|lowe/i.test(description)) {
-    options.push('Low-E Glass');
-  }
-  
-  if (/argon|gas filled/i.test(description)) {
-    options.push('Argon Gas');
-  }
-  
-  if (/energy star|energystar/i.test(description)) {
-    options.push('ENERGY STAR');
-  }
-  
-  if (/tempered|safety glass/i.test(description)) {
-    options.push('Tempered Glass');
-  }
-  
-  if (/grids|grilles|muntins/i.test(description)) {
-    options.push('Grids');
-  }
-  
-  if (/screens/i.test(description)) {
-    options.push('Screens');
-  }
-  
-  if (/tilt|washable/i.test(description)) {
-    options.push('Tilt Feature');
-  }
-  
-  return options.join(', ');
-}
-
 /**
  * Format options object into string
  * @param {Object} options - The options object
@@ -320,6 +694,17 @@ function formatOptions(options) {
     formattedOptions.push(formatGlassType(options.glassType));
   }
   
+  if (options.gridPattern && options.gridPattern !== 'none') {
+    const grid = GRID_PATTERNS.find(pattern => pattern.id === options.gridPattern);
+    const placement = GRID_PLACEMENTS.find(entry => entry.id === options.gridPlacement);
+    formattedOptions.push(`${grid ? grid.name : options.gridPattern} Grids${placement ? ` (${placement.name})` : ''}`);
+  }
+  
+  if (options.mullConfiguration && options.mullConfiguration !== 'single') {
+    const mull = MULL_CONFIGURATIONS.find(entry => entry.id === options.mullConfiguration);
+    formattedOptions.push(`${mull ? mull.name : options.mullConfiguration} Mull`);
+  }
+  
   return formattedOptions.join(', ');
 }
 
@@ -336,6 +721,16 @@ function formatGlassType(glassType) {
       return 'Double Pane Glass';
     case 'triple-pane':
       return 'Triple Pane Glass';
+    case 'low-e':
+      return 'Low-E Glass';
+    case 'double-low-e':
+      return 'Double Low-E Glass';
+    case 'impact-resistant':
+      return 'Impact-Resistant Glass';
+    case 'tempered':
+      return 'Tempered Glass';
+    case 'obscured':
+      return 'Obscure Glass';
     default:
       return 'Double Pane Glass';
   }
@@ -354,7 +749,7 @@ export async function getComparisonDetails(comparisonId) {
       throw new Error('Comparison not found');
     }
     
-    return comparison;
+    return (await hideMarginsFromMember({ comparison, items: [] })).comparison;
   } catch (error) {
     console.error('Failed to get comparison details:', error);
     throw new Error('Failed to get comparison details. Please try again.');
@@ -372,7 +767,7 @@ export async function getComparisonItems(comparisonId) {
       .eq('comparisonId', comparisonId);
     
     const results = await query.find();
-    return results.items;
+    return (await hideMarginsFromMember({ comparison: null, items: results.items })).items;
   } catch (error) {
     console.error('Failed to get comparison items:', error);
     throw new Error('Failed to get comparison items. Please try again.');
@@ -399,13 +794,30 @@ export async function updateComparisonStatus(comparisonId, status) {
       updatedAt: new Date()
     });
     
-    return updatedComparison;
+    return (await hideMarginsFromMember({ comparison: updatedComparison, items: [] })).comparison;
   } catch (error) {
     console.error('Failed to update comparison status:', error);
     throw new Error('Failed to update comparison status. Please try again.');
   }
 }
 
+/**
+ * Remove cost, margin and commission data from a comparison unless the signed-in member may see it
+ * Margins are hidden here rather than in the browser, so they never reach a member who can't view them
+ * @param {Object} priced - comparison (or null) and items
+ * @returns {Promise<Object>} - comparison and items, without margins for members who can't view them
+ */
+async function hideMarginsFromMember({ comparison, items }) {
+  if (await canMemberViewMargins()) {
+    return { comparison, items };
+  }
+  
+  return {
+    comparison: comparison && { ...comparison, margin: null, marginWarning: null },
+    items: items.map(item => ({ ...item, margin: null }))
+  };
+}
+
 /**
  * Generate a unique ID
  * @returns {string} - Unique ID
@@ -0,0 +1,11 @@
+// Currency Utilities for Warnke Windows WindowVisor Dashboard
+// This file rounds dollar amounts the same way everywhere prices are calculated
+
+/**
+ * Round a dollar amount to cents
+ * @param {number} amount - Dollar amount
+ * @returns {number} - Rounded amount
+ */
+export function roundCurrency(amount) {
+  return Math.round(amount * 100) / 100;
+}
@@ -206,6 +206,7 @@ export function Dashboard() {
           {activeSection === 'verify-quote' && selectedQuote && (
             <QuoteVerification 
               quoteId={selectedQuote}
+              measurementNotation={currentUser.settings && currentUser.settings.measurementNotation}
               onVerificationComplete={handleQuoteVerified}
               onCancel={() => handleNavigate('project', { projectId: selectedProject.projectId })}
             />
@@ -0,0 +1,217 @@
+// Energy Performance Estimator for Warnke Windows WindowVisor Dashboard
+// This file rates each material/glass combination and estimates annual heating and cooling
+// savings and payback against the windows being replaced
+
+import { parseAddress } from './pricing-adjustments';
+import { roundCurrency } from './currency-utils';
+
+// Whole-window performance by glass package, keyed like the workbook's glass list
+//   uFactor  - heat loss, Btu/hr·ft²·°F (lower is better)
+//   shgc     - solar heat gain coefficient (lower keeps summer heat out)
+export const GLASS_PERFORMANCE = {
+  'single-pane': { uFactor: 1.04, shgc: 0.76 },
+  'standard': { uFactor: 0.48, shgc: 0.62 },
+  'low-e': { uFactor: 0.30, shgc: 0.30 },
+  'double-low-e': { uFactor: 0.27, shgc: 0.25 },
+  'triple-pane': { uFactor: 0.20, shgc: 0.24 },
+  'impact-resistant': { uFactor: 0.45, shgc: 0.45 },
+  'tempered': { uFactor: 0.48, shgc: 0.62 },
+  'obscured': { uFactor: 0.48, shgc: 0.55 }
+};
+
+// Frame effect by material
+//   uFactorMultiplier - frame conduction relative to vinyl
+//   airLeakage        - rated air leakage, cfm per ft² of window
+export const FRAME_PERFORMANCE = {
+  'vinyl': { uFactorMultiplier: 1.0, airLeakage: 0.15 },
+  'fiberglass': { uFactorMultiplier: 0.95, airLeakage: 0.10 },
+  'wood': { uFactorMultiplier: 1.0, airLeakage: 0.25 },
+  'aluminum-clad': { uFactorMultiplier: 1.05, airLeakage: 0.20 },
+  'aluminum': { uFactorMultiplier: 1.6, airLeakage: 0.35 },
+  'composite': { uFactorMultiplier: 0.95, airLeakage: 0.12 }
+};
+
+// Calculator glass options that share a workbook glass package
+const GLASS_KEYS = {
+  'double-pane': 'standard'
+};
+
+// IECC climate zones: heating and cooling degree days, and solar heat gain
+// through one ft² of SHGC 1.0 glass over the cooling season (Btu)
+export const CLIMATE_ZONES = {
+  '1': { name: 'Zone 1 (Very Hot)', hdd: 200, cdd: 4500, solarGain: 120000 },
+  '2': { name: 'Zone 2 (Hot)', hdd: 1500, cdd: 3000, solarGain: 95000 },
+  '3': { name: 'Zone 3 (Warm)', hdd: 3000, cdd: 2000, solarGain: 75000 },
+  '4': { name: 'Zone 4 (Mixed)', hdd: 4500, cdd: 1300, solarGain: 60000 },
+  '5': { name: 'Zone 5 (Cool)', hdd: 6500, cdd: 850, solarGain: 45000 },
+  '6': { name: 'Zone 6 (Cold)', hdd: 7800, cdd: 600, solarGain: 35000 },
+  '7': { name: 'Zone 7 (Very Cold)', hdd: 9500, cdd: 350, solarGain: 25000 }
+};
+
+// Climate zone used for customers in each state we serve
+const CLIMATE_ZONES_BY_STATE = {
+  MN: '6',
+  WI: '6',
+  IA: '5',
+  ND: '7',
+  SD: '6'
+};
+
+export const DEFAULT_CLIMATE_ZONE = '6';
+
+// Windows being replaced when nothing is known about them
+export const DEFAULT_BASELINE = { material: 'aluminum', glassType: 'single-pane' };
+
+// Utility rates and equipment efficiency
+const ENERGY_COSTS = {
+  gasPerTherm: 1.10,
+  furnaceEfficiency: 0.9,
+  electricityPerKwh: 0.15,
+  coolingSeer: 14
+};
+
+// Share of rated air leakage (measured at 25 mph wind) seen on an average day
+const AIR_LEAKAGE_FIELD_FACTOR = 0.15;
+
+/**
+ * Get the performance ratings for a window's material and glass
+ * @param {Object} options - material and glassType
+ * @returns {Object} - uFactor, shgc and airLeakage
+ */
+export function getWindowPerformance(options) {
+  const glassKey = GLASS_KEYS[options.glassType] || options.glassType;
+  const materialKey = options.material;
+  const glass = GLASS_PERFORMANCE[glassKey];
+  const frame = FRAME_PERFORMANCE[materialKey];
+
+  if (!glass) {
+    throw new Error(`No performance data for glass type "${options.glassType}"`);
+  }
+
+  if (!frame) {
+    throw new Error(`No performance data for material "${options.material}"`);
+  }
+
+  return {
+    uFactor: Math.round(glass.uFactor * frame.uFactorMultiplier * 100) / 100,
+    shgc: glass.shgc,
+    airLeakage: frame.airLeakage
+  };
+}
+
+/**
+ * Find the climate zone for an address
+ * @param {Object|string} address - Address with a state, or a one-line address
+ * @returns {string} - Climate zone
+ */
+export function findClimateZone(address) {
+  if (!address) {
+    return DEFAULT_CLIMATE_ZONE;
+  }
+
+  const state = typeof address === 'string' ?
+    parseAddress(address).state :
+    String(address.state || '').trim().toUpperCase();
+
+  return CLIMATE_ZONES_BY_STATE[state] || DEFAULT_CLIMATE_ZONE;
+}
+
+/**
+ * Estimate yearly heating and cooling savings and payback for replacement windows
+ * @param {Object} estimate - options (material, glassType), area (ft² of window), climateZone,
+ *                            baseline (options of the windows being replaced) and cost (for payback)
+ * @returns {Object} - Performance ratings, savings and payback period
+ */
+export function estimateEnergySavings(estimate) {
+  const zoneId = estimate.climateZone || DEFAULT_CLIMATE_ZONE;
+  const zone = CLIMATE_ZONES[zoneId];
+
+  if (!zone) {
+    throw new Error(`Unknown climate zone "${zoneId}"`);
+  }
+
+  const performance = getWindowPerformance(estimate.options);
+  const baselinePerformance = getWindowPerformance(estimate.baseline || DEFAULT_BASELINE);
+  const proposed = calculateEnergyCost(performance, estimate.area, zone);
+  const baseline = calculateEnergyCost(baselinePerformance, estimate.area, zone);
+
+  const annualHeatingSavings = roundCurrency(baseline.heating - proposed.heating);
+  const annualCoolingSavings = roundCurrency(baseline.cooling - proposed.cooling);
+  const annualSavings = roundCurrency(annualHeatingSavings + annualCoolingSavings);
+
+  return {
+    climateZone: zoneId,
+    climateZoneName: zone.name,
+    area: Math.round(estimate.area * 100) / 100,
+    performance,
+    baselinePerformance,
+    annualHeatingSavings,
+    annualCoolingSavings,
+    annualSavings,
+    paybackYears: estimate.cost > 0 && annualSavings > 0 ?
+      Math.round((estimate.cost / annualSavings) * 10) / 10 : null
+  };
+}
+
+/**
+ * Estimate energy savings for several priced windows together
+ * @param {Array} windows - Windows with measurements (inches, quantity) and options
+ * @param {Object} estimate - climateZone, baseline and cost (for payback)
+ * @returns {Object} - Combined savings and payback, with performance per window
+ */
+export function estimateProjectEnergySavings(windows, estimate = {}) {
+  const windowEstimates = windows.map(window => estimateEnergySavings({
+    ...estimate,
+    options: window.options,
+    area: getWindowArea(window.measurements),
+    cost: 0
+  }));
+
+  const annualHeatingSavings = roundCurrency(windowEstimates.reduce((total, entry) => total + entry.annualHeatingSavings, 0));
+  const annualCoolingSavings = roundCurrency(windowEstimates.reduce((total, entry) => total + entry.annualCoolingSavings, 0));
+  const annualSavings = roundCurrency(annualHeatingSavings + annualCoolingSavings);
+  const zoneId = estimate.climateZone || DEFAULT_CLIMATE_ZONE;
+
+  return {
+    climateZone: zoneId,
+    climateZoneName: CLIMATE_ZONES[zoneId] ? CLIMATE_ZONES[zoneId].name : zoneId,
+    area: Math.round(windowEstimates.reduce((total, entry) => total + entry.area, 0) * 100) / 100,
+    annualHeatingSavings,
+    annualCoolingSavings,
+    annualSavings,
+    paybackYears: estimate.cost > 0 && annualSavings > 0 ?
+      Math.round((estimate.cost / annualSavings) * 10) / 10 : null,
+    windows: windowEstimates
+  };
+}
+
+/**
+ * Get the glass area of a window in square feet
+ * @param {Object} measurements - Width and height in inches, quantity, and area (ft²) for shaped windows
+ * @returns {number} - Square feet across all units
+ */
+export function getWindowArea(measurements) {
+  const area = measurements.area || measurements.width * measurements.height / 144;
+  return area * (measurements.quantity || 1);
+}
+
+/**
+ * Calculate yearly heating and cooling cost through a window area
+ * @param {Object} performance - uFactor, shgc and airLeakage
+ * @param {number} area - Window area in ft²
+ * @param {Object} zone - Climate zone
+ * @returns {Object} - Heating and cooling cost in dollars
+ */
+function calculateEnergyCost(performance, area, zone) {
+  // Conduction plus air leakage (1.08 Btu/hr per cfm per °F), over the degree days
+  const leakageCfm = performance.airLeakage * area * AIR_LEAKAGE_FIELD_FACTOR;
+  const lossPerDegreeHour = performance.uFactor * area + 1.08 * leakageCfm;
+
+  const heatingBtu = lossPerDegreeHour * zone.hdd * 24 / ENERGY_COSTS.furnaceEfficiency;
+  const coolingBtu = lossPerDegreeHour * zone.cdd * 24 + performance.shgc * area * zone.solarGain;
+
+  return {
+    heating: (heatingBtu / 100000) * ENERGY_COSTS.gasPerTherm,
+    cooling: (coolingBtu / (ENERGY_COSTS.coolingSeer * 1000)) * ENERGY_COSTS.electricityPerKwh
+  };
+}
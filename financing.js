@@ -0,0 +1,149 @@
+// Financing Calculator for Warnke Windows WindowVisor Dashboard
+// This file turns a project total into monthly payment options for the configured financing plans
+
+import { roundCurrency } from './currency-utils';
+
+// Financing plans offered to homeowners
+//   apr               - fixed APR, amortized over termMonths
+//   same-as-cash      - no interest when paid in equal payments over termMonths
+//   deferred-interest - no interest if paid off within promoMonths; otherwise interest
+//                       accrued since purchase at apr is charged, then amortized over termMonths
+export const DEFAULT_FINANCING_PLANS = [
+  { id: 'sac-12', name: '12 Months Same as Cash', type: 'same-as-cash', termMonths: 12 },
+  { id: 'deferred-18', name: '18 Months Deferred Interest', type: 'deferred-interest', promoMonths: 18, apr: 26.99, termMonths: 60 },
+  { id: 'apr-60', name: '7.99% APR for 60 Months', type: 'apr', apr: 7.99, termMonths: 60 },
+  { id: 'apr-120', name: '9.99% APR for 120 Months', type: 'apr', apr: 9.99, termMonths: 120 }
+];
+
+let financingPlans = DEFAULT_FINANCING_PLANS;
+
+/**
+ * Get the configured financing plans
+ * @returns {Array} - Financing plans
+ */
+export function getFinancingPlans() {
+  return financingPlans;
+}
+
+/**
+ * Replace the configured financing plans
+ * @param {Array} plans - Financing plans, or null to restore the defaults
+ * @returns {Array} - Configured financing plans
+ */
+export function setFinancingPlans(plans) {
+  financingPlans = plans || DEFAULT_FINANCING_PLANS;
+  return financingPlans;
+}
+
+/**
+ * Calculate the payment options for a project total
+ * @param {number} total - Project total
+ * @param {Object} options - downPayment and plans (defaults to the configured plans)
+ * @returns {Array} - One payment option per plan
+ */
+export function getFinancingOptions(total, options = {}) {
+  const plans = options.plans || financingPlans;
+  const amountFinanced = Math.max(0, total - (options.downPayment || 0));
+
+  return plans.map(plan => calculatePlanPayment(amountFinanced, plan));
+}
+
+/**
+ * Calculate the monthly payment and cost of one financing plan
+ * @param {number} amountFinanced - Amount financed
+ * @param {Object} plan - Financing plan
+ * @returns {Object} - Payment option
+ */
+export function calculatePlanPayment(amountFinanced, plan) {
+  const option = {
+    planId: plan.id,
+    name: plan.name,
+    type: plan.type,
+    amountFinanced: roundCurrency(amountFinanced),
+    termMonths: plan.termMonths,
+    apr: plan.apr || 0
+  };
+
+  if (plan.type === 'same-as-cash') {
+    const monthlyPayment = amountFinanced / plan.termMonths;
+
+    return {
+      ...option,
+      apr: 0,
+      monthlyPayment: roundCurrency(monthlyPayment),
+      totalOfPayments: roundCurrency(amountFinanced),
+      totalInterest: 0
+    };
+  }
+
+  if (plan.type === 'deferred-interest') {
+    // Paying the balance off within the promo period avoids all interest
+    const payoffPayment = amountFinanced / plan.promoMonths;
+    const minimumPayment = calculateMonthlyPayment(amountFinanced, plan.apr, plan.termMonths);
+
+    return {
+      ...option,
+      promoMonths: plan.promoMonths,
+      monthlyPayment: roundCurrency(payoffPayment),
+      minimumPayment: roundCurrency(minimumPayment),
+      totalOfPayments: roundCurrency(amountFinanced),
+      totalInterest: 0,
+      deferredInterest: roundCurrency(
+        estimateDeferredInterest(amountFinanced, plan.apr, plan.promoMonths, minimumPayment)
+      )
+    };
+  }
+
+  const monthlyPayment = calculateMonthlyPayment(amountFinanced, plan.apr, plan.termMonths);
+  const totalOfPayments = monthlyPayment * plan.termMonths;
+
+  return {
+    ...option,
+    monthlyPayment: roundCurrency(monthlyPayment),
+    totalOfPayments: roundCurrency(totalOfPayments),
+    totalInterest: roundCurrency(totalOfPayments - amountFinanced)
+  };
+}
+
+/**
+ * Calculate an amortized monthly payment
+ * @param {number} principal - Amount financed
+ * @param {number} apr - Annual percentage rate (e.g. 7.99)
+ * @param {number} termMonths - Number of monthly payments
+ * @returns {number} - Monthly payment
+ */
+export function calculateMonthlyPayment(principal, apr, termMonths) {
+  if (principal <= 0 || termMonths <= 0) {
+    return 0;
+  }
+
+  const monthlyRate = apr / 100 / 12;
+
+  if (monthlyRate === 0) {
+    return principal / termMonths;
+  }
+
+  return principal * monthlyRate / (1 - Math.pow(1 + monthlyRate, -termMonths));
+}
+
+/**
+ * Estimate the interest charged when a deferred-interest balance isn't paid off in time,
+ * assuming only minimum payments are made during the promo period
+ * @param {number} principal - Amount financed
+ * @param {number} apr - Annual percentage rate
+ * @param {number} promoMonths - Promo period length
+ * @param {number} minimumPayment - Minimum monthly payment
+ * @returns {number} - Interest accrued over the promo period
+ */
+function estimateDeferredInterest(principal, apr, promoMonths, minimumPayment) {
+  const monthlyRate = apr / 100 / 12;
+  let balance = principal;
+  let accruedInterest = 0;
+
+  for (let month = 0; month < promoMonths && balance > 0; month++) {
+    accruedInterest += balance * monthlyRate;
+    balance -= minimumPayment;
+  }
+
+  return accruedInterest;
+}
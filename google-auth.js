@@ -0,0 +1,463 @@
+// Google OAuth Token Manager for Warnke Windows WindowVisor Dashboard
+// This file runs the authorization-code + PKCE flow, tracks token expiry, refreshes tokens
+// before they expire and publishes the connection state to the rest of the dashboard.
+// Codes and refresh tokens are exchanged in the backend, which holds the client secret
+
+import { fetch } from 'wix-fetch';
+import wixWindow from 'wix-window';
+import wixStorage from 'wix-storage';
+import { requestGoogleTokens } from './backend/googleTokenManager';
+
+// OAuth configuration
+const CLIENT_ID = "62610418228-i22m3312lnfr0f3aiuvet7rb8p9tpgd1.apps.googleusercontent.com";
+const AUTH_URL = 'https://accounts.google.com/o/oauth2/v2/auth';
+const REVOKE_URL = 'https://oauth2.googleapis.com/revoke';
+const SCOPE = 'https://www.googleapis.com/auth/spreadsheets';
+
+// Storage keys: tokens persist across visits, the PKCE verifier only for the sign-in tab
+const TOKEN_STORAGE_KEY = 'googleOAuthTokens';
+const LEGACY_TOKEN_STORAGE_KEY = 'googleOAuthToken';
+const PKCE_STORAGE_KEY = 'googleOAuthPkce';
+
+// Refresh this long before the access token expires
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Retry a refresh that couldn't reach Google (offline, DNS or a server error) after this long
+const REFRESH_RETRY_MS = 60 * 1000;
+
+// Auth statuses
+//   not-authenticated - no token stored
+//   authenticating    - waiting on the Google consent screen or the code exchange
+//   authenticated     - access token is valid
+//   refreshing        - exchanging the refresh token for a new access token
+//   expired           - access token expired and there is no refresh token
+//   auth-failed       - sign-in or refresh failed
+let authState = { status: 'not-authenticated', expiresAt: null, canRefresh: false, error: null };
+const authStateListeners = [];
+
+let tokens = null;
+let refreshTimer = null;
+let pendingRefresh = null;
+
+/**
+ * Get the current auth state
+ * @returns {Object} - status, expiresAt (ms timestamp), canRefresh and error
+ */
+export function getAuthState() {
+  loadTokens();
+  return authState;
+}
+
+/**
+ * Subscribe to auth state changes; the listener is called right away with the current state
+ * @param {Function} listener - Called with the auth state
+ * @returns {Function} - Unsubscribe function
+ */
+export function subscribeToAuthState(listener) {
+  authStateListeners.push(listener);
+  listener(getAuthState());
+
+  return () => {
+    const index = authStateListeners.indexOf(listener);
+    if (index !== -1) {
+      authStateListeners.splice(index, 1);
+    }
+  };
+}
+
+/**
+ * Get milliseconds until the access token expires
+ * @param {Object} state - Auth state (defaults to the current state)
+ * @returns {number|null} - Time remaining, or null when not connected
+ */
+export function getTimeRemaining(state = getAuthState()) {
+  if (!state.expiresAt) {
+    return null;
+  }
+
+  return Math.max(0, state.expiresAt - Date.now());
+}
+
+/**
+ * Start the authorization-code + PKCE sign-in flow in the OAuth lightbox
+ */
+export async function initiateOAuth() {
+  const codeVerifier = createRandomString(64);
+  const state = createRandomString(32);
+  const codeChallenge = await createCodeChallenge(codeVerifier);
+  const redirectUri = wixWindow.lightbox.getUrl();
+
+  wixStorage.session.setItem(PKCE_STORAGE_KEY, JSON.stringify({ codeVerifier, state, redirectUri }));
+
+  // Build OAuth URL
+  const authUrl = new URL(AUTH_URL);
+  Object.entries({
+    client_id: CLIENT_ID,
+    response_type: 'code',
+    scope: SCOPE,
+    redirect_uri: redirectUri,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+    state,
+    access_type: 'offline',
+    prompt: 'consent'
+  }).forEach(([key, value]) => {
+    authUrl.searchParams.append(key, value);
+  });
+
+  setAuthState({ status: 'authenticating', error: null });
+
+  // Open OAuth window
+  wixWindow.openLightbox("OAuthHandler", { url: authUrl.toString() });
+}
+
+/**
+ * Handle the OAuth redirect: check the state and exchange the code for tokens
+ * @param {Object|string} callback - { code, state, error } or the redirect URL / query string
+ * @returns {Object} - authStatus, plus error when sign-in failed
+ */
+export async function handleOAuthCallback(callback) {
+  const params = parseCallback(callback);
+  const pkce = JSON.parse(wixStorage.session.getItem(PKCE_STORAGE_KEY) || 'null');
+
+  wixStorage.session.removeItem(PKCE_STORAGE_KEY);
+
+  try {
+    if (params.error) {
+      throw new Error(`Google sign-in failed: ${params.error}`);
+    }
+
+    if (!params.code || !pkce || params.state !== pkce.state) {
+      throw new Error('Google sign-in could not be verified. Please try again.');
+    }
+
+    const response = await requestTokens({
+      grant_type: 'authorization_code',
+      code: params.code,
+      code_verifier: pkce.codeVerifier,
+      redirect_uri: pkce.redirectUri
+    });
+
+    storeTokens(response);
+    return { authStatus: authState.status };
+  } catch (error) {
+    console.error('OAuth callback error:', error);
+    setAuthState({ status: 'auth-failed', error: error.message });
+    return { authStatus: 'auth-failed', error: error.message };
+  }
+}
+
+/**
+ * Get a valid access token, refreshing it first if it is about to expire
+ * @returns {Promise<string|null>} - Access token, or null when not connected
+ */
+export async function getAccessToken() {
+  loadTokens();
+
+  if (!tokens) {
+    return null;
+  }
+
+  if (tokens.expiresAt - Date.now() > REFRESH_MARGIN_MS) {
+    return tokens.accessToken;
+  }
+
+  if (tokens.refreshToken) {
+    await refreshAccessToken();
+    // A refresh that couldn't reach Google keeps the tokens, and the access token may still be good
+    return tokens && tokens.expiresAt > Date.now() ? tokens.accessToken : null;
+  }
+
+  // Without a refresh token the access token is usable until it actually expires
+  if (tokens.expiresAt > Date.now()) {
+    return tokens.accessToken;
+  }
+
+  setAuthState({ status: 'expired' });
+  return null;
+}
+
+/**
+ * Exchange the refresh token for a new access token
+ * Concurrent callers share one refresh request. Tokens are only cleared when Google rejects
+ * the refresh token; other failures keep them and retry the refresh later
+ * @returns {Promise<boolean>} - Whether the refresh succeeded
+ */
+export function refreshAccessToken() {
+  if (pendingRefresh) {
+    return pendingRefresh;
+  }
+
+  loadTokens();
+
+  if (!tokens || !tokens.refreshToken) {
+    return Promise.resolve(false);
+  }
+
+  setAuthState({ status: 'refreshing' });
+
+  pendingRefresh = requestTokens({
+    grant_type: 'refresh_token',
+    refresh_token: tokens.refreshToken
+  })
+    .then(response => {
+      // Signing out while the refresh was in flight drops its tokens
+      if (!tokens) {
+        return false;
+      }
+
+      storeTokens(response);
+      return true;
+    })
+    .catch(error => {
+      console.error('Token refresh error:', error);
+
+      if (!tokens) {
+        return false;
+      }
+
+      if (isRejectedGrant(error)) {
+        clearTokens();
+        setAuthState({ status: 'auth-failed', error: 'Your Google session expired. Please connect again.' });
+        return false;
+      }
+
+      setAuthState({
+        status: tokens.expiresAt > Date.now() ? 'authenticated' : 'refreshing',
+        error: 'Couldn\'t reach Google to renew the connection. Retrying shortly.'
+      });
+      scheduleRefresh(REFRESH_RETRY_MS);
+      return false;
+    })
+    .finally(() => {
+      pendingRefresh = null;
+    });
+
+  return pendingRefresh;
+}
+
+/**
+ * Handle a 401 from a Google API: force a refresh on the next request, or sign out
+ * when the token can't be refreshed
+ */
+export function handleUnauthorized() {
+  loadTokens();
+
+  if (tokens && tokens.refreshToken) {
+    tokens = { ...tokens, expiresAt: 0 };
+    wixStorage.local.setItem(TOKEN_STORAGE_KEY, JSON.stringify(tokens));
+    return;
+  }
+
+  clearTokens();
+  setAuthState({ status: 'expired' });
+}
+
+/**
+ * Log out: revoke the Google grant and clear stored tokens
+ * @returns {Object} - authStatus
+ */
+export async function logout() {
+  loadTokens();
+
+  const token = tokens && (tokens.refreshToken || tokens.accessToken);
+
+  clearTokens();
+  setAuthState({ status: 'not-authenticated', error: null });
+
+  if (token) {
+    try {
+      await fetch(`${REVOKE_URL}?token=${encodeURIComponent(token)}`, { method: 'POST' });
+    } catch (error) {
+      // The grant expires on its own; a failed revoke shouldn't block logging out
+      console.error('Token revoke error:', error);
+    }
+  }
+
+  return { authStatus: 'not-authenticated' };
+}
+
+/**
+ * Load stored tokens into memory once, dropping the old bare-token format
+ */
+function loadTokens() {
+  if (tokens) {
+    return;
+  }
+
+  if (wixStorage.local.getItem(LEGACY_TOKEN_STORAGE_KEY)) {
+    // Tokens from the implicit flow have no expiry; reconnecting replaces them
+    wixStorage.local.removeItem(LEGACY_TOKEN_STORAGE_KEY);
+  }
+
+  try {
+    tokens = JSON.parse(wixStorage.local.getItem(TOKEN_STORAGE_KEY) || 'null');
+  } catch (error) {
+    tokens = null;
+  }
+
+  if (tokens && authState.status === 'not-authenticated') {
+    authState = {
+      status: tokens.expiresAt > Date.now() || tokens.refreshToken ? 'authenticated' : 'expired',
+      expiresAt: tokens.expiresAt,
+      canRefresh: Boolean(tokens.refreshToken),
+      error: null
+    };
+    scheduleRefresh();
+  }
+}
+
+/**
+ * Store a token response and schedule the next refresh
+ * @param {Object} response - Token endpoint response
+ */
+function storeTokens(response) {
+  tokens = {
+    accessToken: response.access_token,
+    // Refresh responses usually omit the refresh token; keep the one we have
+    refreshToken: response.refresh_token || (tokens && tokens.refreshToken) || null,
+    expiresAt: Date.now() + response.expires_in * 1000,
+    scope: response.scope || SCOPE
+  };
+
+  wixStorage.local.setItem(TOKEN_STORAGE_KEY, JSON.stringify(tokens));
+
+  setAuthState({
+    status: 'authenticated',
+    expiresAt: tokens.expiresAt,
+    canRefresh: Boolean(tokens.refreshToken),
+    error: null
+  });
+  scheduleRefresh();
+}
+
+/**
+ * Clear stored tokens and any scheduled refresh
+ */
+function clearTokens() {
+  tokens = null;
+  wixStorage.local.removeItem(TOKEN_STORAGE_KEY);
+
+  if (refreshTimer) {
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+  }
+
+  authState = { ...authState, expiresAt: null, canRefresh: false };
+}
+
+/**
+ * Refresh the access token shortly before it expires
+ * @param {number} retryDelay - Milliseconds until the refresh, when retrying a failed one
+ */
+function scheduleRefresh(retryDelay) {
+  if (refreshTimer) {
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+  }
+
+  if (!tokens || !tokens.refreshToken) {
+    return;
+  }
+
+  const delay = typeof retryDelay === 'number' ?
+    retryDelay :
+    Math.max(0, tokens.expiresAt - Date.now() - REFRESH_MARGIN_MS);
+  refreshTimer = setTimeout(() => {
+    refreshTimer = null;
+    refreshAccessToken();
+  }, delay);
+}
+
+/**
+ * Exchange a grant for tokens through the backend, which adds the client secret
+ * @param {Object} grant - Grant parameters
+ * @returns {Promise<Object>} - Token response
+ */
+async function requestTokens(grant) {
+  const response = await requestGoogleTokens({ client_id: CLIENT_ID, ...grant });
+
+  if (!response.success) {
+    const error = new Error(`Token request failed with status: ${response.status}`);
+    error.status = response.status;
+    error.oauthError = response.oauthError;
+    throw error;
+  }
+
+  return response.tokens;
+}
+
+/**
+ * Check whether a token request failed because Google rejected the grant,
+ * as opposed to a network or server error
+ * @param {Error} error - Error from requestTokens
+ * @returns {boolean} - True when the refresh token is no good
+ */
+function isRejectedGrant(error) {
+  return error.oauthError === 'invalid_grant' || error.status === 400 || error.status === 401;
+}
+
+/**
+ * Update the auth state and notify listeners
+ * @param {Object} changes - State fields to change
+ */
+function setAuthState(changes) {
+  authState = { ...authState, ...changes };
+  authStateListeners.forEach(listener => listener(authState));
+}
+
+/**
+ * Read the code, state and error from an OAuth redirect
+ * @param {Object|string} callback - Params object, redirect URL or query string
+ * @returns {Object} - code, state and error
+ */
+function parseCallback(callback) {
+  if (callback && typeof callback === 'object') {
+    return callback;
+  }
+
+  const text = String(callback || '');
+  const query = text.includes('?') ? text.slice(text.indexOf('?') + 1) : text;
+  const params = new URLSearchParams(query.split('#')[0]);
+
+  return {
+    code: params.get('code'),
+    state: params.get('state'),
+    error: params.get('error')
+  };
+}
+
+/**
+ * Create a URL-safe random string for the PKCE verifier and state
+ * @param {number} length - Number of random bytes
+ * @returns {string} - Base64url string
+ */
+function createRandomString(length) {
+  const bytes = new Uint8Array(length);
+  crypto.getRandomValues(bytes);
+  return base64UrlEncode(bytes);
+}
+
+/**
+ * Create the S256 PKCE code challenge for a verifier
+ * @param {string} codeVerifier - Code verifier
+ * @returns {Promise<string>} - Base64url SHA-256 of the verifier
+ */
+async function createCodeChallenge(codeVerifier) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier));
+  return base64UrlEncode(new Uint8Array(digest));
+}
+
+/**
+ * Base64url-encode bytes without padding
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} - Encoded string
+ */
+function base64UrlEncode(bytes) {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
@@ -0,0 +1,37 @@
+// Google Token Manager Backend Service for WindowVisor Dashboard
+// This file exchanges Google authorization codes and refresh tokens for access tokens.
+// The OAuth client is a "Web application" client, and Google's token endpoint requires its
+// client secret even with PKCE, so the exchange runs here where the secret is kept
+
+import { fetch } from 'wix-fetch';
+import { getSecret } from 'wix-secrets-backend';
+
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+
+// Secrets Manager entry holding the OAuth client secret
+const CLIENT_SECRET_NAME = 'googleOAuthClientSecret';
+
+/**
+ * Post a grant to Google's token endpoint with the client secret
+ * @param {Object} grant - Grant parameters (client_id, grant_type and the code or refresh token)
+ * @returns {Promise<Object>} - { success, tokens } or { success: false, status, oauthError }
+ */
+export async function requestGoogleTokens(grant) {
+  const clientSecret = await getSecret(CLIENT_SECRET_NAME);
+  const body = new URLSearchParams({ ...grant, client_secret: clientSecret });
+
+  const response = await fetch(TOKEN_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: body.toString()
+  });
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    console.error('Google token request failed:', response.status, error.error);
+    // Google's status and error code tell the page whether the grant was rejected
+    return { success: false, status: response.status, oauthError: error.error || null };
+  }
+
+  return { success: true, tokens: await response.json() };
+}
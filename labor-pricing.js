@@ -0,0 +1,191 @@
+// Labor Pricing for Warnke Windows WindowVisor Dashboard
+// This file prices installation labor per window from the workbook's Labor Matrix,
+// adjusted for floor level, removal type and project type
+
+import { getPricingMatrix } from './pricing-matrix';
+import { roundCurrency } from './currency-utils';
+
+// PLACEHOLDER per-window labor rate, used while the workbook's Labor Matrix is empty
+export const DEFAULT_LABOR_RATE = 150;
+
+// Labor adjustments, keyed by the values on the Window Measurement Tracker and List Sheet
+//   heightLevels  - by "Height Level" (0 = ground); upper floors need ladders, staging or a lift
+//   installTypes  - by how the old window comes out
+//   projectTypes  - by the project's "Project Type"
+// PLACEHOLDER: the workbook has no labor adjustments, so these multipliers are estimates until
+// real ones are set with setLaborFactors
+export const DEFAULT_LABOR_FACTORS = {
+  heightLevels: {
+    '0': { label: 'Ground level', multiplier: 1.0 },
+    '1': { label: 'Level 1', multiplier: 1.1 },
+    '2': { label: 'Level 2', multiplier: 1.25 },
+    '3': { label: 'Level 3', multiplier: 1.45 },
+    '4': { label: 'Level 4', multiplier: 1.7 },
+    '5': { label: 'Level 5', multiplier: 2.0 }
+  },
+  installTypes: {
+    'insert': { label: 'Insert (sash removal)', multiplier: 1.0 },
+    'full-frame': { label: 'Full-frame tear-out', multiplier: 1.5 },
+    'no-removal': { label: 'No removal (open framing)', multiplier: 0.75 }
+  },
+  projectTypes: {
+    'full-replacement': { label: 'Full Window Replacement Job', multiplier: 1.0 },
+    'storm-damage': { label: 'Storm Damage', multiplier: 1.2 },
+    'new-construction': { label: 'New Construction', multiplier: 0.9 },
+    'partial': { label: 'Partial Window Job', multiplier: 1.15 }
+  }
+};
+
+// Options used when a window doesn't set them
+export const DEFAULT_LABOR_OPTIONS = {
+  heightLevel: '0',
+  installType: 'insert',
+  projectType: 'full-replacement'
+};
+
+let laborFactors = DEFAULT_LABOR_FACTORS;
+
+// Bumped on every change to the factors, so cached prices from older factors aren't reused
+let laborFactorsVersion = 0;
+
+/**
+ * Get the labor adjustment factors
+ * @returns {Object} - heightLevels, installTypes and projectTypes
+ */
+export function getLaborFactors() {
+  return laborFactors;
+}
+
+/**
+ * Get the version of the labor adjustment factors
+ * @returns {number} - Factors version, bumped on every change
+ */
+export function getLaborFactorsVersion() {
+  return laborFactorsVersion;
+}
+
+/**
+ * Update the labor adjustment factors
+ * @param {Object} factors - Tables to replace, or null to restore the defaults
+ * @returns {Object} - Labor factors
+ */
+export function setLaborFactors(factors) {
+  laborFactors = factors ? { ...laborFactors, ...factors } : DEFAULT_LABOR_FACTORS;
+  laborFactorsVersion += 1;
+  return laborFactors;
+}
+
+/**
+ * Get the per-window rate for a Labor Matrix ID
+ * @param {string} laborMatrixId - Labor Matrix ID (defaults to the first row)
+ * @param {Object} matrix - Pricing matrix (defaults to the active matrix)
+ * @returns {Object} - Labor Matrix row ({ id, rate, notes })
+ */
+export function getLaborRate(laborMatrixId, matrix = getPricingMatrix()) {
+  const laborMatrix = matrix.laborMatrix || [];
+
+  if (!laborMatrixId) {
+    return laborMatrix[0] || { id: null, rate: DEFAULT_LABOR_RATE, notes: '' };
+  }
+
+  const row = laborMatrix.find(entry => entry.id === String(laborMatrixId));
+
+  if (!row) {
+    throw new Error(`No labor rate for Labor Matrix ID "${laborMatrixId}"`);
+  }
+
+  return row;
+}
+
+/**
+ * Price installation labor for one window line
+ * @param {Object} requestData - Request with measurements (quantity) and options
+ *                               (laborMatrixId, heightLevel, installType, projectType)
+ * @param {Object} matrix - Pricing matrix (defaults to the active matrix)
+ * @returns {Object} - Labor line with the rate, each adjustment, ratePerWindow, total, and placeholder
+ *                     when the rate or an adjustment that changed it is a placeholder
+ */
+export function priceLabor(requestData, matrix = getPricingMatrix()) {
+  const { measurements, options } = requestData;
+  const quantity = measurements.quantity || 1;
+  const laborOptions = getLaborOptions(options);
+
+  const rate = getLaborRate(laborOptions.laborMatrixId, matrix);
+  const adjustments = [
+    lookupFactor(laborFactors.heightLevels, laborOptions.heightLevel, 'height level'),
+    lookupFactor(laborFactors.installTypes, laborOptions.installType, 'install type'),
+    lookupFactor(laborFactors.projectTypes, laborOptions.projectType, 'project type')
+  ];
+
+  const multiplier = adjustments.reduce((total, adjustment) => total * adjustment.multiplier, 1);
+  const ratePerWindow = roundCurrency(rate.rate * multiplier);
+  // Rates without a Labor Matrix row, and the default factors, aren't from the workbook
+  const placeholder = !rate.id || (laborFactors === DEFAULT_LABOR_FACTORS && multiplier !== 1);
+
+  return {
+    type: 'labor',
+    label: 'Labor',
+    laborMatrixId: rate.id,
+    baseRate: rate.rate,
+    ...laborOptions,
+    adjustments,
+    multiplier: Math.round(multiplier * 10000) / 10000,
+    ratePerWindow,
+    quantity,
+    total: roundCurrency(ratePerWindow * quantity),
+    placeholder
+  };
+}
+
+/**
+ * Build the labor line for an installation figure a pricing backend returned
+ * @param {Object} requestData - Request with measurements (quantity)
+ * @param {number} total - The backend's installation total for the line
+ * @returns {Object} - Labor line with ratePerWindow and total
+ */
+export function createBackendLabor(requestData, total) {
+  const quantity = requestData.measurements.quantity || 1;
+
+  return {
+    type: 'labor',
+    label: 'Labor',
+    source: 'backend',
+    multiplier: 1,
+    ratePerWindow: roundCurrency(total / quantity),
+    quantity,
+    total: roundCurrency(total),
+    placeholder: false
+  };
+}
+
+/**
+ * Fill in the labor options a window doesn't set
+ * @param {Object} options - Window options
+ * @returns {Object} - laborMatrixId, heightLevel, installType and projectType
+ */
+export function getLaborOptions(options = {}) {
+  return {
+    laborMatrixId: options.laborMatrixId || null,
+    heightLevel: options.heightLevel === undefined || options.heightLevel === null || options.heightLevel === '' ?
+      DEFAULT_LABOR_OPTIONS.heightLevel : String(options.heightLevel),
+    installType: options.installType || DEFAULT_LABOR_OPTIONS.installType,
+    projectType: options.projectType || DEFAULT_LABOR_OPTIONS.projectType
+  };
+}
+
+/**
+ * Look up a labor adjustment
+ * @param {Object} table - Adjustments by key
+ * @param {string} key - Option value
+ * @param {string} label - Option name for the error message
+ * @returns {Object} - Adjustment with its key, label and multiplier
+ */
+function lookupFactor(table, key, label) {
+  const factor = table[key];
+
+  if (!factor || typeof factor.multiplier !== 'number') {
+    throw new Error(`No labor adjustment for ${label} "${key}"`);
+  }
+
+  return { factor: label, value: key, label: factor.label, multiplier: factor.multiplier };
+}
@@ -0,0 +1,273 @@
+// Margin Calculator for Warnke Windows WindowVisor Dashboard
+// This file estimates cost, gross margin and rep commission for priced windows and projects,
+// and checks prices against the margin floor
+
+import { roundCurrency } from './currency-utils';
+
+// Cost of goods, keyed by calculator option values
+//   windowTypes     - product cost per united inch
+//   materials       - cost multiplier by frame material
+//   glassTypes      - cost multiplier by glass package
+//   addOns          - cost as a share of the add-on's price, by add-on or assembly part ID
+//   installation    - installer cost per window at the standard labor rate; scaled by the
+//                     line's labor multiplier (floor level, removal and project type)
+export const DEFAULT_COST_DATA = {
+  windowTypes: {
+    'double-hung': 3.6,
+    'single-hung': 3.3,
+    'casement': 3.9,
+    'awning': 4.0,
+    'hopper': 3.2,
+    'slider': 3.3,
+    'picture': 3.0,
+    'bay': 5.3,
+    'bow': 6.1,
+    'garden': 4.3,
+    'custom': 6.9
+  },
+  materials: {
+    'vinyl': 1.0,
+    'fiberglass': 1.25,
+    'wood': 1.4,
+    'aluminum': 1.45,
+    'composite': 1.3
+  },
+  glassTypes: {
+    'single-pane': 0.9,
+    'double-pane': 1.0,
+    'low-e': 1.15,
+    'double-low-e': 1.3,
+    'triple-pane': 1.45,
+    'impact-resistant': 1.75,
+    'tempered': 1.35,
+    'obscured': 1.1
+  },
+  addOns: {
+    'grids': 0.45,
+    'mull': 0.5,
+    'jamb-extension': 0.55,
+    'mull-joint': 0.5,
+    'angled-mull-joint': 0.5,
+    'head-board': 0.45,
+    'seat-board': 0.45,
+    'roofing-kit': 0.55
+  },
+  installation: 90
+};
+
+// Margin floor and commission rules
+//   floorMargin   - lowest allowed gross margin (0-1)
+//   targetMargin  - margins below this are flagged for review
+//   enforcement   - 'block' rejects prices below the floor, 'flag' lets them through marked
+//   commissionRate and commissionBasis ('revenue' or 'gross-profit')
+export const DEFAULT_MARGIN_POLICY = {
+  floorMargin: 0.25,
+  targetMargin: 0.35,
+  enforcement: 'block',
+  commissionRate: 0.08,
+  commissionBasis: 'revenue'
+};
+
+// Profile roles that may see cost and margin
+const MARGIN_VIEW_ROLES = /manager|admin|owner/i;
+
+let costData = DEFAULT_COST_DATA;
+let marginPolicy = DEFAULT_MARGIN_POLICY;
+
+/**
+ * Get the cost data used for margins
+ * @returns {Object} - Cost data
+ */
+export function getCostData() {
+  return costData;
+}
+
+/**
+ * Replace the cost data used for margins
+ * @param {Object} data - Cost data, or null to restore the defaults
+ * @returns {Object} - Cost data
+ */
+export function setCostData(data) {
+  costData = data || DEFAULT_COST_DATA;
+  return costData;
+}
+
+/**
+ * Get the margin floor and commission policy
+ * @returns {Object} - Margin policy
+ */
+export function getMarginPolicy() {
+  return marginPolicy;
+}
+
+/**
+ * Update the margin floor and commission policy
+ * @param {Object} policy - Fields to change, or null to restore the defaults
+ * @returns {Object} - Margin policy
+ */
+export function setMarginPolicy(policy) {
+  marginPolicy = policy ? { ...marginPolicy, ...policy } : DEFAULT_MARGIN_POLICY;
+  return marginPolicy;
+}
+
+/**
+ * Check whether a profile role may see costs and margins
+ * @param {string} role - Profile role (e.g. 'Sales Rep', 'Sales Manager')
+ * @returns {boolean} - Whether the margin view is available
+ */
+export function canViewMargins(role) {
+  return MARGIN_VIEW_ROLES.test(role || '');
+}
+
+/**
+ * Estimate the cost of a priced window line
+ * @param {Object} line - Priced line with measurements, options and addOns
+ * @param {boolean} includeInstallation - Whether installer cost is included
+ * @returns {Object} - Product, add-on, installation and total cost
+ */
+export function calculateLineCost(line, includeInstallation = true) {
+  const { measurements, options } = line;
+  const quantity = measurements.quantity || 1;
+  const unitedInches = measurements.unitedInches || Math.ceil(measurements.width + measurements.height);
+
+  const ratePerUI = lookupCost(costData.windowTypes, options.windowType, 'window type');
+  const product = unitedInches * ratePerUI *
+    (costData.materials[options.material] || 1) *
+    (costData.glassTypes[options.glassType] || 1) *
+    quantity;
+
+  const addOns = (line.addOns || []).reduce((total, addOn) => {
+    return total + addOn.totalPrice * (costData.addOns[addOn.id] || 1);
+  }, 0);
+
+  const laborMultiplier = line.labor ? line.labor.multiplier : 1;
+  const installation = includeInstallation ? costData.installation * laborMultiplier * quantity : 0;
+
+  return {
+    product: roundCurrency(product),
+    addOns: roundCurrency(addOns),
+    installation: roundCurrency(installation),
+    total: roundCurrency(product + addOns + installation)
+  };
+}
+
+/**
+ * Calculate gross margin and commission for one priced line
+ * @param {Object} line - Priced line (totalPrice and estimatedInstallation are the revenue)
+ * @param {number} revenue - Selling price to use instead of the line's own price
+ * @param {Object} options - includeInstallation (default true) counts installation revenue and cost
+ * @returns {Object} - Margin details
+ */
+export function calculateLineMargin(line, revenue, options = {}) {
+  const includeInstallation = options.includeInstallation !== false;
+  const sellingPrice = typeof revenue === 'number' ?
+    revenue : line.totalPrice + (includeInstallation ? line.estimatedInstallation || 0 : 0);
+
+  return calculateMargin(sellingPrice, calculateLineCost(line, includeInstallation));
+}
+
+/**
+ * Calculate gross margin and commission for a project
+ * @param {Array} lines - Priced lines (lines with an error are skipped)
+ * @param {number} revenue - Project selling price after discounts and promotions, before tax
+ *                           (defaults to the sum of the lines)
+ * @param {Object} options - includeInstallation (default true) counts installation revenue and cost;
+ *                           parts are assembly parts ({ id, totalPrice }) priced outside the lines;
+ *                           labor is assembly labor priced outside the lines, which then replaces
+ *                           the lines' own installation
+ * @returns {Object} - Margin details with per-line margins
+ */
+export function calculateProjectMargin(lines, revenue, options = {}) {
+  const pricedLines = lines.filter(line => !line.error && line.measurements);
+  const labor = options.labor;
+  const lineOptions = labor ? { ...options, includeInstallation: false } : options;
+  const lineMargins = pricedLines.map(line => ({
+    lineId: line.lineId,
+    ...calculateLineMargin(line, undefined, lineOptions)
+  }));
+
+  const partsCost = (options.parts || []).reduce((total, part) => {
+    return total + part.totalPrice * (costData.addOns[part.id] || 1);
+  }, 0);
+  const partsRevenue = (options.parts || []).reduce((total, part) => total + part.totalPrice, 0);
+  const laborCost = labor ? costData.installation * labor.multiplier * (labor.laborUnits || 1) * labor.quantity : 0;
+
+  const cost = ['product', 'addOns', 'installation', 'total'].reduce((totals, key) => ({
+    ...totals,
+    [key]: roundCurrency(lineMargins.reduce((total, margin) => total + margin.cost[key], 0) +
+      (key === 'addOns' || key === 'total' ? partsCost : 0) +
+      (key === 'installation' || key === 'total' ? laborCost : 0))
+  }), {});
+
+  const listRevenue = lineMargins.reduce((total, margin) => total + margin.revenue, 0) + partsRevenue +
+    (labor ? labor.total : 0);
+
+  return {
+    ...calculateMargin(typeof revenue === 'number' ? revenue : listRevenue, cost),
+    lines: lineMargins
+  };
+}
+
+/**
+ * Check a margin against the floor
+ * @param {Object} margin - Margin details
+ * @returns {Object|null} - Violation with message and floorPrice, or null when the price is allowed
+ */
+export function checkMarginFloor(margin) {
+  if (margin.status !== 'below-floor') {
+    return null;
+  }
+
+  return {
+    blocked: marginPolicy.enforcement === 'block',
+    floorMargin: marginPolicy.floorMargin,
+    floorPrice: margin.floorPrice,
+    message: `Price of $${margin.revenue.toFixed(2)} is below the ${Math.round(marginPolicy.floorMargin * 100)}% margin floor ` +
+      `(minimum $${margin.floorPrice.toFixed(2)})`
+  };
+}
+
+/**
+ * Calculate margin details from revenue and cost
+ * @param {number} revenue - Selling price
+ * @param {Object} cost - Cost breakdown with total
+ * @returns {Object} - Margin details
+ */
+export function calculateMargin(revenue, cost) {
+  const grossProfit = revenue - cost.total;
+  const grossMargin = revenue > 0 ? grossProfit / revenue : 0;
+  const commissionBase = marginPolicy.commissionBasis === 'gross-profit' ? Math.max(0, grossProfit) : revenue;
+
+  let status = 'ok';
+  if (grossMargin < marginPolicy.floorMargin) {
+    status = 'below-floor';
+  } else if (grossMargin < marginPolicy.targetMargin) {
+    status = 'below-target';
+  }
+
+  return {
+    revenue: roundCurrency(revenue),
+    cost,
+    grossProfit: roundCurrency(grossProfit),
+    grossMargin: Math.round(grossMargin * 10000) / 10000,
+    commission: roundCurrency(commissionBase * marginPolicy.commissionRate),
+    // Lowest price that still meets the floor
+    floorPrice: roundCurrency(cost.total / (1 - marginPolicy.floorMargin)),
+    status
+  };
+}
+
+/**
+ * Look up a cost rate
+ * @param {Object} rates - Rates by key
+ * @param {string} key - Option value
+ * @param {string} label - Option name for the error message
+ * @returns {number} - Rate
+ */
+function lookupCost(rates, key, label) {
+  if (typeof rates[key] !== 'number') {
+    throw new Error(`No cost data for ${label} "${key}"`);
+  }
+
+  return rates[key];
+}
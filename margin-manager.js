@@ -0,0 +1,60 @@
+// Margin Manager Backend Service for WindowVisor Dashboard
+// This file decides which members may see costs and margins, and removes them from prices
+// sent to anyone else, so they never reach the browser of a member who can't view them
+
+import { currentMember } from 'wix-members-backend';
+
+import { canViewMargins } from '../margin-calculator';
+
+// Shown instead of the margin floor message to members who can't see margins
+export const MARGIN_BLOCKED_MESSAGE = 'Not available at this price';
+
+/**
+ * Check whether the signed-in member has a role that may see costs and margins
+ * @returns {Promise<boolean>} - Whether margins may be shown
+ */
+export async function canMemberViewMargins() {
+  try {
+    const roles = await currentMember.getRoles();
+    return roles.some(role => canViewMargins(role.title));
+  } catch (error) {
+    console.error('Failed to get member roles:', error);
+    return false;
+  }
+}
+
+/**
+ * Remove margins from a calculator price for a member who can't see them
+ * A price the margin floor blocked gets a role-neutral error in place of the floor message
+ * @param {Object} price - Calculator state ({ results, error, violations }) or a package column
+ * @returns {Object} - Price without margins, with marginBlocked set when the floor blocked it
+ */
+export function hidePriceMargins(price) {
+  const marginBlocked = isMarginBlocked(price);
+
+  return {
+    ...omitMargins(price),
+    ...(price.results ? { results: omitMargins(price.results) } : {}),
+    error: marginBlocked ? MARGIN_BLOCKED_MESSAGE : price.error,
+    violations: marginBlocked ? [] : price.violations,
+    marginBlocked
+  };
+}
+
+/**
+ * Check whether a calculator price failed because of the margin floor
+ * @param {Object} price - Calculator state or package column
+ * @returns {boolean} - True when the margin floor blocked the price
+ */
+function isMarginBlocked(price) {
+  return Boolean(price.error) && (price.violations || []).some(violation => violation.limit === 'floorMargin');
+}
+
+/**
+ * Drop the margin fields the calculator adds to priced results
+ * @param {Object} priced - Results, calculator state or package column
+ * @returns {Object} - The same fields without margin, marginWarning and blockedResults
+ */
+function omitMargins({ margin, marginWarning, blockedResults, ...visible }) {
+  return visible;
+}
@@ -0,0 +1,202 @@
+// Measurement Utilities for Warnke Windows WindowVisor Dashboard
+// This file parses field measurements into inches and formats them back for display
+
+// Measurements are normalized to the nearest 1/16"
+const PRECISION = 16;
+
+// Inches per unit
+const UNIT_FACTORS = {
+  in: 1,
+  ft: 12,
+  mm: 1 / 25.4,
+  cm: 1 / 2.54,
+  m: 1 / 0.0254
+};
+
+// Single-character fractions that show up in typed and extracted measurements
+const UNICODE_FRACTIONS = {
+  '¼': '1/4',
+  '½': '1/2',
+  '¾': '3/4',
+  '⅛': '1/8',
+  '⅜': '3/8',
+  '⅝': '5/8',
+  '⅞': '7/8'
+};
+
+// Display notations reps can choose from in Settings
+export const MEASUREMENT_NOTATIONS = [
+  { id: 'fraction', name: 'Fractional (35 1/2")' },
+  { id: 'dash', name: 'Dashed fraction (35-1/2")' },
+  { id: 'decimal', name: 'Decimal (35.5")' },
+  { id: 'feet-inches', name: 'Feet and inches (2\' 11 1/2")' },
+  { id: 'mm', name: 'Millimetres (902 mm)' }
+];
+
+export const DEFAULT_NOTATION = 'fraction';
+
+// A single inch measurement inside free text: 35, 35.5, 35 1/2, 35-1/2, with an optional inch mark
+export const MEASUREMENT_PATTERN = '\\d+(?:\\.\\d+)?(?:(?:\\s+|-)\\d+\\/\\d+)?\\s*(?:"|”|″|in\\b)?';
+
+/**
+ * Create a regex that matches "width x height" pairs in free text
+ * Capture groups 1 and 2 hold the width and height measurements; a pair can't start or end inside
+ * a longer number, so the tail of a phone number and its extension ("555-1234 x 12") isn't a size
+ * @returns {RegExp} - Global, case-insensitive regex
+ */
+export function createDimensionRegex() {
+  return new RegExp(`(?<![\\d.\\/-])(${MEASUREMENT_PATTERN})\\s*(?:x|×)\\s*(${MEASUREMENT_PATTERN})(?![\\d\\/])`, 'gi');
+}
+
+/**
+ * Parse a field measurement into inches
+ * Accepts plain numbers, fractions ("35 1/2", "35-1/2\"", "6-9/16"),
+ * feet and inches ("3' 4\"", "3 ft 4 in") and metric values ("900mm", "90 cm")
+ * @param {string|number} value - The measurement
+ * @param {string} defaultUnit - Unit for values without one ('in', 'ft', 'mm', 'cm', 'm')
+ * @returns {number|null} - Inches rounded to 1/16", or null if the value can't be parsed
+ */
+export function parseMeasurement(value, defaultUnit = 'in') {
+  const defaultFactor = UNIT_FACTORS[defaultUnit] || 1;
+
+  if (typeof value === 'number') {
+    return isFinite(value) ? roundToSixteenth(value * defaultFactor) : null;
+  }
+
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  const text = String(value)
+    .trim()
+    .toLowerCase()
+    .replace(/[”″]/g, '"')
+    .replace(/[’′]/g, "'")
+    .replace(/\s*([¼½¾⅛⅜⅝⅞])/g, (match, fraction) => ` ${UNICODE_FRACTIONS[fraction]}`)
+    .trim();
+
+  if (text === '') {
+    return null;
+  }
+
+  // Metric values
+  const metricMatch = text.match(/^(\d+(?:\.\d+)?)\s*(mm|cm|m)$/);
+  if (metricMatch) {
+    return roundToSixteenth(parseFloat(metricMatch[1]) * UNIT_FACTORS[metricMatch[2]]);
+  }
+
+  // Feet, optionally followed by inches
+  const feetMatch = text.match(/^(\d+(?:\.\d+)?)\s*(?:'|ft\.?|feet|foot)\s*-?\s*(.*)$/);
+  if (feetMatch) {
+    const inches = feetMatch[2] === '' ? 0 : parseInches(feetMatch[2]);
+    return inches === null ? null : roundToSixteenth(parseFloat(feetMatch[1]) * 12 + inches);
+  }
+
+  // Inches; values without an explicit unit use the default unit
+  const hasInchMark = /("|in\.?|inch(?:es)?)$/.test(text);
+  const inches = parseInches(text);
+
+  if (inches === null) {
+    return null;
+  }
+
+  return roundToSixteenth(hasInchMark ? inches : inches * defaultFactor);
+}
+
+/**
+ * Format inches for display in a notation
+ * @param {number} inches - The measurement in inches
+ * @param {string} notation - One of MEASUREMENT_NOTATIONS
+ * @returns {string} - Formatted measurement, or '' for missing values
+ */
+export function formatMeasurement(inches, notation = DEFAULT_NOTATION) {
+  if (inches === null || inches === undefined || isNaN(inches)) {
+    return '';
+  }
+
+  const value = roundToSixteenth(inches);
+
+  switch (notation) {
+    case 'decimal':
+      return `${parseFloat(value.toFixed(4))}"`;
+    case 'dash':
+      return `${formatFraction(value, '-')}"`;
+    case 'feet-inches': {
+      const feet = Math.floor(value / 12);
+      const remainder = formatFraction(value - feet * 12, ' ');
+      return feet > 0 ? `${feet}' ${remainder}"` : `${remainder}"`;
+    }
+    case 'mm':
+      return `${Math.round(value * 25.4)} mm`;
+    default:
+      return `${formatFraction(value, ' ')}"`;
+  }
+}
+
+/**
+ * Round inches to the nearest 1/16"
+ * @param {number} inches - The measurement in inches
+ * @returns {number} - Rounded measurement
+ */
+export function roundToSixteenth(inches) {
+  return Math.round(inches * PRECISION) / PRECISION;
+}
+
+/**
+ * Parse an inch value with an optional whole number and fraction
+ * @param {string} text - Lowercased measurement text
+ * @returns {number|null} - Inches, or null if the text isn't an inch value
+ */
+function parseInches(text) {
+  const cleaned = text.replace(/\s*("|in\.?|inch(?:es)?)$/, '').trim();
+
+  // Decimal or whole inches
+  if (/^\d+(?:\.\d+)?$/.test(cleaned)) {
+    return parseFloat(cleaned);
+  }
+
+  // Whole inches and a fraction, separated by a space or dash
+  const mixedMatch = cleaned.match(/^(\d+)(?:\s+|\s*-\s*)(\d+)\s*\/\s*(\d+)$/);
+  if (mixedMatch) {
+    const denominator = parseInt(mixedMatch[3], 10);
+    return denominator > 0 ?
+      parseInt(mixedMatch[1], 10) + parseInt(mixedMatch[2], 10) / denominator : null;
+  }
+
+  // Fraction only
+  const fractionMatch = cleaned.match(/^(\d+)\s*\/\s*(\d+)$/);
+  if (fractionMatch) {
+    const denominator = parseInt(fractionMatch[2], 10);
+    return denominator > 0 ? parseInt(fractionMatch[1], 10) / denominator : null;
+  }
+
+  return null;
+}
+
+/**
+ * Format inches as a whole number and reduced fraction of sixteenths
+ * @param {number} inches - Inches, already rounded to 1/16"
+ * @param {string} separator - Separator between whole number and fraction
+ * @returns {string} - e.g. "35 1/2" or "6-9/16"
+ */
+function formatFraction(inches, separator) {
+  let whole = Math.floor(inches);
+  let numerator = Math.round((inches - whole) * PRECISION);
+  let denominator = PRECISION;
+
+  if (numerator === PRECISION) {
+    whole += 1;
+    numerator = 0;
+  }
+
+  if (numerator === 0) {
+    return `${whole}`;
+  }
+
+  while (numerator % 2 === 0) {
+    numerator /= 2;
+    denominator /= 2;
+  }
+
+  return whole > 0 ? `${whole}${separator}${numerator}/${denominator}` : `${numerator}/${denominator}`;
+}
@@ -0,0 +1,60 @@
+// Option Packages for Warnke Windows WindowVisor Dashboard
+// This file defines the Good / Better / Best packages reps present side by side
+
+// Packages in display order; options are laid over each window's own options when it is priced
+export const DEFAULT_OPTION_PACKAGES = [
+  {
+    id: 'good',
+    name: 'Good',
+    description: 'Vinyl frame with double-pane glass',
+    options: { material: 'vinyl', glassType: 'double-pane' }
+  },
+  {
+    id: 'better',
+    name: 'Better',
+    description: 'Fiberglass frame with Low-E glass',
+    options: { material: 'fiberglass', glassType: 'low-e' }
+  },
+  {
+    id: 'best',
+    name: 'Best',
+    description: 'Composite frame with triple-pane glass',
+    options: { material: 'composite', glassType: 'triple-pane' }
+  }
+];
+
+let optionPackages = DEFAULT_OPTION_PACKAGES;
+
+/**
+ * Get the configured option packages
+ * @returns {Array} - Option packages
+ */
+export function getOptionPackages() {
+  return optionPackages;
+}
+
+/**
+ * Replace the configured option packages
+ * @param {Array} packages - Packages ({ id, name, description, options }), or null to restore the defaults
+ * @returns {Array} - Configured option packages
+ */
+export function setOptionPackages(packages) {
+  if (packages) {
+    const ids = new Set();
+
+    packages.forEach(optionPackage => {
+      if (!optionPackage.id || !optionPackage.options) {
+        throw new Error('Each option package needs an id and options');
+      }
+
+      if (ids.has(optionPackage.id)) {
+        throw new Error(`Duplicate option package "${optionPackage.id}"`);
+      }
+
+      ids.add(optionPackage.id);
+    });
+  }
+
+  optionPackages = packages || DEFAULT_OPTION_PACKAGES;
+  return optionPackages;
+}
@@ -0,0 +1,153 @@
+// Price Book Manager Backend Service for WindowVisor Dashboard
+// This file implements the backend APIs for versioned price books with effective dates
+
+import {
+  createDocument,
+  queryDocuments
+} from 'wix-data';
+
+import { getPricingMatrix } from '../pricing-matrix';
+import { flushPriceCache } from '../price-cache';
+import { parsePricingWorkbook } from './pricingWorkbook';
+
+// Collection names
+const PRICE_BOOKS_COLLECTION = 'PriceBooks';
+
+/**
+ * Create a price book version
+ * @param {Object} priceBook - version, name, effectiveFrom, effectiveTo (null = open-ended) and matrix
+ * @returns {Promise<Object>} - Created price book
+ */
+export async function createPriceBook(priceBook) {
+  const effectiveFrom = new Date(priceBook.effectiveFrom);
+  const effectiveTo = priceBook.effectiveTo ? new Date(priceBook.effectiveTo) : null;
+
+  if (!priceBook.version) {
+    throw new Error('Price book version is required');
+  }
+
+  if (isNaN(effectiveFrom.getTime()) || (effectiveTo && isNaN(effectiveTo.getTime()))) {
+    throw new Error('Price book effective dates are not valid');
+  }
+
+  if (effectiveTo && effectiveTo <= effectiveFrom) {
+    throw new Error('Price book must end after it starts');
+  }
+
+  if (!priceBook.matrix) {
+    throw new Error('Price book has no prices');
+  }
+
+  if (await getPriceBook(priceBook.version)) {
+    throw new Error(`Price book version "${priceBook.version}" already exists`);
+  }
+
+  try {
+    return await createDocument(PRICE_BOOKS_COLLECTION, {
+      version: priceBook.version,
+      name: priceBook.name || priceBook.version,
+      effectiveFrom,
+      effectiveTo,
+      matrix: { ...priceBook.matrix, version: priceBook.version },
+      createdAt: new Date()
+    });
+  } catch (error) {
+    console.error('Failed to create price book:', error);
+    throw new Error('Failed to create price book. Please try again.');
+  }
+}
+
+/**
+ * Create a price book version from a pricing workbook
+ * @param {ArrayBuffer|Uint8Array} data - Contents of the .xlsx workbook
+ * @param {Object} details - version, name, effectiveFrom and effectiveTo
+ * @returns {Promise<Object>} - Created price book
+ */
+export async function importPriceBookWorkbook(data, details) {
+  return createPriceBook({
+    ...details,
+    matrix: parsePricingWorkbook(data)
+  });
+}
+
+/**
+ * Get all price books, newest effective date first
+ * @returns {Promise<Array>} - Price books
+ */
+export async function getPriceBooks() {
+  try {
+    const query = queryDocuments(PRICE_BOOKS_COLLECTION)
+      .descending('effectiveFrom');
+
+    const results = await query.find();
+    return results.items;
+  } catch (error) {
+    console.error('Failed to get price books:', error);
+    throw new Error('Failed to get price books. Please try again.');
+  }
+}
+
+/**
+ * Get a price book by version
+ * @param {string} version - Price book version
+ * @returns {Promise<Object|null>} - Price book, or null if there is no such version
+ */
+export async function getPriceBook(version) {
+  try {
+    const query = queryDocuments(PRICE_BOOKS_COLLECTION)
+      .eq('version', version);
+
+    const results = await query.find();
+    return results.items[0] || null;
+  } catch (error) {
+    console.error('Failed to get price book:', error);
+    throw new Error('Failed to get price book. Please try again.');
+  }
+}
+
+/**
+ * Get the price book in effect on a date
+ * When effective ranges overlap, the one that started most recently wins
+ * @param {Date} date - Date to price on
+ * @returns {Promise<Object|null>} - Price book, or null if none is in effect
+ */
+export async function getEffectivePriceBook(date = new Date()) {
+  try {
+    const pricingDate = new Date(date);
+
+    const query = queryDocuments(PRICE_BOOKS_COLLECTION)
+      .le('effectiveFrom', pricingDate)
+      .descending('effectiveFrom');
+
+    const results = await query.find();
+
+    return results.items
+      .filter(priceBook => !priceBook.effectiveTo || new Date(priceBook.effectiveTo) >= pricingDate)
+      .sort((a, b) => new Date(b.effectiveFrom) - new Date(a.effectiveFrom))[0] || null;
+  } catch (error) {
+    console.error('Failed to get effective price book:', error);
+    throw new Error('Failed to get effective price book. Please try again.');
+  }
+}
+
+/**
+ * Get the pricing matrix in effect on a date, to pass to the calculator
+ * The active pricing matrix isn't changed, so comparisons priced at the same time can't switch
+ * each other's prices. Without a price book in effect this is the workbook's own matrix
+ * @param {Date} date - Date to price on
+ * @returns {Promise<Object>} - Pricing matrix, with its price book version
+ */
+export async function getEffectivePricingMatrix(date = new Date()) {
+  const priceBook = await getEffectivePriceBook(date);
+
+  return priceBook ? { ...priceBook.matrix, version: priceBook.version } : getPricingMatrix();
+}
+
+/**
+ * Clear the backend's price cache
+ * Comparisons are priced in the backend, so clearing the browser's cache alone leaves their prices cached
+ * @returns {Promise<number>} - Number of cached prices removed
+ */
+export async function flushBackendPriceCache() {
+  return flushPriceCache();
+}
@@ -0,0 +1,167 @@
+// Price Cache for Warnke Windows WindowVisor Dashboard
+// This file caches pricing backend responses by normalized measurements and options,
+// tagged with the price book version so prices from an old price book are never reused
+
+import { getPriceBookVersion } from './pricing-matrix';
+import { getUIBracketConfigVersion } from './united-inches';
+import { getLaborFactorsVersion } from './labor-pricing';
+
+export const DEFAULT_PRICE_CACHE_CONFIG = {
+  enabled: true,
+  ttlMs: 15 * 60 * 1000,
+  maxEntries: 500
+};
+
+let priceCacheConfig = DEFAULT_PRICE_CACHE_CONFIG;
+
+// Cached responses by key, in insertion order so the oldest are evicted first
+let entries = new Map();
+let cachedVersion = null;
+let stats = { hits: 0, misses: 0, evictions: 0 };
+
+/**
+ * Get the price cache configuration
+ * @returns {Object} - enabled, ttlMs and maxEntries
+ */
+export function getPriceCacheConfig() {
+  return priceCacheConfig;
+}
+
+/**
+ * Update the price cache configuration
+ * @param {Object} config - Fields to change, or null to restore the defaults
+ * @returns {Object} - Price cache configuration
+ */
+export function setPriceCacheConfig(config) {
+  priceCacheConfig = config ? { ...priceCacheConfig, ...config } : DEFAULT_PRICE_CACHE_CONFIG;
+
+  if (!priceCacheConfig.enabled) {
+    entries.clear();
+  }
+
+  return priceCacheConfig;
+}
+
+/**
+ * Build the cache key for a single-window pricing request
+ * Measurements are already normalized to inches; option values are trimmed and lowercased,
+ * and unset options are left out so { jambDepth: null } and {} share a key.
+ * The key includes the UI bracket and labor factor versions, so changing either stops old prices matching
+ * @param {Object} requestData - Request with measurements and options
+ * @param {string} backendId - Pricing backend the response came from
+ * @param {string} priceBookVersion - Version of the pricing matrix the request is priced with
+ *                                    (defaults to the active matrix)
+ * @returns {string} - Cache key
+ */
+export function createPriceCacheKey(requestData, backendId, priceBookVersion = getPriceBookVersion()) {
+  const { measurements, options } = requestData;
+
+  const normalizedOptions = Object.keys(options || {})
+    .filter(key => options[key] !== null && options[key] !== undefined && options[key] !== '')
+    .sort()
+    .map(key => `${key}=${String(options[key]).trim().toLowerCase()}`)
+    .join('&');
+
+  return [
+    backendId,
+    priceBookVersion,
+    `ui${getUIBracketConfigVersion()}.labor${getLaborFactorsVersion()}`,
+    measurements.width,
+    measurements.height,
+    measurements.quantity || 1,
+    normalizedOptions,
+    // Shaped windows with the same bounding box can differ in their other params
+    measurements.shapeParams ? JSON.stringify(measurements.shapeParams) : ''
+  ].join('|');
+}
+
+/**
+ * Look up a cached pricing response
+ * @param {string} key - Cache key
+ * @returns {Object|null} - Cached response, or null on a miss
+ */
+export function getCachedPrice(key) {
+  if (!priceCacheConfig.enabled) {
+    return null;
+  }
+
+  dropStaleVersion();
+
+  const entry = entries.get(key);
+
+  if (!entry || entry.expiresAt <= Date.now()) {
+    if (entry) {
+      entries.delete(key);
+    }
+    stats.misses += 1;
+    return null;
+  }
+
+  stats.hits += 1;
+  return entry.response;
+}
+
+/**
+ * Cache a successful pricing response
+ * @param {string} key - Cache key
+ * @param {Object} response - Pricing response
+ */
+export function setCachedPrice(key, response) {
+  if (!priceCacheConfig.enabled || !response || !response.success) {
+    return;
+  }
+
+  dropStaleVersion();
+
+  entries.delete(key);
+  entries.set(key, { response, expiresAt: Date.now() + priceCacheConfig.ttlMs });
+
+  while (entries.size > priceCacheConfig.maxEntries) {
+    entries.delete(entries.keys().next().value);
+    stats.evictions += 1;
+  }
+}
+
+/**
+ * Remove every cached price
+ * @returns {number} - Number of entries removed
+ */
+export function flushPriceCache() {
+  const flushed = entries.size;
+  entries = new Map();
+  return flushed;
+}
+
+/**
+ * Get cache hit/miss statistics
+ * @returns {Object} - hits, misses, hitRate (0-1), evictions, size and price book version
+ */
+export function getPriceCacheStats() {
+  const lookups = stats.hits + stats.misses;
+
+  return {
+    ...stats,
+    hitRate: lookups > 0 ? stats.hits / lookups : 0,
+    size: entries.size,
+    priceBookVersion: cachedVersion || getPriceBookVersion()
+  };
+}
+
+/**
+ * Reset the hit/miss statistics
+ */
+export function resetPriceCacheStats() {
+  stats = { hits: 0, misses: 0, evictions: 0 };
+}
+
+/**
+ * Drop every entry when the price book version has changed since they were cached
+ */
+function dropStaleVersion() {
+  const version = getPriceBookVersion();
+
+  if (cachedVersion !== version) {
+    entries.clear();
+    cachedVersion = version;
+  }
+}
@@ -6,8 +6,14 @@ import {
   getQuoteDetails,
   generateComparison,
   getComparisonDetails, 
-  getComparisonItems
+  getComparisonItems,
+  repriceComparison,
+  priceComparisonPackages
 } from '../backend/comparisonManager';
+import { canMemberViewMargins } from '../backend/marginManager';
+import { getFinancingPlans, getFinancingOptions } from '../financing';
+import { listQuoteCharges } from '../quote-charges';
+import { roundCurrency } from '../currency-utils';
 
 export function PriceComparisonWidget({ 
   quoteId, 
@@ -24,6 +30,15 @@ export function PriceComparisonWidget({
   const [comparisonItems, setComparisonItems] = useState([]);
   const [filter, setFilter] = useState('all');
   const [sortBy, setSortBy] = useState('default');
+  const [financingPlanId, setFinancingPlanId] = useState('');
+  const [isRepricing, setIsRepricing] = useState(false);
+  const [pricingVersions, setPricingVersions] = useState(null);
+  const [packagePrices, setPackagePrices] = useState(null);
+  const [isPricingPackages, setIsPricingPackages] = useState(false);
+  const [traceItemId, setTraceItemId] = useState(null);
+  
+  // Cost and margin are only shown to managers; the backend decides by the member's roles
+  const [showMargins, setShowMargins] = useState(false);
   const [error, setError] = useState(null);
   
   useEffect(() => {
@@ -34,10 +49,16 @@ export function PriceComparisonWidget({
     try {
       setIsLoading(true);
       setError(null);
+      setPricingVersions(null);
+      setPackagePrices(null);
       
       // Load quote details
-      const quote = await getQuoteDetails(quoteId);
+      const [quote, marginsVisible] = await Promise.all([
+        getQuoteDetails(quoteId),
+        canMemberViewMargins()
+      ]);
       setQuoteDetails(quote);
+      setShowMargins(marginsVisible);
       
       // If we have a comparison ID, load comparison details
       if (comparisonId) {
@@ -72,6 +93,125 @@ export function PriceComparisonWidget({
     }
   };
   
+  const handleReprice = async () => {
+    try {
+      setIsRepricing(true);
+      setError(null);
+      
+      // Repricing saves a new comparison; keep the original to switch back to it
+      const repriced = await repriceComparison(comparison.comparisonId);
+      
+      setPricingVersions({
+        original: { comparison, items: comparisonItems },
+        repriced
+      });
+      setComparison(repriced.comparison);
+      setComparisonItems(repriced.items);
+      setIsRepricing(false);
+    } catch (error) {
+      console.error('Failed to reprice comparison:', error);
+      setError(error.message || 'Failed to reprice comparison.');
+      setIsRepricing(false);
+    }
+  };
+  
+  const showPricingVersion = (version) => {
+    setComparison(pricingVersions[version].comparison);
+    setComparisonItems(pricingVersions[version].items);
+  };
+  
+  const handlePricePackages = async () => {
+    setIsPricingPackages(true);
+    setError(null);
+    
+    let calculation;
+    
+    try {
+      // Priced in the backend, with the price book the comparison was priced with
+      calculation = await priceComparisonPackages(comparison.comparisonId);
+    } catch (error) {
+      console.error('Failed to price packages:', error);
+      calculation = { error: error.message || 'Failed to price packages.' };
+    }
+    
+    if (calculation.error) {
+      setError(calculation.error);
+    } else {
+      setPackagePrices(calculation.results);
+    }
+    
+    setIsPricingPackages(false);
+  };
+  
+  const renderPackageComparison = () => {
+    // Assemblies aren't in the packages, so the competitor total only counts the windows that are
+    const excludedItems = comparisonItems.filter(item => packagePrices.excludedItemIds.includes(item.comparisonItemId));
+    const competitorTotal = excludedItems.length === 0 ? comparison.totalCompetitorPrice :
+      roundCurrency(packagePrices.rows.reduce((total, row) => {
+        const item = comparisonItems.find(entry => entry.comparisonItemId === row.lineId);
+        return total + (item ? item.competitorPrice : 0);
+      }, 0));
+    
+    return (
+      <div className="package-comparison">
+        <h3>Good / Better / Best</h3>
+        
+        <table className="package-table">
+          <thead>
+            <tr>
+              <th>Item</th>
+              <th>Competitor</th>
+              {packagePrices.columns.map(column => (
+                <th key={column.packageId}>
+                  {column.name}
+                  <div className="package-description">{column.description}</div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {packagePrices.rows.map((row, index) => {
+              const item = comparisonItems.find(entry => entry.comparisonItemId === row.lineId);
+              
+              return (
+                <tr key={row.lineId}>
+                  <td>{index + 1}. {row.measurements.width}" × {row.measurements.height}" (×{row.measurements.quantity})</td>
+                  <td className="price-cell">${item ? item.competitorPrice.toLocaleString() : '-'}</td>
+                  {row.cells.map(cell => (
+                    <td key={cell.packageId} className={`price-cell ${cell.error ? 'unavailable' : ''}`}>
+                      {cell.error ? (
+                        <span className="package-error" title={cell.error}>Not available</span>
+                      ) : (
+                        `$${cell.totalPrice.toLocaleString()}`
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              );
+            })}
+            <tr className="total-row">
+              <td>Total with installation</td>
+              <td className="price-cell">${competitorTotal.toLocaleString()}</td>
+              {packagePrices.columns.map(column => (
+                <td key={column.packageId} className="price-cell">
+                  {column.error ? column.error : `$${column.totalProject.toLocaleString()}`}
+                  {!column.error && renderMonthlyPayment(column.totalProject)}
+                </td>
+              ))}
+            </tr>
+          </tbody>
+        </table>
+        
+        {excludedItems.length > 0 && (
+          <p className="package-note">
+            Packages price single windows. {excludedItems.length} bay, bow, garden or mulled
+            {excludedItems.length === 1 ? ' unit is' : ' units are'} priced in the comparison only.
+          </p>
+        )}
+      </div>
+    );
+  };
+  
   const handleFilterChange = (event) => {
     setFilter(event.target.value);
   };
@@ -80,6 +220,41 @@ export function PriceComparisonWidget({
     setSortBy(event.target.value);
   };
   
+  const handleFinancingPlanChange = (event) => {
+    setFinancingPlanId(event.target.value);
+  };
+  
+  const getMonthlyPayment = (total) => {
+    const plan = getFinancingPlans().find(entry => entry.id === financingPlanId);
+    
+    if (!plan) {
+      return null;
+    }
+    
+    return getFinancingOptions(total, { plans: [plan] })[0];
+  };
+  
+  const renderMonthlyPayment = (total) => {
+    const payment = getMonthlyPayment(total);
+    
+    if (!payment) {
+      return null;
+    }
+    
+    return (
+      <p className="monthly-payment">
+        or ${payment.monthlyPayment.toLocaleString()}/mo
+        {payment.type === 'deferred-interest' && (
+          <span className="payment-note"> to pay off in {payment.promoMonths} months</span>
+        )}
+      </p>
+    );
+  };
+  
+  const formatMargin = (margin) => {
+    return margin ? `${(margin.grossMargin * 100).toFixed(1)}%` : 'n/a';
+  };
+  
   const getFilteredAndSortedItems = () => {
     let filtered = [...comparisonItems];
     
@@ -110,26 +285,88 @@ export function PriceComparisonWidget({
   const renderComparisonContent = () => {
     const filteredItems = getFilteredAndSortedItems();
     
+    const showingOriginal = pricingVersions && comparison === pricingVersions.original.comparison;
+    
     return (
       <>
+        <div className="price-book-info">
+          <p>
+            Priced with price book <strong>{comparison.priceBookVersion || 'unversioned'}</strong>
+            {comparison.pricedAt && ` on ${new Date(comparison.pricedAt).toLocaleDateString()}`}
+            {comparison.repricedFromComparisonId && ` (repriced from ${comparison.repricedFromPriceBookVersion || 'unversioned'})`}
+          </p>
+          
+          {pricingVersions ? (
+            <button 
+              className="text-button" 
+              onClick={() => showPricingVersion(showingOriginal ? 'repriced' : 'original')}
+            >
+              {showingOriginal ? 'Show Current Pricing' : 'Show As Originally Priced'}
+            </button>
+          ) : (
+            <button 
+              className="text-button" 
+              onClick={handleReprice}
+              disabled={isRepricing}
+            >
+              {isRepricing ? 'Repricing...' : 'Reprice with Current Price Book'}
+            </button>
+          )}
+        </div>
+        
         <div className="comparison-summary">
           <div className="summary-item">
             <h3>Competitor Total</h3>
             <p className="price">${comparison.totalCompetitorPrice.toLocaleString()}</p>
+            {renderMonthlyPayment(comparison.totalCompetitorPrice)}
           </div>
           
           <div className="summary-item">
             <h3>Warnke Windows Total</h3>
             <p className="price">${comparison.totalWarnkePrice.toLocaleString()}</p>
+            {renderMonthlyPayment(comparison.totalWarnkePrice)}
           </div>
           
           <div className="summary-item savings">
-            <h3>Your Savings</h3>
+            <h3>Your Savings on Windows</h3>
             <p className="price">${comparison.savingsAmount.toLocaleString()}</p>
             <p className="percentage">{comparison.savingsPercentage.toFixed(1)}%</p>
           </div>
+          
+          {comparison.energy && (
+            <div className="summary-item energy">
+              <h3>Est. Energy Savings</h3>
+              <p className="price">${comparison.energy.annualSavings.toLocaleString()}/yr</p>
+              <p className="payback">
+                {comparison.energy.paybackYears ? `${comparison.energy.paybackYears} yr payback` : ''}
+                <span className="climate-zone"> {comparison.energy.climateZoneName}</span>
+              </p>
+            </div>
+          )}
+          
+          {showMargins && (
+            <div className={`summary-item margin ${comparison.margin ? comparison.margin.status : ''}`}>
+              <h3>Gross Margin</h3>
+              <p className="price">{formatMargin(comparison.margin)}</p>
+              {comparison.margin && (
+                <p className="commission">Commission ${comparison.margin.commission.toLocaleString()}</p>
+              )}
+            </div>
+          )}
         </div>
         
+        {showMargins && comparison.marginWarning && (
+          <div className="warning-message margin-warning">
+            <p>{comparison.marginWarning}</p>
+          </div>
+        )}
+        
+        {!showMargins && comparison.marginBlocked && (
+          <div className="warning-message margin-warning">
+            <p>This price is below the margin floor and can't be offered. Please ask a manager to review it.</p>
+          </div>
+        )}
+        
         <div className="comparison-filters">
           <div className="filter-group">
             <label>Filter:</label>
@@ -151,6 +388,16 @@ export function PriceComparisonWidget({
               <option value="price-low">Lowest Price First</option>
             </select>
           </div>
+          
+          <div className="filter-group">
+            <label>Financing:</label>
+            <select value={financingPlanId} onChange={handleFinancingPlanChange}>
+              <option value="">Cash Price</option>
+              {getFinancingPlans().map(plan => (
+                <option key={plan.id} value={plan.id}>{plan.name}</option>
+              ))}
+            </select>
+          </div>
         </div>
         
         <div className="comparison-table-container">
@@ -164,14 +411,13 @@ export function PriceComparisonWidget({
                 <th>Warnke Windows Product</th>
                 <th>Warnke Windows Price</th>
                 <th>Your Savings</th>
+                {showMargins && <th>Margin</th>}
               </tr>
             </thead>
             <tbody>
               {filteredItems.map((item, index) => (
-                <tr 
-                  key={item.comparisonItemId} 
-                  className={item.savingsAmount > 0 ? 'savings-row' : ''}
-                >
+                <React.Fragment key={item.comparisonItemId}>
+                <tr className={item.savingsAmount > 0 ? 'savings-row' : ''}>
                   <td>{index + 1}</td>
                   <td>{item.quantity}</td>
                   <td className="product-cell">
@@ -200,12 +446,40 @@ export function PriceComparisonWidget({
                         <span>{item.warnkeOptions}</span>
                       )}
                     </div>
+                    {item.warnkeAssembly && (
+                      <div className="assembly-details">
+                        {item.warnkeAssembly.label}: {item.warnkeAssembly.units.length} units
+                        {item.warnkeAssembly.parts.map(part => (
+                          <span key={part.id}> + {part.label}</span>
+                        ))}
+                      </div>
+                    )}
+                    {item.energy && (
+                      <div className="energy-details">
+                        <span>U-factor {item.energy.performance.uFactor}</span>
+                        <span>SHGC {item.energy.performance.shgc}</span>
+                        <span>Saves ~${item.energy.annualSavings.toLocaleString()}/yr</span>
+                      </div>
+                    )}
                   </td>
                   <td className="price-cell">
                     ${item.warnkePrice.toLocaleString()}
                     <div className="unit-price">
                       ${(item.warnkePrice / item.quantity).toLocaleString()} each
                     </div>
+                    {typeof item.warnkeLaborPrice === 'number' && (
+                      <div className="labor-price">
+                        + ${item.warnkeLaborPrice.toLocaleString()} labor
+                      </div>
+                    )}
+                    {item.priceTrace && item.priceTrace.length > 0 && (
+                      <button
+                        className="trace-toggle"
+                        onClick={() => setTraceItemId(traceItemId === item.comparisonItemId ? null : item.comparisonItemId)}
+                      >
+                        {traceItemId === item.comparisonItemId ? 'Hide breakdown' : 'Why this price?'}
+                      </button>
+                    )}
                   </td>
                   <td className={`savings-cell ${item.savingsAmount >= 0 ? 'positive' : 'negative'}`}>
                     ${Math.abs(item.savingsAmount).toLocaleString()}
@@ -213,6 +487,80 @@ export function PriceComparisonWidget({
                       {item.savingsAmount >= 0 ? 'Save' : 'Add'} {item.savingsPercentage.toFixed(1)}%
                     </div>
                   </td>
+                  {showMargins && (
+                    <td className={`margin-cell ${item.margin ? item.margin.status : ''}`}>
+                      {formatMargin(item.margin)}
+                    </td>
+                  )}
+                </tr>
+                {traceItemId === item.comparisonItemId && item.priceTrace && (
+                  <tr className="trace-row">
+                    <td colSpan={showMargins ? 8 : 7}>
+                      <table className="price-trace">
+                        <tbody>
+                          {item.priceTrace.map((step, stepIndex) => (
+                            <tr key={stepIndex} className={`trace-step ${step.type}`}>
+                              <td>{step.label}</td>
+                              <td className="trace-rule">{step.rule}</td>
+                              <td className="price-cell">
+                                {step.amount < 0 ? '-' : '+'}${Math.abs(step.amount).toLocaleString()}
+                              </td>
+                              <td className="price-cell">${step.runningTotal.toLocaleString()}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </td>
+                  </tr>
+                )}
+                </React.Fragment>
+              ))}
+              {comparison.competitorCharges && typeof comparison.warnkeSubtotal === 'number' && (
+                <tr className="windows-subtotal-row">
+                  <td colSpan="3">Windows</td>
+                  <td className="price-cell">${comparison.competitorCharges.windowsSubtotal.toLocaleString()}</td>
+                  <td></td>
+                  <td className="price-cell">${comparison.warnkeSubtotal.toLocaleString()}</td>
+                  <td className={`savings-cell ${comparison.savingsAmount >= 0 ? 'positive' : 'negative'}`}>
+                    ${Math.abs(comparison.savingsAmount).toLocaleString()}
+                    <div className="savings-percentage">
+                      {comparison.savingsAmount >= 0 ? 'Save' : 'Add'} {comparison.savingsPercentage.toFixed(1)}%
+                    </div>
+                  </td>
+                  {showMargins && <td></td>}
+                </tr>
+              )}
+              {listQuoteCharges(comparison.competitorCharges).map(charge => (
+                <tr key={`competitor-${charge.chargeType}`} className={`competitor-charge-row ${charge.chargeType}`}>
+                  <td colSpan="3">Competitor {charge.label}</td>
+                  <td className="price-cell">
+                    {charge.amount < 0 ? '-' : ''}${Math.abs(charge.amount).toLocaleString()}
+                  </td>
+                  <td></td>
+                  <td></td>
+                  <td></td>
+                  {showMargins && <td></td>}
+                </tr>
+              ))}
+              {comparison.warnkeInstallation > 0 && (
+                <tr className="installation-row">
+                  <td colSpan="5">Warnke Windows Installation</td>
+                  <td className="price-cell">${comparison.warnkeInstallation.toLocaleString()}</td>
+                  <td></td>
+                  {showMargins && <td></td>}
+                </tr>
+              )}
+              {comparison.warnkeAdjustments && comparison.warnkeAdjustments.lines.map((line, index) => (
+                <tr key={`adjustment-${index}`} className={`adjustment-row ${line.type}`}>
+                  <td colSpan="5">
+                    {line.label}
+                    {line.rule && <span className="adjustment-rule">{line.rule}</span>}
+                  </td>
+                  <td className="price-cell">
+                    {line.amount < 0 ? '-' : ''}${Math.abs(line.amount).toLocaleString()}
+                  </td>
+                  <td></td>
+                  {showMargins && <td></td>}
                 </tr>
               ))}
               <tr className="total-row">
@@ -220,19 +568,21 @@ export function PriceComparisonWidget({
                 <td className="price-cell">${comparison.totalCompetitorPrice.toLocaleString()}</td>
                 <td></td>
                 <td className="price-cell">${comparison.totalWarnkePrice.toLocaleString()}</td>
-                <td className={`savings-cell ${comparison.savingsAmount >= 0 ? 'positive' : 'negative'}`}>
-                  ${Math.abs(comparison.savingsAmount).toLocaleString()}
-                  <div className="savings-percentage">
-                    {comparison.savingsAmount >= 0 ? 'Save' : 'Add'} {comparison.savingsPercentage.toFixed(1)}%
-                  </div>
-                </td>
+                <td></td>
+                {showMargins && (
+                  <td className={`margin-cell ${comparison.margin ? comparison.margin.status : ''}`}>
+                    {formatMargin(comparison.margin)}
+                  </td>
+                )}
               </tr>
             </tbody>
           </table>
         </div>
         
+        {packagePrices && renderPackageComparison()}
+        
         <div className="disclaimer">
-          <p>* All prices include standard installation. Actual savings may vary based on site conditions and final measurements.</p>
+          <p>* Warnke Windows totals include standard installation; savings compare window prices only. Actual savings may vary based on site conditions and final measurements.</p>
         </div>
         
         <div className="comparison-actions">
@@ -248,6 +598,13 @@ export function PriceComparisonWidget({
           >
             Print Comparison
           </button>
+          <button 
+            className="secondary-button" 
+            onClick={handlePricePackages}
+            disabled={isPricingPackages}
+          >
+            {isPricingPackages ? 'Pricing Packages...' : 'Good / Better / Best'}
+          </button>
           <button 
             className="primary-button" 
             onClick={() => onVisualize(comparison.comparisonId)}
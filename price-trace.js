@@ -0,0 +1,107 @@
+// Price Trace for Warnke Windows WindowVisor Dashboard
+// This file builds the step-by-step explanation of a price: the baseline, each multiplier,
+// add-on, labor and adjustment, with the rule that produced it and the running total
+
+import { roundCurrency } from './currency-utils';
+
+/**
+ * Add steps to a price trace, working out each step's amount and running total
+ * A step sets amount (added to the running total), multiplier (applied to it) or total
+ * (the running total after the step, where rounding happened upstream)
+ * @param {Array} trace - Trace so far
+ * @param {Array} steps - Steps ({ type, label, rule } plus amount, multiplier or total)
+ * @returns {Array} - New trace; each step has amount and runningTotal
+ */
+export function appendTraceSteps(trace, steps) {
+  let runningTotal = trace.length > 0 ? trace[trace.length - 1].runningTotal : 0;
+
+  return [
+    ...trace,
+    ...steps.map(({ total, ...step }) => {
+      let nextTotal = runningTotal + (step.amount || 0);
+
+      if (typeof total === 'number') {
+        nextTotal = total;
+      } else if (typeof step.multiplier === 'number') {
+        nextTotal = runningTotal * step.multiplier;
+      }
+
+      const entry = {
+        ...step,
+        amount: roundCurrency(nextTotal - runningTotal),
+        runningTotal: roundCurrency(nextTotal)
+      };
+
+      runningTotal = entry.runningTotal;
+      return entry;
+    })
+  ];
+}
+
+/**
+ * Trace steps for priced add-ons
+ * @param {Array} addOns - Priced add-ons ({ id, label, pricePerWindow, totalPrice })
+ * @param {number} quantity - Windows in the line
+ * @returns {Array} - Steps
+ */
+export function traceAddOns(addOns, quantity) {
+  return addOns.map(addOn => ({
+    type: 'add-on',
+    label: addOn.label,
+    rule: `$${addOn.pricePerWindow.toFixed(2)} per window × ${quantity}`,
+    amount: addOn.totalPrice
+  }));
+}
+
+/**
+ * Trace step for labor
+ * @param {Object} labor - Labor line from the labor pricing module
+ * @returns {Object} - Step
+ */
+export function traceLabor(labor) {
+  if (!labor.adjustments) {
+    return { type: 'labor', label: 'Labor', rule: 'Installation from the pricing backend', amount: labor.total };
+  }
+
+  const factors = labor.adjustments
+    .filter(adjustment => adjustment.multiplier !== 1)
+    .map(adjustment => ` × ${adjustment.multiplier} ${adjustment.label}`)
+    .join('');
+  const source = labor.laborMatrixId ? `Labor Matrix ${labor.laborMatrixId}` : 'standard rate';
+  const placeholder = labor.placeholder ? ' (placeholder labor, not from the workbook)' : '';
+  const assembly = labor.laborUnits ? ` × ${labor.laborUnits} installs per ${labor.assemblyLabel.toLowerCase()}` : '';
+
+  return {
+    type: 'labor',
+    label: 'Labor',
+    rule: `$${labor.baseRate.toFixed(2)} per window (${source})${factors}${assembly} × ${labor.quantity}${placeholder}`,
+    amount: labor.total
+  };
+}
+
+/**
+ * Trace steps for promotion, discount and tax lines
+ * @param {Object} adjustments - Results of applyPricingAdjustments
+ * @returns {Array} - Steps
+ */
+export function traceAdjustments(adjustments) {
+  return adjustments.lines.map(line => ({
+    type: line.type,
+    label: line.label,
+    rule: line.rule || '',
+    amount: line.amount
+  }));
+}
+
+/**
+ * Describe a trace as lines of text, for saved quotes and printouts
+ * @param {Array} trace - Price trace
+ * @returns {Array} - One line per step
+ */
+export function describeTrace(trace) {
+  return trace.map(step => {
+    const sign = step.amount < 0 ? '-' : '+';
+    const rule = step.rule ? ` (${step.rule})` : '';
+    return `${step.label}${rule}: ${sign}$${Math.abs(step.amount).toFixed(2)} = $${step.runningTotal.toFixed(2)}`;
+  });
+}
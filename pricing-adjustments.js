@@ -0,0 +1,306 @@
+// Pricing Adjustments for Warnke Windows WindowVisor Dashboard
+// This file applies promotions, rep discounts and sales tax on top of calculated prices
+
+import { roundCurrency } from './currency-utils';
+
+// Sales tax rates by state, with zip code overrides for local rates, until rates are set with setTaxRates
+export const DEFAULT_TAX_RATES = {
+  states: {
+    MN: 0.06875,
+    WI: 0.05,
+    IA: 0.06,
+    ND: 0.05,
+    SD: 0.042
+  },
+  zips: {}
+};
+
+let taxRates = DEFAULT_TAX_RATES;
+
+// Whether installation labor is taxed along with the windows
+const TAX_INSTALLATION = false;
+
+// Promotions offered to every customer while their date range is active
+// Examples:
+//   { id: 'spring-10', label: 'Spring Sale', type: 'percentage', value: 10, startsAt: '2026-03-01', endsAt: '2026-05-31' }
+//   { id: 'b4g1', label: 'Buy 4 Get 1 Free', type: 'buy-get', buy: 4, get: 1 }
+let activePromotions = [];
+
+/**
+ * Get the configured promotions
+ * @returns {Array} - Promotions
+ */
+export function getPromotions() {
+  return activePromotions;
+}
+
+/**
+ * Replace the configured promotions
+ * @param {Array} promotions - Promotions
+ * @returns {Array} - Configured promotions
+ */
+export function setPromotions(promotions) {
+  activePromotions = promotions || [];
+  return activePromotions;
+}
+
+/**
+ * Get the sales tax rates
+ * @returns {Object} - Rates by state and by zip code
+ */
+export function getTaxRates() {
+  return taxRates;
+}
+
+/**
+ * Update the sales tax rates
+ * @param {Object} rates - states and/or zips tables to replace, or null to restore the defaults
+ * @returns {Object} - Sales tax rates
+ */
+export function setTaxRates(rates) {
+  taxRates = rates ? { ...taxRates, ...rates } : DEFAULT_TAX_RATES;
+  return taxRates;
+}
+
+/**
+ * Apply promotions, discounts and sales tax to calculated totals
+ * @param {Object} totals - subtotal, installation, windows ([{ pricePerWindow, quantity }])
+ *                          and any adjustment lines already applied (e.g. a quantity discount)
+ * @param {Object} adjustments - address ({ state, zip }), discounts and promotions
+ * @param {Date} date - Date the promotions are evaluated on
+ * @returns {Object} - Adjustment lines and adjusted totals
+ */
+export function applyPricingAdjustments(totals, adjustments = {}, date = new Date()) {
+  const subtotal = roundCurrency(totals.subtotal);
+  const installation = roundCurrency(totals.installation || 0);
+  const lines = [...(totals.lines || [])];
+
+  let runningTotal = subtotal + sumLines(lines);
+
+  // Promotions first, then rep discounts on what's left
+  const promotions = (adjustments.promotions || activePromotions)
+    .filter(promotion => isPromotionActive(promotion, date));
+
+  promotions.forEach(promotion => {
+    const amount = Math.min(getPromotionAmount(promotion, runningTotal, totals.windows || []), runningTotal);
+
+    if (amount > 0) {
+      lines.push({
+        type: 'promotion',
+        label: promotion.label,
+        amount: -roundCurrency(amount),
+        rule: describeRule(promotion)
+      });
+      runningTotal -= amount;
+    }
+  });
+
+  (adjustments.discounts || []).forEach(discount => {
+    const amount = Math.min(getDiscountAmount(discount, runningTotal), runningTotal);
+
+    if (amount > 0) {
+      lines.push({
+        type: 'discount',
+        label: discount.label || 'Discount',
+        amount: -roundCurrency(amount),
+        rule: describeRule(discount)
+      });
+      runningTotal -= amount;
+    }
+  });
+
+  const discountTotal = roundCurrency(-sumLines(lines));
+  const taxableAmount = roundCurrency(runningTotal + (TAX_INSTALLATION ? installation : 0));
+  const tax = findTaxRate(adjustments.address);
+  const taxAmount = roundCurrency(taxableAmount * tax.rate);
+
+  if (taxAmount > 0) {
+    lines.push({
+      type: 'tax',
+      label: `Sales tax (${tax.jurisdiction})`,
+      amount: taxAmount,
+      rule: `${formatTaxRate(tax.rate)} of $${taxableAmount.toFixed(2)}`
+    });
+  }
+
+  return {
+    lines,
+    subtotal,
+    discountTotal,
+    installation,
+    taxableAmount,
+    taxRate: tax.rate,
+    taxJurisdiction: tax.jurisdiction,
+    taxAmount,
+    grandTotal: roundCurrency(runningTotal + installation + taxAmount)
+  };
+}
+
+/**
+ * Format a tax rate for display
+ * @param {number} rate - Tax rate as a fraction (e.g. 0.06875)
+ * @returns {string} - Percentage, e.g. "6.875%"
+ */
+export function formatTaxRate(rate) {
+  return `${(rate * 100).toFixed(3).replace(/\.?0+$/, '')}%`;
+}
+
+/**
+ * Find the sales tax rate for an address (zip overrides state)
+ * @param {Object|string} address - Address with state and zip (or zipCode), or a project's address text
+ * @returns {Object} - Rate and the jurisdiction it came from
+ */
+export function findTaxRate(address) {
+  if (!address) {
+    return { rate: 0, jurisdiction: null };
+  }
+
+  const { state, zip } = typeof address === 'string' ? parseAddress(address) : {
+    zip: String(address.zip || address.zipCode || '').slice(0, 5),
+    state: String(address.state || '').trim().toUpperCase()
+  };
+
+  if (zip && typeof taxRates.zips[zip] === 'number') {
+    return { rate: taxRates.zips[zip], jurisdiction: zip };
+  }
+
+  if (state && typeof taxRates.states[state] === 'number') {
+    return { rate: taxRates.states[state], jurisdiction: state };
+  }
+
+  return { rate: 0, jurisdiction: state || zip || null };
+}
+
+/**
+ * Pull the state and zip code out of a one-line address, e.g. "12 Main St, Mankato, MN 56001"
+ * @param {string} address - Address text
+ * @returns {Object} - State and zip ('' when not found)
+ */
+export function parseAddress(address) {
+  const match = address.match(/\b([A-Za-z]{2})\.?\s+(\d{5})(?:-\d{4})?\s*$/);
+
+  if (match) {
+    return { state: match[1].toUpperCase(), zip: match[2] };
+  }
+
+  const zipMatch = address.match(/\b(\d{5})(?:-\d{4})?\s*$/);
+  const stateMatch = address.match(/,\s*([A-Za-z]{2})\s*$/);
+
+  return {
+    state: stateMatch ? stateMatch[1].toUpperCase() : '',
+    zip: zipMatch ? zipMatch[1] : ''
+  };
+}
+
+/**
+ * Check whether a promotion is active on a date
+ * @param {Object} promotion - Promotion with optional startsAt/endsAt
+ * @param {Date} date - Date to check
+ * @returns {boolean} - Whether the promotion applies
+ */
+function isPromotionActive(promotion, date) {
+  const time = new Date(date).getTime();
+
+  if (promotion.startsAt && time < new Date(promotion.startsAt).getTime()) {
+    return false;
+  }
+
+  // End dates are inclusive through the end of that day
+  if (promotion.endsAt && time > new Date(promotion.endsAt).getTime() + 24 * 60 * 60 * 1000 - 1) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Calculate the amount taken off by a promotion
+ * @param {Object} promotion - Promotion
+ * @param {number} runningTotal - Total before this promotion
+ * @param {Array} windows - Priced windows ({ pricePerWindow, quantity })
+ * @returns {number} - Amount off
+ */
+function getPromotionAmount(promotion, runningTotal, windows) {
+  if (promotion.type === 'buy-get') {
+    return getBuyGetAmount(promotion, windows);
+  }
+
+  return getDiscountAmount(promotion, runningTotal);
+}
+
+/**
+ * Calculate a percentage or fixed discount
+ * @param {Object} discount - Discount with type 'percentage' or 'fixed' and a value
+ * @param {number} runningTotal - Total before this discount
+ * @returns {number} - Amount off
+ */
+function getDiscountAmount(discount, runningTotal) {
+  if (discount.type === 'percentage') {
+    return runningTotal * (discount.value / 100);
+  }
+
+  if (discount.type === 'fixed') {
+    return discount.value;
+  }
+
+  return 0;
+}
+
+/**
+ * Calculate a "buy N get M" promotion: in every group of N + M windows,
+ * the M lowest-priced windows are discounted (free unless a percentage is set)
+ * @param {Object} promotion - Promotion with buy, get and optional value (percent off)
+ * @param {Array} windows - Priced windows ({ pricePerWindow, quantity })
+ * @returns {number} - Amount off
+ */
+function getBuyGetAmount(promotion, windows) {
+  const prices = [];
+
+  windows.forEach(window => {
+    for (let i = 0; i < (window.quantity || 1); i++) {
+      prices.push(window.pricePerWindow);
+    }
+  });
+
+  const groupSize = promotion.buy + promotion.get;
+  const discountedCount = Math.floor(prices.length / groupSize) * promotion.get;
+  const percentOff = typeof promotion.value === 'number' ? promotion.value / 100 : 1;
+
+  return prices
+    .sort((a, b) => a - b)
+    .slice(0, discountedCount)
+    .reduce((total, price) => total + price * percentOff, 0);
+}
+
+/**
+ * Describe the rule behind an adjustment line
+ * @param {Object} rule - Discount or promotion
+ * @returns {string} - Description
+ */
+function describeRule(rule) {
+  let description;
+
+  if (rule.type === 'buy-get') {
+    const reward = typeof rule.value === 'number' ? `${rule.value}% off` : 'free';
+    description = `Buy ${rule.buy}, get ${rule.get} ${reward}`;
+  } else if (rule.type === 'percentage') {
+    description = `${rule.value}% off`;
+  } else {
+    description = `$${Number(rule.value).toFixed(2)} off`;
+  }
+
+  if (rule.startsAt || rule.endsAt) {
+    description += ` (${rule.startsAt || '…'} to ${rule.endsAt || '…'})`;
+  }
+
+  return description;
+}
+
+/**
+ * Sum adjustment line amounts
+ * @param {Array} lines - Adjustment lines
+ * @returns {number} - Total
+ */
+function sumLines(lines) {
+  return lines.reduce((total, line) => total + line.amount, 0);
+}
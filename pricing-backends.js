@@ -0,0 +1,278 @@
+// Pricing Backends for Warnke Windows WindowVisor Dashboard
+// This file defines the pricing backend interface and its Apps Script, local-workbook and mock implementations
+//
+// A pricing backend is an object with:
+//   id                                         - Backend ID
+//   calculatePrice(requestData, matrix)        - Price one window; resolves to a price response
+//   calculateProjectPrice(requestData, matrix) - Price { lineItems }; resolves to { success, lines }
+//                                                with one response per line
+//   saveQuote(requestData)                     - Save a calculated quote; resolves to { success, quoteId }
+// matrix is the pricing matrix to price with (e.g. the price book in effect); backends that price
+// from their own spreadsheet ignore it.
+// Price responses include the priceBookVersion that produced them. A backend that prices add-ons itself
+// itemizes them in addOns ({ id, label, pricePerWindow, totalPrice }), already included in its prices.
+// Every method resolves to { success: false, error } instead of throwing.
+// Writes carry an idempotencyKey; a backend must save a repeated key only once.
+// A write only resolves success once it is stored for good: the sync outbox drops it after that.
+
+import { fetch } from 'wix-fetch';
+import { calculateLocalPrice, calculateLocalProjectPrice } from './pricing-engine';
+import { getAccessToken, handleUnauthorized } from './google-auth';
+import { roundCurrency } from './currency-utils';
+
+// Google Apps Script proxy that prices from (and saves quotes to) the pricing spreadsheet
+const SCRIPT_URL = "https://script.google.com/macros/s/AKfycbzyojx7Qg-Tl5wWYn4FS4hl9icNya_eBW7xCW_v3MqlcV7AxG-QjuunolHyHqrP_ntdRw/exec";
+
+// Delays before retrying a pricing call that failed on the network or with a server error.
+// Writes are retried by the sync outbox instead.
+const PRICING_RETRY_DELAYS_MS = [500, 1500];
+
+// Backend used when nothing else is configured
+export const DEFAULT_PRICING_BACKEND_CONFIG = {
+  backend: 'local-workbook'
+};
+
+// Available backend factories by ID
+const BACKEND_FACTORIES = {
+  'apps-script': createAppsScriptBackend,
+  'local-workbook': createLocalWorkbookBackend,
+  'mock': createMockPricingBackend
+};
+
+let pricingBackendConfig = DEFAULT_PRICING_BACKEND_CONFIG;
+let pricingBackend = null;
+
+/**
+ * Get the active pricing backend, creating it from the configuration on first use
+ * @returns {Object} - Pricing backend
+ */
+export function getPricingBackend() {
+  if (!pricingBackend) {
+    pricingBackend = createPricingBackend(pricingBackendConfig);
+  }
+
+  return pricingBackend;
+}
+
+/**
+ * Get the pricing backend configuration
+ * @returns {Object} - Configuration
+ */
+export function getPricingBackendConfig() {
+  return pricingBackendConfig;
+}
+
+/**
+ * Configure the pricing backend
+ * @param {Object} config - backend ('apps-script', 'local-workbook' or 'mock') plus options for that backend,
+ *                          or null to restore the default
+ * @returns {Object} - The new active pricing backend
+ */
+export function setPricingBackendConfig(config) {
+  const nextConfig = config || DEFAULT_PRICING_BACKEND_CONFIG;
+  const nextBackend = createPricingBackend(nextConfig);
+
+  pricingBackendConfig = nextConfig;
+  pricingBackend = nextBackend;
+
+  return pricingBackend;
+}
+
+/**
+ * Create a pricing backend from a configuration
+ * @param {Object} config - backend ID plus options for that backend
+ * @returns {Object} - Pricing backend
+ */
+export function createPricingBackend(config) {
+  const factory = BACKEND_FACTORIES[config.backend];
+
+  if (!factory) {
+    throw new Error(`Unknown pricing backend "${config.backend}"`);
+  }
+
+  return factory(config);
+}
+
+/**
+ * Create a backend that posts requests to the Google Apps Script proxy
+ * @param {Object} options - scriptUrl, getToken and onUnauthorized (default to the Google token manager)
+ * @returns {Object} - Pricing backend
+ */
+export function createAppsScriptBackend(options = {}) {
+  const scriptUrl = options.scriptUrl || SCRIPT_URL;
+  const getToken = options.getToken || getAccessToken;
+  const onUnauthorized = options.onUnauthorized || handleUnauthorized;
+
+  const retryDelays = options.retryDelays || PRICING_RETRY_DELAYS_MS;
+
+  const post = async (data, retryDelaysLeft = []) => {
+    try {
+      const token = await getToken();
+
+      const response = await fetch(scriptUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': token ? `Bearer ${token}` : ''
+        },
+        body: JSON.stringify(data)
+      });
+
+      if (!response.ok) {
+        if (response.status === 401) {
+          // Token expired or invalid
+          await onUnauthorized();
+          return { success: false, error: 'Authentication required. Please log in again.' };
+        }
+
+        const error = new Error(`API call failed with status: ${response.status}`);
+        error.retryable = response.status >= 500;
+        throw error;
+      }
+
+      return await response.json();
+    } catch (error) {
+      // Network failures reject without a status; server errors are flagged above
+      const retryable = error.retryable !== false;
+
+      if (retryable && retryDelaysLeft.length > 0) {
+        await wait(retryDelaysLeft[0]);
+        return post(data, retryDelaysLeft.slice(1));
+      }
+
+      console.error('API call error:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  // The script only prices one window per call, so a project is priced one calculatePrice call per line
+  const calculateProjectPrice = async (requestData) => {
+    const lines = await Promise.all(requestData.lineItems.map(lineItem => post({
+      ...lineItem,
+      action: 'calculatePrice'
+    }, retryDelays)));
+
+    return { success: true, lines };
+  };
+
+  return {
+    id: 'apps-script',
+    calculatePrice: (requestData) => post(requestData, retryDelays),
+    calculateProjectPrice,
+    saveQuote: (requestData) => post(requestData)
+  };
+}
+
+/**
+ * Create a backend that prices in-process from the Pricing Matrix workbook
+ * The workbook has nowhere to write quotes, so quotes are saved through the Apps Script proxy
+ * and only count as saved once the spreadsheet has them
+ * @param {Object} options - matrix (used when a request doesn't pass one; defaults to the active pricing matrix)
+ *                           and quoteBackend
+ *                           (defaults to an Apps Script backend built from the same options)
+ * @returns {Object} - Pricing backend
+ */
+export function createLocalWorkbookBackend(options = {}) {
+  const quoteBackend = options.quoteBackend || createAppsScriptBackend(options);
+
+  return {
+    id: 'local-workbook',
+    calculatePrice: async (requestData, matrix) => calculateLocalPrice(requestData, matrix || options.matrix),
+    calculateProjectPrice: async (requestData, matrix) => {
+      return calculateLocalProjectPrice(requestData, matrix || options.matrix);
+    },
+    saveQuote: (requestData) => quoteBackend.saveQuote(requestData)
+  };
+}
+
+/**
+ * Create a deterministic in-memory backend for offline development and tests
+ * Prices are a flat rate per united inch, so the same request always gets the same price.
+ * Every request is recorded in calls; errors can be forced per action.
+ * @param {Object} options - ratePerUI, installationPerWindow and failures ({ [action]: error message })
+ * @returns {Object} - Pricing backend
+ */
+export function createMockPricingBackend(options = {}) {
+  const ratePerUI = options.ratePerUI || 10;
+  const installationPerWindow = options.installationPerWindow || 150;
+  const failures = options.failures || {};
+  const savedQuotes = createQuoteStore('mock');
+  const calls = [];
+
+  const priceWindow = (requestData) => {
+    const { measurements } = requestData;
+    const quantity = measurements.quantity || 1;
+    const unitedInches = measurements.unitedInches || Math.ceil(measurements.width + measurements.height);
+    const pricePerWindow = roundCurrency(unitedInches * ratePerUI);
+    const totalPrice = roundCurrency(pricePerWindow * quantity);
+    const estimatedInstallation = roundCurrency(installationPerWindow * quantity);
+
+    return {
+      success: true,
+      basePrice: pricePerWindow,
+      optionsPrice: 0,
+      totalPrice,
+      pricePerWindow,
+      estimatedInstallation,
+      totalProject: roundCurrency(totalPrice + estimatedInstallation),
+      priceBookVersion: 'mock'
+    };
+  };
+
+  const handle = (action, requestData, respond) => {
+    calls.push({ action, requestData });
+
+    if (failures[action]) {
+      return { success: false, error: failures[action] };
+    }
+
+    return respond(requestData);
+  };
+
+  return {
+    id: 'mock',
+    calls,
+    calculatePrice: async (requestData) => handle('calculatePrice', requestData, priceWindow),
+    calculateProjectPrice: async (requestData) => handle('calculateProjectPrice', requestData, (data) => ({
+      success: true,
+      lines: data.lineItems.map(priceWindow)
+    })),
+    saveQuote: async (requestData) => handle('saveQuote', requestData, (data) => savedQuotes.save(data)),
+    getSavedQuotes: () => savedQuotes.list()
+  };
+}
+
+/**
+ * Create an in-memory store for the mock backend's saved quotes
+ * A repeated idempotency key returns the quote saved the first time
+ * @param {string} prefix - Quote ID prefix
+ * @returns {Object} - Store with save and list
+ */
+function createQuoteStore(prefix) {
+  const quotes = [];
+
+  return {
+    save: (requestData) => {
+      const existing = requestData.idempotencyKey &&
+        quotes.find(quote => quote.idempotencyKey === requestData.idempotencyKey);
+
+      if (existing) {
+        return { success: true, quoteId: existing.quoteId };
+      }
+
+      const quoteId = `${prefix}-quote-${quotes.length + 1}`;
+      quotes.push({ quoteId, savedAt: new Date(), ...requestData });
+      return { success: true, quoteId };
+    },
+    list: () => quotes
+  };
+}
+
+/**
+ * Wait before retrying
+ * @param {number} milliseconds - Delay
+ * @returns {Promise} - Resolves after the delay
+ */
+function wait(milliseconds) {
+  return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
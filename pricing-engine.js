@@ -0,0 +1,221 @@
+// Local Pricing Engine for Warnke Windows WindowVisor Dashboard
+// This file prices windows in-process from the Pricing Matrix workbook data
+
+import { getPricingMatrix, normalizeKey } from './pricing-matrix';
+import { priceLabor } from './labor-pricing';
+import { appendTraceSteps } from './price-trace';
+import { roundCurrency } from './currency-utils';
+
+// Brand whose baseline prices are used for Warnke Windows products
+const DEFAULT_BRAND = 'thermo-tech';
+
+// Calculator option values that are named differently in the workbook
+const MATERIAL_KEYS = {
+  'aluminum': 'aluminum-clad'
+};
+
+// The workbook's "Standard" glass is insulated double-pane. It has no single-pane row because Warnke
+// Windows doesn't sell single-pane glass, so the calculator doesn't offer it
+const GLASS_KEYS = {
+  'double-pane': 'standard'
+};
+
+/**
+ * Calculate a window price from the pricing matrix
+ * Accepts the same request and returns the same response shape as the Apps Script proxy,
+ * plus a trace of how the window price was reached
+ * @param {Object} requestData - Request with measurements and options
+ * @param {Object} matrix - Pricing matrix (defaults to the active matrix)
+ * @returns {Object} - Price response
+ */
+export function calculateLocalPrice(requestData, matrix = getPricingMatrix()) {
+  try {
+    const { measurements, options } = requestData;
+    const quantity = measurements.quantity || 1;
+
+    const baseline = getBaselineRate(matrix, options.brand || DEFAULT_BRAND, options.windowType);
+    const materialMultiplier = getMultiplier(
+      matrix.materialMultipliers,
+      MATERIAL_KEYS[options.material] || options.material,
+      'material'
+    );
+    const glassMultiplier = getMultiplier(
+      matrix.glassMultipliers,
+      GLASS_KEYS[options.glassType] || options.glassType,
+      'glass type'
+    );
+
+    const base = getBasePrice(requestData, baseline);
+    const basePrice = roundCurrency(base.price);
+    const pricePerWindow = roundCurrency(basePrice * materialMultiplier * glassMultiplier);
+    const optionsPrice = roundCurrency(pricePerWindow - basePrice);
+    const totalPrice = roundCurrency(pricePerWindow * quantity);
+    const labor = priceLabor(requestData, matrix);
+    const estimatedInstallation = labor.total;
+
+    const trace = appendTraceSteps([], [
+      ...base.steps,
+      {
+        type: 'multiplier',
+        label: `Material: ${options.material}`,
+        rule: `× ${materialMultiplier} material multiplier`,
+        multiplier: materialMultiplier
+      },
+      {
+        type: 'multiplier',
+        label: `Glass: ${options.glassType}`,
+        rule: `× ${glassMultiplier} glass multiplier`,
+        total: pricePerWindow
+      },
+      {
+        type: 'quantity',
+        label: `${quantity} window${quantity > 1 ? 's' : ''}`,
+        rule: `$${pricePerWindow.toFixed(2)} each × ${quantity}`,
+        total: totalPrice
+      }
+    ]);
+
+    return {
+      success: true,
+      basePrice,
+      optionsPrice,
+      totalPrice,
+      pricePerWindow,
+      estimatedInstallation,
+      totalProject: roundCurrency(totalPrice + estimatedInstallation),
+      labor,
+      trace,
+      priceBookVersion: matrix.version || matrix.source
+    };
+  } catch (error) {
+    console.error('Local price calculation error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Calculate prices for several windows in one request
+ * @param {Object} requestData - Request with a lineItems array of single-window requests
+ * @param {Object} matrix - Pricing matrix (defaults to the active matrix)
+ * @returns {Object} - Response with one price response per line item
+ */
+export function calculateLocalProjectPrice(requestData, matrix = getPricingMatrix()) {
+  return {
+    success: true,
+    lines: requestData.lineItems.map(lineItem => calculateLocalPrice(lineItem, matrix))
+  };
+}
+
+/**
+ * Get the per-window base price before material and glass multipliers
+ * A configured UI bracket price wins; otherwise the window is priced at its own united inches
+ * @param {Object} requestData - Request with measurements and optional UI bracket
+ * @param {Object} baseline - Baseline rate (from getBaselineRate)
+ * @returns {Object} - Base price and the trace steps that reached it
+ */
+function getBasePrice(requestData, baseline) {
+  const { measurements, options, uiBracket } = requestData;
+
+  if (uiBracket && typeof uiBracket.price === 'number') {
+    return {
+      price: uiBracket.price,
+      steps: [{
+        type: 'baseline',
+        label: `${options.windowType} base price`,
+        rule: `Configured price for the ${uiBracket.label} UI bracket`,
+        amount: uiBracket.price
+      }]
+    };
+  }
+
+  const unitedInches = measurements.unitedInches || measurements.width + measurements.height;
+  // Shaped windows are sized as the square window of the same area
+  const sizeNotes = [
+    uiBracket && `${uiBracket.label} bracket`,
+    measurements.shapeParams && `square of a ${measurements.area} ft² ${options.shape}`
+  ].filter(Boolean);
+  const sizeRule = sizeNotes.length > 0 ? `${unitedInches} UI (${sizeNotes.join(', ')})` : `${unitedInches} UI`;
+  const price = unitedInches * baseline.rate;
+
+  if (!baseline.scaledFrom) {
+    return {
+      price,
+      steps: [{
+        type: 'baseline',
+        label: `${baseline.brand} ${options.windowType} baseline`,
+        rule: `$${baseline.rate.toFixed(2)}/UI × ${sizeRule}`,
+        amount: price
+      }]
+    };
+  }
+
+  const { scaledFrom } = baseline;
+
+  return {
+    price,
+    steps: [
+      {
+        type: 'baseline',
+        label: `${DEFAULT_BRAND} ${options.windowType} baseline`,
+        rule: `$${scaledFrom.rate.toFixed(2)}/UI × ${sizeRule}`,
+        amount: unitedInches * scaledFrom.rate
+      },
+      {
+        type: 'multiplier',
+        label: `Brand: ${baseline.brand}`,
+        rule: `× ${scaledFrom.brandMultiplier} ÷ ${scaledFrom.defaultMultiplier} brand multiplier`,
+        total: roundCurrency(price)
+      }
+    ]
+  };
+}
+
+/**
+ * Get the baseline price per united inch for a brand and window type
+ * Brands without their own baseline row are scaled from the default brand by brand multiplier
+ * @param {Object} matrix - Pricing matrix
+ * @param {string} brand - Brand name
+ * @param {string} windowType - Window type
+ * @returns {Object} - rate per united inch, brand, and scaledFrom (default brand rate and
+ *                     multipliers) when the rate was scaled
+ */
+function getBaselineRate(matrix, brand, windowType) {
+  const brandKey = normalizeKey(brand);
+  const typeKey = normalizeKey(windowType);
+
+  const brandPrices = matrix.baselinePrices[brandKey];
+  if (brandPrices && typeof brandPrices[typeKey] === 'number') {
+    return { rate: brandPrices[typeKey], brand, scaledFrom: null };
+  }
+
+  const defaultPrices = matrix.baselinePrices[DEFAULT_BRAND] || {};
+  const brandMultiplier = matrix.brandMultipliers[brandKey];
+  const defaultMultiplier = matrix.brandMultipliers[DEFAULT_BRAND];
+
+  if (!brandPrices && typeof defaultPrices[typeKey] === 'number' && brandMultiplier && defaultMultiplier) {
+    return {
+      rate: defaultPrices[typeKey] * (brandMultiplier / defaultMultiplier),
+      brand,
+      scaledFrom: { rate: defaultPrices[typeKey], brandMultiplier, defaultMultiplier }
+    };
+  }
+
+  throw new Error(`No baseline price for ${windowType} windows from ${brand}`);
+}
+
+/**
+ * Look up a multiplier in a pricing matrix table
+ * @param {Object} table - Multipliers keyed by normalized name
+ * @param {string} name - Option value
+ * @param {string} label - Option label for error messages
+ * @returns {number} - Multiplier
+ */
+function getMultiplier(table, name, label) {
+  const multiplier = table[normalizeKey(name)];
+
+  if (typeof multiplier !== 'number') {
+    throw new Error(`No ${label} multiplier for "${name}"`);
+  }
+
+  return multiplier;
+}
@@ -0,0 +1,95 @@
+// Pricing Matrix for Warnke Windows WindowVisor Dashboard
+// This file holds the pricing reference data from the "Good Faith - Pricing Matrix.xlsx" workbook;
+// the workbook itself is read in the backend (pricing-workbook.js)
+
+// Spellings used in the workbook that map onto calculator keys
+const KEY_ALIASES = {
+  'wiindsor': 'windsor',
+  'sliding': 'slider',
+  'fixed/picture': 'picture',
+  'fiber-wood-composite': 'composite',
+  '2x-low-e': 'double-low-e'
+};
+
+// Snapshot of the workbook, used until a workbook has been loaded
+export const DEFAULT_PRICING_MATRIX = {
+  source: 'snapshot',
+  version: 'snapshot',
+  brandMultipliers: {
+    'marvin': 1.6,
+    'andersen': 1.5,
+    'windsor': 1.3,
+    'thermo-tech': 1.1,
+    'pella': 1.4
+  },
+  materialMultipliers: {
+    'vinyl': 1.0,
+    'fiberglass': 1.2,
+    'wood': 1.35,
+    'aluminum-clad': 1.4,
+    'composite': 1.3
+  },
+  glassMultipliers: {
+    'standard': 1.0,
+    'low-e': 1.2,
+    'double-low-e': 1.35,
+    'triple-pane': 1.5,
+    'impact-resistant': 1.8,
+    'tempered': 1.4,
+    'obscured': 1.15
+  },
+  // Baseline price per united inch, by brand and window type
+  baselinePrices: {
+    'marvin': { 'double-hung': 9.0, 'casement': 9.5, 'slider': 8.5, 'picture': 7.8, 'bay': 12.0, 'bow': 13.5, 'awning': 9.75, 'garden': 10.25, 'hopper': 8.25, 'custom': 15.0 },
+    'andersen': { 'double-hung': 8.5, 'casement': 9.0, 'slider': 8.0, 'picture': 7.5, 'bay': 11.5, 'bow': 13.0, 'awning': 9.25, 'garden': 9.75, 'hopper': 7.75, 'custom': 14.5 },
+    'windsor': { 'double-hung': 7.5, 'casement': 8.0, 'slider': 7.0, 'picture': 6.5, 'bay': 10.5, 'bow': 12.0, 'awning': 8.25, 'garden': 8.75, 'hopper': 6.75, 'custom': 13.5 },
+    'thermo-tech': { 'double-hung': 6.5, 'casement': 7.0, 'slider': 6.0, 'picture': 5.5, 'bay': 9.5, 'bow': 11.0, 'awning': 7.25, 'garden': 7.75, 'hopper': 5.75, 'custom': 12.5 },
+    'pella': { 'double-hung': 8.0, 'casement': 8.5, 'slider': 7.5, 'picture': 7.0, 'bay': 11.0, 'bow': 12.5, 'awning': 8.75, 'garden': 9.25, 'hopper': 7.25, 'custom': 14.0 }
+  },
+  // Labor Matrix ID / Labor Rate $ rows (empty in the current workbook)
+  laborMatrix: []
+};
+
+let activeMatrix = DEFAULT_PRICING_MATRIX;
+
+/**
+ * Get the pricing matrix currently used by the local pricing engine
+ * @returns {Object} - Pricing matrix
+ */
+export function getPricingMatrix() {
+  return activeMatrix;
+}
+
+/**
+ * Get the version of a pricing matrix
+ * Prices calculated under one version aren't reused under another
+ * @param {Object} matrix - Pricing matrix (defaults to the active matrix)
+ * @returns {string} - Price book version
+ */
+export function getPriceBookVersion(matrix = activeMatrix) {
+  return matrix.version || matrix.source;
+}
+
+/**
+ * Replace the pricing matrix used by the local pricing engine
+ * @param {Object} matrix - Pricing matrix, or null to restore the snapshot
+ * @returns {Object} - Active pricing matrix
+ */
+export function setPricingMatrix(matrix) {
+  activeMatrix = matrix || DEFAULT_PRICING_MATRIX;
+  return activeMatrix;
+}
+
+/**
+ * Normalize a workbook label into a calculator key
+ * @param {string} label - Label as written in the workbook
+ * @returns {string} - Normalized key
+ */
+export function normalizeKey(label) {
+  const key = String(label || '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, '-');
+
+  return KEY_ALIASES[key] || key;
+}
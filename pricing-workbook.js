@@ -0,0 +1,185 @@
+// Pricing Workbook Backend Service for WindowVisor Dashboard
+// This file reads the "Good Faith - Pricing Matrix.xlsx" workbook into a pricing matrix.
+// It needs the xlsx (SheetJS) package, so it runs in the backend only and keeps the parser out of page code
+
+import * as XLSX from 'xlsx';
+
+import { setPricingMatrix, normalizeKey } from '../pricing-matrix';
+
+// Workbook tabs that hold pricing reference data
+const PRICING_MATRIX_SHEET = 'Pricing Matrix';
+const LIST_SHEET = 'List Sheet';
+
+/**
+ * Load the pricing workbook and make it the active pricing matrix
+ * @param {ArrayBuffer|Uint8Array} data - Contents of the .xlsx workbook
+ * @returns {Object} - Active pricing matrix
+ */
+export function loadPricingWorkbook(data) {
+  return setPricingMatrix(parsePricingWorkbook(data));
+}
+
+/**
+ * Parse the "Pricing Matrix" and "List Sheet" tabs of the pricing workbook
+ * @param {ArrayBuffer|Uint8Array} data - Contents of the .xlsx workbook
+ * @returns {Object} - Pricing matrix
+ */
+export function parsePricingWorkbook(data) {
+  const workbook = XLSX.read(data, { type: 'array' });
+
+  const pricingSheet = workbook.Sheets[PRICING_MATRIX_SHEET];
+  if (!pricingSheet) {
+    throw new Error(`Workbook is missing the "${PRICING_MATRIX_SHEET}" sheet`);
+  }
+
+  const pricingRows = XLSX.utils.sheet_to_json(pricingSheet, { header: 1, raw: true, defval: null });
+  const listSheet = workbook.Sheets[LIST_SHEET];
+  const listRows = listSheet ?
+    XLSX.utils.sheet_to_json(listSheet, { header: 1, raw: true, defval: null }) : [];
+
+  // Brand, material and glass multipliers sit side by side under the same header row
+  const brandMultipliers = {
+    ...readKeyValueTable(listRows, 'Brand Name', 0, 2),
+    ...readKeyValueTable(pricingRows, 'Brand Multiplier', 0, 1)
+  };
+  const materialMultipliers = readKeyValueTable(pricingRows, 'Material', 0, 1);
+  const glassMultipliers = {
+    ...readKeyValueTable(listRows, 'Glass Type', 0, 1),
+    ...readKeyValueTable(pricingRows, 'Glass Type', 0, 1)
+  };
+
+  const loadedAt = new Date();
+
+  return {
+    source: 'workbook',
+    version: `workbook-${loadedAt.toISOString()}`,
+    loadedAt,
+    brandMultipliers,
+    materialMultipliers,
+    glassMultipliers,
+    baselinePrices: readBaselinePrices(pricingRows),
+    laborMatrix: readLaborMatrix(pricingRows)
+  };
+}
+
+/**
+ * Find the first cell whose text matches a header label
+ * @param {Array} rows - Sheet rows
+ * @param {string} label - Header label
+ * @returns {Object|null} - Row and column of the header
+ */
+function findHeader(rows, label) {
+  for (let row = 0; row < rows.length; row++) {
+    const cells = rows[row] || [];
+    for (let col = 0; col < cells.length; col++) {
+      if (typeof cells[col] === 'string' && cells[col].trim() === label) {
+        return { row, col };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read a name/value table that starts under a header label
+ * @param {Array} rows - Sheet rows
+ * @param {string} label - Header label above the names
+ * @param {number} nameOffset - Column offset of the names from the header
+ * @param {number} valueOffset - Column offset of the values from the header
+ * @returns {Object} - Values keyed by normalized name
+ */
+function readKeyValueTable(rows, label, nameOffset, valueOffset) {
+  const header = findHeader(rows, label);
+  const table = {};
+
+  if (!header) {
+    return table;
+  }
+
+  for (let row = header.row + 1; row < rows.length; row++) {
+    const cells = rows[row] || [];
+    const name = cells[header.col + nameOffset];
+    const value = cells[header.col + valueOffset];
+
+    // Tables end at the first blank name or the next table's header row
+    if (name === null || name === undefined || name === '' || typeof value !== 'number') {
+      break;
+    }
+
+    table[normalizeKey(name)] = value;
+  }
+
+  return table;
+}
+
+/**
+ * Read the window type baseline prices (one row per brand)
+ * @param {Array} rows - "Pricing Matrix" rows
+ * @returns {Object} - Baseline price per united inch by brand and window type
+ */
+function readBaselinePrices(rows) {
+  const header = findHeader(rows, 'Double-Hung');
+  const baselinePrices = {};
+
+  if (!header) {
+    return baselinePrices;
+  }
+
+  const headerCells = rows[header.row];
+
+  for (let row = header.row + 1; row < rows.length; row++) {
+    const cells = rows[row] || [];
+    // Brand name is two columns left of the first window type
+    const brand = cells[header.col - 2];
+
+    if (!brand) {
+      break;
+    }
+
+    const prices = {};
+    for (let col = header.col; col < headerCells.length && headerCells[col]; col++) {
+      if (typeof cells[col] === 'number') {
+        prices[normalizeKey(headerCells[col])] = cells[col];
+      }
+    }
+
+    baselinePrices[normalizeKey(brand)] = prices;
+  }
+
+  return baselinePrices;
+}
+
+/**
+ * Read the Labor Matrix ID / Labor Rate table
+ * @param {Array} rows - "Pricing Matrix" rows
+ * @returns {Array} - Labor matrix rows
+ */
+function readLaborMatrix(rows) {
+  const header = findHeader(rows, 'Labor Matrix ID');
+  const laborMatrix = [];
+
+  if (!header) {
+    return laborMatrix;
+  }
+
+  for (let row = header.row + 1; row < rows.length; row++) {
+    const cells = rows[row] || [];
+    const id = cells[header.col];
+    const rate = cells[header.col + 1];
+
+    if (id === null || id === undefined || id === '') {
+      break;
+    }
+
+    if (typeof rate === 'number') {
+      laborMatrix.push({
+        id: String(id),
+        rate,
+        notes: cells[header.col + 2] || ''
+      });
+    }
+  }
+
+  return laborMatrix;
+}
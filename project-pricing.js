@@ -0,0 +1,89 @@
+// Project Pricing for Warnke Windows WindowVisor Dashboard
+// This file rolls priced line items up into project subtotals and quantity discounts
+
+import { roundCurrency } from './currency-utils';
+
+// Quantity discount tiers by total window count (highest matching tier applies)
+// PLACEHOLDER: these tiers aren't from the pricing workbook or an agreed discount policy. Replace them with
+// the real tiers (or pass tiers to summarizeProjectPrice) before quoting customers from them
+export const QUANTITY_DISCOUNT_TIERS = [
+  { minWindows: 10, rate: 0.05, label: '10+ windows' },
+  { minWindows: 20, rate: 0.08, label: '20+ windows' },
+  { minWindows: 30, rate: 0.10, label: '30+ windows' }
+];
+
+/**
+ * Roll priced line items up into project totals
+ * @param {Array} lines - Line results; lines with an error are excluded from totals
+ * @param {Array} tiers - Quantity discount tiers
+ * @returns {Object} - Per-line results with project subtotal, discount and installation,
+ *                     and the discounted material and labor as separate price lines; laborPlaceholder
+ *                     flags installation that includes placeholder labor rates
+ */
+export function summarizeProjectPrice(lines, tiers = QUANTITY_DISCOUNT_TIERS) {
+  const pricedLines = lines.filter(line => !line.error);
+
+  const windowCount = pricedLines.reduce((count, line) => count + line.measurements.quantity, 0);
+  const subtotal = roundCurrency(pricedLines.reduce((total, line) => total + line.totalPrice, 0));
+  const installation = roundCurrency(
+    pricedLines.reduce((total, line) => total + line.estimatedInstallation, 0)
+  );
+
+  const tier = findQuantityDiscountTier(windowCount, tiers);
+  const quantityDiscount = tier ? {
+    label: tier.label,
+    minWindows: tier.minWindows,
+    rate: tier.rate,
+    amount: roundCurrency(subtotal * tier.rate)
+  } : null;
+
+  const discountedSubtotal = roundCurrency(subtotal - (quantityDiscount ? quantityDiscount.amount : 0));
+
+  return {
+    lines,
+    windowCount,
+    failedLines: lines.length - pricedLines.length,
+    subtotal,
+    quantityDiscount,
+    discountedSubtotal,
+    installation,
+    materialPrice: discountedSubtotal,
+    laborPrice: installation,
+    laborPlaceholder: pricedLines.some(line => line.laborPlaceholder),
+    priceLines: [
+      { type: 'material', label: 'Material', amount: discountedSubtotal },
+      { type: 'labor', label: 'Labor', amount: installation }
+    ],
+    totalProject: roundCurrency(discountedSubtotal + installation)
+  };
+}
+
+/**
+ * Build the price adjustment lines for a project's quantity discount
+ * @param {Object|null} quantityDiscount - Quantity discount from summarizeProjectPrice
+ * @returns {Array} - The discount as an adjustment line, or no lines without a discount
+ */
+export function getQuantityDiscountLines(quantityDiscount) {
+  if (!quantityDiscount) {
+    return [];
+  }
+
+  return [{
+    type: 'quantity-discount',
+    label: `Quantity discount (${quantityDiscount.label})`,
+    amount: -quantityDiscount.amount,
+    rule: `${Math.round(quantityDiscount.rate * 100)}% off ${quantityDiscount.minWindows}+ windows`
+  }];
+}
+
+/**
+ * Find the quantity discount tier for a window count
+ * @param {number} windowCount - Total windows in the project
+ * @param {Array} tiers - Quantity discount tiers
+ * @returns {Object|null} - Matching tier
+ */
+function findQuantityDiscountTier(windowCount, tiers) {
+  return tiers
+    .filter(tier => windowCount >= tier.minWindows)
+    .sort((a, b) => b.minWindows - a.minWindows)[0] || null;
+}
@@ -0,0 +1,187 @@
+// Quote Charges for Warnke Windows WindowVisor Dashboard
+// This file finds the non-window charges on a competitor quote (installation, disposal and permit fees,
+// sales tax and promotional discounts) so they are kept as their own quote lines, apart from window prices
+
+import { formatTaxRate } from './pricing-adjustments';
+import { roundCurrency } from './currency-utils';
+
+// Charge types, checked in order; the first pattern that matches a line wins
+//   sign - 1 for charges added to the quote, -1 for amounts taken off it
+export const QUOTE_CHARGE_TYPES = [
+  { id: 'tax', name: 'Sales Tax', sign: 1, pattern: /\btax\b/i },
+  { id: 'discount', name: 'Discount', sign: -1, pattern: /discount|promo(?:tion(?:al)?)?\b|savings|rebate|coupon/i },
+  { id: 'permit', name: 'Permit Fee', sign: 1, pattern: /permit/i },
+  { id: 'disposal', name: 'Disposal Fee', sign: 1, pattern: /disposal|haul[\s-]*(?:away|off)|removal|tear[\s-]*out|debris/i },
+  { id: 'installation', name: 'Installation', sign: 1, pattern: /\binstall(?:ation|ed)?\b|\blabor\b/i }
+];
+
+// Quote record field holding each charge type's total, in the order charges are listed
+const CHARGE_SUMMARY_FIELDS = {
+  installation: 'installationFee',
+  disposal: 'disposalFee',
+  permit: 'permitFee',
+  discount: 'discountAmount',
+  tax: 'taxAmount'
+};
+
+// Lines that sum up the quote rather than charge for something
+const SUMMARY_LINE_PATTERN = /\b(?:sub\s*total|total|amount\s+due|balance|deposit|down\s+payment|exempt)\b/i;
+
+// The last dollar amount on a line; a leading minus or parentheses mark an amount taken off
+const CHARGE_AMOUNT_PATTERN = /(-\s*)?(\()?\$?\s*([\d,]+\.\d{2})\)?\s*$/;
+
+// A tax rate, e.g. "Sales Tax (6.875%)"; rates are kept as fractions (0.06875), as in pricing adjustments
+const TAX_RATE_PATTERN = /(\d+(?:\.\d+)?)\s*%/;
+
+// Confidence in a charge read from its own labelled line
+const CHARGE_CONFIDENCE = 0.9;
+
+/**
+ * Find the charge on a line of quote text
+ * A charge line names a charge type and ends in an amount; lines with a window size or a total aren't charges
+ * @param {string} line - Line of extracted text
+ * @param {Function} hasWindowSize - Checks a line for a window size
+ * @returns {Object|null} - Charge ({ chargeType, description, amount, taxRate as a fraction }), or null
+ */
+export function findQuoteCharge(line, hasWindowSize = () => false) {
+  const amountMatch = line.match(CHARGE_AMOUNT_PATTERN);
+
+  if (!amountMatch || SUMMARY_LINE_PATTERN.test(line) || hasWindowSize(line)) {
+    return null;
+  }
+
+  const label = line.slice(0, amountMatch.index);
+  const type = QUOTE_CHARGE_TYPES.find(entry => entry.pattern.test(label));
+
+  if (!type) {
+    return null;
+  }
+
+  const value = parseFloat(amountMatch[3].replace(/,/g, '')) || 0;
+  const takenOff = type.sign < 0 || Boolean(amountMatch[1]) || Boolean(amountMatch[2]);
+  const taxRate = type.id === 'tax' ? label.match(TAX_RATE_PATTERN) : null;
+  // Table rows carry an item number, quantity and unit price alongside the charge's name
+  const description = label
+    .replace(/\$?\s*[\d,]+\.\d{2}(?=\s|$)/g, '')
+    .replace(/^\s*(?:\d+\s+)+/, '')
+    .replace(/[\s:$|.-]+$/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return {
+    chargeType: type.id,
+    description: description || type.name,
+    amount: takenOff ? -value : value,
+    taxRate: taxRate ? Math.round(parseFloat(taxRate[1]) * 10000) / 1000000 : null
+  };
+}
+
+/**
+ * Find every charge in extracted quote text
+ * @param {string} text - The extracted text
+ * @param {Function} hasWindowSize - Checks a line for a window size
+ * @returns {Array} - Charges, in the order they appear
+ */
+export function extractQuoteCharges(text, hasWindowSize) {
+  return text.split(/\r?\n/)
+    .map(line => findQuoteCharge(line, hasWindowSize))
+    .filter(Boolean);
+}
+
+/**
+ * Build the quote line for a charge
+ * @param {Object} charge - Charge from findQuoteCharge
+ * @returns {Object} - Quote item with lineType 'charge'; it has no size or window attributes
+ */
+export function createChargeLine(charge) {
+  return {
+    lineType: 'charge',
+    chargeType: charge.chargeType,
+    description: charge.description,
+    taxRate: charge.taxRate,
+    widthInches: null,
+    heightInches: null,
+    quantity: 1,
+    unitPrice: charge.amount,
+    totalPrice: charge.amount,
+    confidenceScore: CHARGE_CONFIDENCE
+  };
+}
+
+/**
+ * Check whether a quote line is a window rather than a charge
+ * Lines saved before charges were extracted are all windows
+ * @param {Object} item - Quote item
+ * @returns {boolean} - True for window lines
+ */
+export function isWindowLine(item) {
+  return item.lineType !== 'charge';
+}
+
+/**
+ * Total a quote's charge lines by type, for the quote record
+ * @param {Array} items - Quote items (window lines are skipped)
+ * @returns {Object} - installationFee, disposalFee, permitFee, taxAmount, taxRate, discountAmount
+ *                     (the amount taken off, as a positive number) and windowsSubtotal
+ */
+export function summarizeQuoteCharges(items) {
+  const totals = {};
+  let taxRate = null;
+
+  items.filter(item => !isWindowLine(item)).forEach(item => {
+    totals[item.chargeType] = (totals[item.chargeType] || 0) + (item.totalPrice || 0);
+
+    if (item.chargeType === 'tax' && typeof item.taxRate === 'number') {
+      taxRate = item.taxRate;
+    }
+  });
+
+  const windowsSubtotal = items
+    .filter(isWindowLine)
+    .reduce((total, item) => total + (item.totalPrice || 0), 0);
+
+  return {
+    windowsSubtotal: roundCurrency(windowsSubtotal),
+    installationFee: roundCurrency(totals.installation || 0),
+    disposalFee: roundCurrency(totals.disposal || 0),
+    permitFee: roundCurrency(totals.permit || 0),
+    taxAmount: roundCurrency(totals.tax || 0),
+    taxRate,
+    discountAmount: roundCurrency(0 - (totals.discount || 0))
+  };
+}
+
+/**
+ * List the charges in a summary from summarizeQuoteCharges, for display
+ * @param {Object} summary - Charge totals (a quote record or a comparison's competitorCharges)
+ * @returns {Array} - { chargeType, label, amount } for each charge on the quote; discounts are negative
+ */
+export function listQuoteCharges(summary) {
+  if (!summary) {
+    return [];
+  }
+
+  return Object.keys(CHARGE_SUMMARY_FIELDS)
+    .filter(chargeType => summary[CHARGE_SUMMARY_FIELDS[chargeType]])
+    .map(chargeType => {
+      const type = QUOTE_CHARGE_TYPES.find(entry => entry.id === chargeType);
+      const total = summary[CHARGE_SUMMARY_FIELDS[chargeType]];
+      const rate = type.id === 'tax' && summary.taxRate ? ` (${formatTaxRate(summary.taxRate)})` : '';
+
+      return {
+        chargeType: type.id,
+        label: `${type.name}${rate}`,
+        amount: type.id === 'discount' ? -total : total
+      };
+    });
+}
+
+/**
+ * Get the display name of a charge type
+ * @param {string} chargeType - Charge type ID
+ * @returns {string} - Name
+ */
+export function getChargeTypeName(chargeType) {
+  const type = QUOTE_CHARGE_TYPES.find(entry => entry.id === chargeType);
+  return type ? type.name : chargeType;
+}
@@ -0,0 +1,223 @@
+// Extraction Confidence for Warnke Windows WindowVisor Dashboard
+// This file scores each field of an extracted quote item from the evidence the parser found for it,
+// so quote verification can point the rep at the exact cell to check
+
+import { checkWindowSize } from './window-rules';
+
+// Scores below this are flagged for the rep to check
+export const LOW_CONFIDENCE_THRESHOLD = 0.7;
+
+// Item fields that get their own score
+export const CONFIDENCE_FIELDS = ['widthInches', 'heightInches', 'quantity', 'unitPrice', 'totalPrice'];
+
+// Starting score by where a value was read from
+//   cell - a detected table column
+//   rule - the parser's rule for the field
+//   text - the item's text, without a rule or column for the field
+//   line - the last $ amount in the item's text
+//   none - not found (quantity defaults to 1, price to 0)
+const SOURCE_SCORES = {
+  size: { cell: 0.95, text: 0.85 },
+  quantity: { cell: 0.95, rule: 0.9, none: 0.65 },
+  price: { cell: 0.9, rule: 0.9, line: 0.75, none: 0.2 }
+};
+
+// Score taken off a dimension outside the size rules for the item's window type
+const SIZE_VIOLATION_PENALTY = 0.35;
+const SHAPE_VIOLATION_PENALTY = 0.15;
+
+// Quantity × unit price may differ from the extended price by 2¢ or 0.5% (rounding on the quote)
+const PRICE_TOLERANCE = { amount: 0.02, share: 0.005 };
+
+// Score for quantity and prices that agree with each other, and score taken off when they don't
+const PRICE_MATH_SCORE = 0.98;
+const PRICE_MATH_PENALTY = 0.3;
+
+// Score for fields a rep has checked or corrected
+const CONFIRMED_SCORE = 1;
+
+/**
+ * Score each field of an extracted quote item
+ * @param {Object} item - Quote item (widthInches, heightInches, quantity, unitPrice, totalPrice, attributes)
+ * @param {Object} evidence - What the parser found:
+ *                            sizeSource, quantitySource, priceSource (see SOURCE_SCORES),
+ *                            statedUnitPrice (a unit price printed on the quote, or null) and
+ *                            ruleMatch (share of the parser's rules or table columns the item matched, 0-1)
+ * @returns {Object} - confidenceScore (the lowest field score) and fieldConfidence ({ score, reasons } per field)
+ */
+export function scoreQuoteItem(item, evidence) {
+  const fields = {
+    widthInches: createFieldScore(SOURCE_SCORES.size[evidence.sizeSource]),
+    heightInches: createFieldScore(SOURCE_SCORES.size[evidence.sizeSource]),
+    quantity: createFieldScore(SOURCE_SCORES.quantity[evidence.quantitySource]),
+    unitPrice: createFieldScore(SOURCE_SCORES.price[evidence.priceSource]),
+    totalPrice: createFieldScore(SOURCE_SCORES.price[evidence.priceSource])
+  };
+
+  if (evidence.quantitySource === 'none') {
+    fields.quantity.reasons.push('No quantity found; assumed 1');
+  }
+
+  if (evidence.priceSource === 'none') {
+    fields.totalPrice.reasons.push('No price found for this item');
+    fields.unitPrice.reasons.push('No price found for this item');
+  } else if (evidence.priceSource === 'line') {
+    fields.totalPrice.reasons.push('Taken from the last amount on the line');
+  }
+
+  scoreSize(fields, item);
+  scorePriceMath(fields, item, evidence);
+
+  if (evidence.ruleMatch < 1) {
+    const factor = 0.85 + 0.15 * evidence.ruleMatch;
+
+    CONFIDENCE_FIELDS.forEach(field => {
+      fields[field].score *= factor;
+    });
+
+    if (evidence.ruleMatch < 0.5) {
+      CONFIDENCE_FIELDS.forEach(field => {
+        fields[field].reasons.push('The line only partly matched the quote layout');
+      });
+    }
+  }
+
+  return summarizeConfidence(fields);
+}
+
+/**
+ * Mark fields a rep has checked or corrected as fully confident
+ * @param {Object} item - Quote item with fieldConfidence
+ * @param {Array} confirmedFields - Fields the rep set
+ * @returns {Object} - confidenceScore and fieldConfidence
+ */
+export function confirmQuoteItemFields(item, confirmedFields) {
+  const fields = {};
+
+  CONFIDENCE_FIELDS.forEach(field => {
+    fields[field] = confirmedFields.includes(field) ?
+      { score: CONFIRMED_SCORE, reasons: [] } :
+      getFieldConfidence(item, field);
+  });
+
+  return summarizeConfidence(fields);
+}
+
+/**
+ * Get the confidence in one field of a quote item
+ * Items extracted before per-field scoring use the item's overall score
+ * @param {Object} item - Quote item
+ * @param {string} field - One of CONFIDENCE_FIELDS
+ * @returns {Object} - { score, reasons }
+ */
+export function getFieldConfidence(item, field) {
+  if (item.fieldConfidence && item.fieldConfidence[field]) {
+    return item.fieldConfidence[field];
+  }
+
+  return {
+    score: typeof item.confidenceScore === 'number' ? item.confidenceScore : CONFIRMED_SCORE,
+    reasons: []
+  };
+}
+
+/**
+ * Check whether a field needs the rep's attention
+ * @param {Object} item - Quote item
+ * @param {string} field - One of CONFIDENCE_FIELDS
+ * @returns {boolean} - True below LOW_CONFIDENCE_THRESHOLD
+ */
+export function isLowConfidence(item, field) {
+  return getFieldConfidence(item, field).score < LOW_CONFIDENCE_THRESHOLD;
+}
+
+/**
+ * Lower the size scores when the dimensions break the size rules for the item's window type
+ * @param {Object} fields - Field scores
+ * @param {Object} item - Quote item
+ */
+function scoreSize(fields, item) {
+  const windowType = item.attributes ? item.attributes.windowType : null;
+  const violations = checkWindowSize(
+    { width: item.widthInches, height: item.heightInches },
+    windowType ? { windowType } : {}
+  );
+
+  violations.forEach(violation => {
+    const message = `${violation.message} (quote shows ${violation.value})`;
+
+    if (violation.field === 'width') {
+      fields.widthInches.score -= SIZE_VIOLATION_PENALTY;
+      fields.widthInches.reasons.push(message);
+    } else if (violation.field === 'height') {
+      fields.heightInches.score -= SIZE_VIOLATION_PENALTY;
+      fields.heightInches.reasons.push(message);
+    } else {
+      ['widthInches', 'heightInches'].forEach(field => {
+        fields[field].score -= SHAPE_VIOLATION_PENALTY;
+        fields[field].reasons.push(message);
+      });
+    }
+  });
+}
+
+/**
+ * Check quantity × unit price against the extended price when the quote prints both
+ * A match confirms the quantity and both prices; a mismatch means one of them was misread
+ * @param {Object} fields - Field scores
+ * @param {Object} item - Quote item
+ * @param {Object} evidence - Parser evidence
+ */
+function scorePriceMath(fields, item, evidence) {
+  if (!(evidence.statedUnitPrice > 0) || !(item.totalPrice > 0)) {
+    // The unit price was worked out from the total, so it is only as good as the total and quantity
+    fields.unitPrice.score = Math.min(fields.totalPrice.score, fields.quantity.score);
+    return;
+  }
+
+  const expected = evidence.statedUnitPrice * item.quantity;
+  const matches = Math.abs(expected - item.totalPrice) <=
+    Math.max(PRICE_TOLERANCE.amount, item.totalPrice * PRICE_TOLERANCE.share);
+
+  ['quantity', 'unitPrice', 'totalPrice'].forEach(field => {
+    if (matches) {
+      fields[field].score = Math.max(fields[field].score, PRICE_MATH_SCORE);
+      fields[field].reasons = [];
+    } else {
+      fields[field].score -= PRICE_MATH_PENALTY;
+      fields[field].reasons.push(
+        `${item.quantity} × $${evidence.statedUnitPrice.toFixed(2)} doesn't match the extended price $${item.totalPrice.toFixed(2)}`
+      );
+    }
+  });
+}
+
+/**
+ * Create a field score
+ * @param {number} score - Starting score
+ * @returns {Object} - { score, reasons }
+ */
+function createFieldScore(score) {
+  return { score, reasons: [] };
+}
+
+/**
+ * Round field scores and take the item's overall score from its weakest field
+ * @param {Object} fields - Field scores
+ * @returns {Object} - confidenceScore and fieldConfidence
+ */
+function summarizeConfidence(fields) {
+  const fieldConfidence = {};
+
+  CONFIDENCE_FIELDS.forEach(field => {
+    fieldConfidence[field] = {
+      score: Math.round(Math.max(0, Math.min(1, fields[field].score)) * 100) / 100,
+      reasons: fields[field].reasons
+    };
+  });
+
+  return {
+    confidenceScore: Math.min(...CONFIDENCE_FIELDS.map(field => fieldConfidence[field].score)),
+    fieldConfidence
+  };
+}
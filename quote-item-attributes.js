@@ -0,0 +1,317 @@
+// Quote Item Attributes for Warnke Windows WindowVisor Dashboard
+// This file reads structured attributes (window type, shape, mulling, material, glass, grids, color, screen,
+// hardware) from a quote item's description and the option lines its parser found
+
+// Attributes read from quote items
+//   labels   - option line labels that hold the attribute ("Glass: Low-E" is read before the description)
+//   values   - known values, checked in order; the first pattern that matches wins
+//   scan     - whether to look for the values in the description too, not only in labelled option lines
+//   freeText - whether a labelled value that matches no known value is kept as written
+//   type     - 'boolean' for attributes that are either on the item or not
+export const QUOTE_ITEM_ATTRIBUTES = [
+  {
+    id: 'windowType',
+    label: 'Window Type',
+    labels: ['Type', 'Style', 'Operation', 'Product'],
+    scan: true,
+    values: [
+      { id: 'double-hung', name: 'Double Hung', pattern: /double[\s-]*hung|\bDH\b/i },
+      { id: 'single-hung', name: 'Single Hung', pattern: /single[\s-]*hung|\bSH\b/i },
+      { id: 'casement', name: 'Casement', pattern: /casement/i },
+      { id: 'awning', name: 'Awning', pattern: /awning/i },
+      { id: 'hopper', name: 'Hopper', pattern: /hopper/i },
+      { id: 'slider', name: 'Slider', pattern: /slider|sliding|glider/i },
+      { id: 'bay', name: 'Bay', pattern: /\bbay\b/i },
+      { id: 'bow', name: 'Bow', pattern: /\bbow\b/i },
+      { id: 'garden', name: 'Garden', pattern: /garden/i },
+      { id: 'picture', name: 'Picture', pattern: /picture|fixed|direct[\s-]*set/i }
+    ]
+  },
+  {
+    id: 'shape',
+    label: 'Shape',
+    labels: ['Shape'],
+    scan: true,
+    values: [
+      { id: 'quarter-round', name: 'Quarter-Round', pattern: /quarter[\s-]?round/i },
+      { id: 'half-round', name: 'Half-Round', pattern: /half[\s-]?round|half[\s-]?moon|sunburst/i },
+      { id: 'eyebrow', name: 'Eyebrow', pattern: /eyebrow|segment(?:al|ed)\s+arch/i },
+      { id: 'trapezoid', name: 'Trapezoid', pattern: /trapezoid/i },
+      { id: 'octagon', name: 'Octagon', pattern: /octagon/i },
+      { id: 'circle', name: 'Circle', pattern: /circle|circular|full[\s-]?round|oculus/i }
+    ]
+  },
+  {
+    id: 'mullConfiguration',
+    label: 'Mull',
+    labels: ['Mull', 'Mulling', 'Configuration'],
+    scan: true,
+    values: [
+      { id: '4-wide', name: '4-Wide', pattern: /4[\s-]wide|\bquad\b|four[\s-]unit/i },
+      { id: '3-wide', name: '3-Wide', pattern: /3[\s-]wide|triple[\s-](?:mull|unit)|three[\s-]unit/i },
+      { id: '2-wide', name: '2-Wide', pattern: /2[\s-]wide|\btwin\b|double[\s-](?:mull|unit)|two[\s-]unit/i }
+    ]
+  },
+  {
+    id: 'material',
+    label: 'Material',
+    labels: ['Material', 'Frame'],
+    scan: true,
+    values: [
+      { id: 'aluminum-clad', name: 'Aluminum-Clad Wood', pattern: /alum(?:inum|inium)?[\s-]*clad|clad\s+wood|\bclad\b/i },
+      { id: 'fiberglass', name: 'Fiberglass', pattern: /fiberglass|fibreglass|ultrex/i },
+      { id: 'composite', name: 'Composite', pattern: /composite|fibrex/i },
+      { id: 'wood', name: 'Wood', pattern: /\bwood\b/i },
+      { id: 'aluminum', name: 'Aluminum', pattern: /aluminum|aluminium/i },
+      { id: 'vinyl', name: 'Vinyl', pattern: /vinyl|\bpvc\b/i }
+    ]
+  },
+  {
+    id: 'glassPackage',
+    label: 'Glass',
+    labels: ['Glass', 'Glazing', 'Glass Type', 'Glass Package'],
+    scan: true,
+    values: [
+      { id: 'impact-resistant', name: 'Impact-Resistant', pattern: /impact/i },
+      { id: 'triple-pane', name: 'Triple Pane', pattern: /triple[\s-]*(?:pane|glaz)|3[\s-]*pane/i },
+      { id: 'double-low-e', name: 'Double Low-E', pattern: /double[\s-]*low[\s-]*e|low?[\s-]*e\s*(?:²|2|366|340)|low[\s-]*e\s*4|smartsun/i },
+      { id: 'low-e', name: 'Low-E', pattern: /\blow?[\s-]*e\b|lowe/i },
+      { id: 'single-pane', name: 'Single Pane', pattern: /single[\s-]*(?:pane|glaz)|1[\s-]*pane/i },
+      { id: 'double-pane', name: 'Double Pane', pattern: /double[\s-]*(?:pane|glaz)|dual[\s-]*pane|insulated\s+glass/i }
+    ]
+  },
+  {
+    id: 'gridStyle',
+    label: 'Grid Style',
+    labels: ['Grilles', 'Grille', 'Grids', 'Grid', 'Divided Lite', 'Muntins'],
+    scan: true,
+    values: [
+      { id: 'none', name: 'None', pattern: /^\s*none\b|no\s+(?:grids|grilles|muntins)/i },
+      { id: 'prairie', name: 'Prairie', pattern: /prairie/i },
+      { id: 'diamond', name: 'Diamond', pattern: /diamond/i },
+      { id: 'victorian', name: 'Victorian', pattern: /victorian/i },
+      { id: 'farmhouse', name: 'Farmhouse', pattern: /farmhouse/i },
+      { id: 'colonial', name: 'Colonial', pattern: /colonial|grids|grilles|muntins|divided\s+lite|\bSDL\b|\bGBG\b/i }
+    ]
+  },
+  {
+    id: 'gridPlacement',
+    label: 'Grid Placement',
+    labels: ['Grilles', 'Grille', 'Grids', 'Grid', 'Divided Lite', 'Grid Placement'],
+    scan: true,
+    values: [
+      { id: 'sdl', name: 'Simulated Divided Lite (SDL)', pattern: /\bSDL\b|simulated\s+divided|full\s+divided\s+light|\bFDL\b/i },
+      { id: 'exterior-applied', name: 'Exterior Applied', pattern: /exterior[\s-]*applied|exterior\s+grilles/i },
+      { id: 'interior-applied', name: 'Interior Applied', pattern: /interior[\s-]*applied|interior\s+grilles|removable\s+grilles/i },
+      { id: 'between-glass', name: 'Between Glass', pattern: /between[\s-]*(?:the[\s-]*)?glass|\bGBG\b|\bGIG\b/i }
+    ]
+  },
+  {
+    id: 'color',
+    label: 'Color',
+    labels: ['Exterior Color', 'Color', 'Exterior', 'Colour'],
+    scan: true,
+    freeText: true,
+    values: [
+      { id: 'white', name: 'White', pattern: /\bwhite\b/i },
+      { id: 'almond', name: 'Almond', pattern: /almond/i },
+      { id: 'tan', name: 'Tan', pattern: /\btan\b|beige|sandtone|sandstone/i },
+      { id: 'clay', name: 'Clay', pattern: /\bclay\b/i },
+      { id: 'bronze', name: 'Bronze', pattern: /bronze|terratone|dark\s+brown/i },
+      { id: 'black', name: 'Black', pattern: /\bblack\b/i },
+      { id: 'gray', name: 'Gray', pattern: /\bgr[ae]y\b/i }
+    ]
+  },
+  {
+    id: 'screen',
+    label: 'Screen',
+    labels: ['Screen', 'Screens', 'Insect Screen'],
+    scan: true,
+    values: [
+      { id: 'none', name: 'None', pattern: /^\s*none\b|no\s+screens?/i },
+      { id: 'retractable', name: 'Retractable', pattern: /retractable|roll[\s-]*(?:up|away)/i },
+      { id: 'half', name: 'Half', pattern: /half[\s-]*screen|^\s*half\b/i },
+      { id: 'full', name: 'Full', pattern: /full[\s-]*screen|^\s*full\b|screens?\b|truscene/i }
+    ]
+  },
+  {
+    id: 'hardware',
+    label: 'Hardware',
+    labels: ['Hardware', 'Hardware Finish', 'Lock', 'Handle'],
+    scan: false,
+    freeText: true,
+    values: [
+      { id: 'white', name: 'White', pattern: /\bwhite\b/i },
+      { id: 'almond', name: 'Almond', pattern: /almond/i },
+      { id: 'satin-nickel', name: 'Satin Nickel', pattern: /satin\s+nickel|brushed\s+nickel/i },
+      { id: 'oil-rubbed-bronze', name: 'Oil-Rubbed Bronze', pattern: /oil[\s-]*rubbed/i },
+      { id: 'brass', name: 'Brass', pattern: /brass/i },
+      { id: 'black', name: 'Black', pattern: /\bblack\b|matte\s+black/i },
+      { id: 'chrome', name: 'Chrome', pattern: /chrome/i }
+    ]
+  },
+  {
+    id: 'tempered',
+    label: 'Tempered',
+    type: 'boolean',
+    pattern: /tempered|safety\s+glass/i
+  },
+  {
+    id: 'obscure',
+    label: 'Obscure',
+    type: 'boolean',
+    pattern: /obscure|privacy\s+glass|frosted|\bobs\b/i
+  }
+];
+
+// An option line that starts with a label, e.g. "Exterior Color: White"
+const LABELLED_LINE_PATTERN = /^\s*[A-Za-z][A-Za-z .\/-]*:/;
+
+/**
+ * Read a quote item's structured attributes
+ * Labelled option lines ("Glass: Low-E") are read first, then the description and the rest of the options;
+ * a labelled value that names no known value is kept as written for free-text attributes
+ * @param {string} description - Item description
+ * @param {Array} optionLines - Option text found by the competitor's parser
+ * @returns {Object} - Attribute values by ID; null where the quote doesn't say
+ */
+export function extractItemAttributes(description, optionLines = []) {
+  const text = [description || '', ...optionLines].join('\n');
+  // Labelled lines belong to their label ("Hardware: White" says nothing about the frame color)
+  const unlabelledText = [description || '', ...optionLines.filter(line => !LABELLED_LINE_PATTERN.test(line))].join('\n');
+  const attributes = {};
+
+  QUOTE_ITEM_ATTRIBUTES.forEach(attribute => {
+    if (attribute.type === 'boolean') {
+      attributes[attribute.id] = attribute.pattern.test(text);
+      return;
+    }
+
+    const labelled = findLabelledValue(attribute, optionLines);
+    const labelledValue = labelled !== null ? findValue(attribute, labelled) : null;
+
+    if (labelledValue) {
+      attributes[attribute.id] = labelledValue.id;
+    } else if (labelled !== null && attribute.freeText) {
+      attributes[attribute.id] = labelled;
+    } else {
+      const value = attribute.scan ? findValue(attribute, unlabelledText) : null;
+      attributes[attribute.id] = value ? value.id : null;
+    }
+  });
+
+  return attributes;
+}
+
+/**
+ * Get a quote item's attributes: what its description and options say, with the rep's edits over them
+ * Items saved before attributes were stored, and items whose description was edited, are read again
+ * @param {Object} item - Quote item with description, optionLines and attributeEdits
+ * @returns {Object} - Attribute values by ID
+ */
+export function getItemAttributes(item) {
+  return {
+    ...extractItemAttributes(item.description, item.optionLines || []),
+    ...(item.attributeEdits || {})
+  };
+}
+
+/**
+ * Describe a quote item's attributes for display, e.g. "Double Hung, Vinyl, Low-E Glass, Colonial Grids"
+ * @param {Object} attributes - Attribute values by ID
+ * @returns {string} - Description of the attributes the quote states
+ */
+export function describeItemAttributes(attributes) {
+  const parts = [];
+
+  QUOTE_ITEM_ATTRIBUTES.forEach(attribute => {
+    const value = attributes[attribute.id];
+
+    if (attribute.type === 'boolean') {
+      if (value) {
+        parts.push(`${attribute.label} Glass`);
+      }
+      return;
+    }
+
+    if (value === null || value === undefined || value === '') {
+      return;
+    }
+
+    const name = getAttributeValueName(attribute.id, value);
+
+    switch (attribute.id) {
+      case 'glassPackage':
+        parts.push(`${name} Glass`);
+        break;
+      case 'gridStyle':
+        parts.push(value === 'none' ? 'No Grids' : `${name} Grids`);
+        break;
+      case 'gridPlacement':
+        if (attributes.gridStyle !== 'none') {
+          parts.push(`Grids ${name}`);
+        }
+        break;
+      case 'color':
+        parts.push(`${name} Exterior`);
+        break;
+      case 'screen':
+        parts.push(value === 'none' ? 'No Screen' : `${name} Screen`);
+        break;
+      case 'hardware':
+        parts.push(`${name} Hardware`);
+        break;
+      case 'mullConfiguration':
+        parts.push(`${name} Mull`);
+        break;
+      default:
+        parts.push(name);
+    }
+  });
+
+  return parts.join(', ');
+}
+
+/**
+ * Get the display name of an attribute value
+ * @param {string} attributeId - Attribute ID
+ * @param {string} valueId - Value ID, or free text
+ * @returns {string} - Value name, or the value itself if it isn't a known value
+ */
+export function getAttributeValueName(attributeId, valueId) {
+  const attribute = QUOTE_ITEM_ATTRIBUTES.find(entry => entry.id === attributeId);
+  const value = attribute && attribute.values ? attribute.values.find(entry => entry.id === valueId) : null;
+  return value ? value.name : String(valueId);
+}
+
+/**
+ * Find the value of an attribute's labelled option line
+ * @param {Object} attribute - Attribute definition
+ * @param {Array} optionLines - Option text
+ * @returns {string|null} - Text after the label, or null if no line has one of the attribute's labels
+ */
+function findLabelledValue(attribute, optionLines) {
+  for (const label of attribute.labels) {
+    const pattern = new RegExp(`^\\s*${label.replace(/\s+/g, '\\s+')}\\s*:\\s*(.+)$`, 'i');
+
+    for (const line of optionLines) {
+      const match = line.match(pattern);
+
+      if (match) {
+        return match[1].trim();
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the first known value named in text
+ * @param {Object} attribute - Attribute definition
+ * @param {string} text - Text to search
+ * @returns {Object|null} - Attribute value
+ */
+function findValue(attribute, text) {
+  return attribute.values.find(value => value.pattern.test(text)) || null;
+}
@@ -10,6 +10,10 @@ import {
   uploadFile
 } from 'wix-data';
 import { extractText } from 'wix-media-backend';
+import { parseQuote } from '../quote-parsers';
+import { confirmQuoteItemFields } from '../quote-confidence';
+import { createChargeLine, isWindowLine, summarizeQuoteCharges } from '../quote-charges';
+import { getItemAttributes } from '../quote-item-attributes';
 
 // Collection names
 const QUOTES_COLLECTION = 'CompetitorQuotes';
@@ -54,6 +58,10 @@ export async function uploadQuote(projectId, file, competitorName, progressCallb
       quoteNumber: '',
       quoteDate: null,
       totalAmount: 0,
+      customerName: '',
+      customerAddress: '',
+      salesRep: '',
+      validUntil: null,
       itemsCount: 0,
       quoteId: generateId()
     };
@@ -94,8 +102,11 @@ export async function processQuote(quoteId) {
     // Parse the extracted text
     const parsedData = await parseQuoteText(extractedText, quote.competitorName);
     
-    // Create quote items
-    const quoteItems = await createQuoteItems(quoteId, parsedData.items);
+    // Create quote items: windows, then fees, tax and discounts as their own lines
+    const quoteItems = await createQuoteItems(quoteId, [
+      ...parsedData.items.map(item => ({ ...item, lineType: 'window' })),
+      ...parsedData.charges.map(createChargeLine)
+    ]);
     
     // Update quote with extracted info
     const updatedQuote = await updateDocument(QUOTES_COLLECTION, {
@@ -103,7 +114,13 @@ export async function processQuote(quoteId) {
       quoteNumber: parsedData.quoteNumber || '',
       quoteDate: parsedData.quoteDate || null,
       totalAmount: parsedData.totalAmount || 0,
-      itemsCount: quoteItems.length,
+      customerName: parsedData.customerName || '',
+      customerAddress: parsedData.customerAddress || '',
+      salesRep: parsedData.salesRep || '',
+      validUntil: parsedData.validUntil || null,
+      ...summarizeQuoteCharges(quoteItems),
+      itemsCount: quoteItems.filter(isWindowLine).length,
+      parserId: parsedData.parserId,
       extractionStatus: 'processed',
       updatedAt: new Date()
     });
@@ -138,117 +155,21 @@ export async function processQuote(quoteId) {
  * @returns {Promise<Object>} - Parsed quote data
  */
 async function parseQuoteText(text, competitorName) {
-  // This is a simplified version of the parsing logic
-  // In a real implementation, this would be more sophisticated
-  // and include competitor-specific parsing rules
-  
   try {
-    let quoteNumber = '';
-    let quoteDate = null;
-    let totalAmount = 0;
-    const items = [];
-    
-    // Extract quote number
-    const quoteNumberMatch = text.match(/Quote\s*#?\s*(\w+[-]?\d+)/i) || 
-                           text.match(/Quote\s*Number\s*:?\s*(\w+[-]?\d+)/i) ||
-                           text.match(/Estimate\s*#?\s*(\w+[-]?\d+)/i);
-    
-    if (quoteNumberMatch) {
-      quoteNumber = quoteNumberMatch[1];
-    }
-    
-    // Extract date
-    const dateMatch = text.match(/Date\s*:?\s*(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})/i) ||
-                    text.match(/(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})/);
-    
-    if (dateMatch) {
-      // Parse date (this is simplified)
-      quoteDate = new Date(dateMatch[1]);
-      
-      // If the date is invalid, set to null
-      if (isNaN(quoteDate.getTime())) {
-        quoteDate = null;
-      }
-    }
-    
-    // Extract total amount
-    const totalMatch = text.match(/Total\s*:?\s*\$?\s*([\d,]+\.\d{2})/i) ||
-                     text.match(/Grand\s*Total\s*:?\s*\$?\s*([\d,]+\.\d{2})/i) ||
-                     text.match(/Amount\s*Due\s*:?\s*\$?\s*([\d,]+\.\d{2})/i);
-    
-    if (totalMatch) {
-      totalAmount = parseFloat(totalMatch[1].replace(/,/g, ''));
-    }
-    
-    // Extract items
-    // This is a simplified approach that looks for patterns in the text
-    // In a real implementation, this would be more sophisticated
-    
-    // Find all dimensions (width × height)
-    const dimensionMatches = text.matchAll(/(\d+(?:\.\d+)?)\s*(?:x|×)\s*(\d+(?:\.\d+)?)/gi);
-    
-    for (const match of dimensionMatches) {
-      const width = parseFloat(match[1]);
-      const height = parseFloat(match[2]);
-      
-      // Look for nearby price
-      const lineStart = Math.max(0, text.lastIndexOf('\n', match.index));
-      const lineEnd = text.indexOf('\n', match.index);
-      const line = text.substring(lineStart, lineEnd > -1 ? lineEnd : undefined);
-      
-      // Try to find price in the line
-      const priceMatch = line.match(/\$\s*([\d,]+\.\d{2})/);
-      let price = 0;
-      
-      if (priceMatch) {
-        price = parseFloat(priceMatch[1].replace(/,/g, ''));
-      }
-      
-      // Try to find quantity
-      const qtyMatch = line.match(/qty\s*:?\s*(\d+)/i) || line.match(/quantity\s*:?\s*(\d+)/i);
-      let quantity = 1;
-      
-      if (qtyMatch) {
-        quantity = parseInt(qtyMatch[1], 10);
-      }
-      
-      // Extract description from the line
-      let description = line.replace(/\$\s*[\d,]+\.\d{2}/, '').trim();
-      description = description.replace(/qty\s*:?\s*\d+/i, '').trim();
-      description = description.replace(/quantity\s*:?\s*\d+/i, '').trim();
-      description = description.replace(/\d+(?:\.\d+)?\s*(?:x|×)\s*\d+(?:\.\d+)?/, '').trim();
-      
-      if (description === '') {
-        description = `${width}" × ${height}" Window`;
-      }
-      
-      // Only add if dimensions and price are valid
-      if (width > 0 && height > 0) {
-        items.push({
-          widthInches: width,
-          heightInches: height,
-          description,
-          quantity,
-          unitPrice: price / quantity,
-          totalPrice: price,
-          confidenceScore: 0.8 // Simplified - would be calculated based on extraction confidence
-        });
-      }
-    }
-    
-    return {
-      quoteNumber,
-      quoteDate,
-      totalAmount,
-      items
-    };
+    return parseQuote(text, competitorName);
   } catch (error) {
     console.error('Failed to parse quote text:', error);
     return {
+      parserId: null,
       quoteNumber: '',
       quoteDate: null,
       totalAmount: 0,
-      items: []
+      customerName: '',
+      customerAddress: '',
+      salesRep: '',
+      validUntil: null,
+      items: [],
+      charges: []
     };
   }
 }
@@ -350,6 +271,14 @@ export async function updateQuoteItem(itemId, field, value) {
       updatedItem.unitPrice = value / updatedItem.quantity;
     }
     
+    // Attributes are read again from an edited description, with the rep's own edits kept over them
+    if (field === 'description' || field === 'attributeEdits') {
+      updatedItem.attributes = getItemAttributes(updatedItem);
+    }
+    
+    // The rep has checked the field they edited
+    Object.assign(updatedItem, confirmQuoteItemFields(updatedItem, [field]));
+    
     const result = await updateDocument(QUOTE_ITEMS_COLLECTION, updatedItem);
     
     // Update the quote's total amount
@@ -363,7 +292,7 @@ export async function updateQuoteItem(itemId, field, value) {
 }
 
 /**
- * Update a quote's total amount based on its items
+ * Update a quote's total amount and charge totals based on its items
  * @param {string} quoteId - The quote ID
  * @returns {Promise<void>}
  */
@@ -379,6 +308,7 @@ async function updateQuoteTotalAmount(quoteId) {
       await updateDocument(QUOTES_COLLECTION, {
         ...quote,
         totalAmount,
+        ...summarizeQuoteCharges(items),
         updatedAt: new Date()
       });
     }
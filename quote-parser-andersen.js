@@ -0,0 +1,41 @@
+// Andersen Quote Parser for Warnke Windows WindowVisor Dashboard
+// This file holds the rules for Renewal by Andersen proposals: numbered units spread over several lines,
+// with each option on its own "Label: value" line and a "Unit Total" per unit
+
+export const ANDERSEN_QUOTE_PARSER = {
+  id: 'andersen',
+  name: 'Andersen',
+  aliases: ['Renewal by Andersen', 'RbA'],
+  header: {
+    quoteNumber: [
+      /Project\s*(?:Number|No\.?|#)\s*:?\s*([A-Z0-9][A-Z0-9-]*)/i,
+      /Proposal\s*(?:Number|No\.?|#)\s*:?\s*([A-Z0-9][A-Z0-9-]*)/i
+    ],
+    quoteDate: [
+      /Proposal\s*Date\s*:?\s*(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})/i,
+      /Date\s*:?\s*(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})/i
+    ]
+  },
+  lineItems: {
+    // "Unit 3 - Kitchen - Double-Hung 35 1/2" x 59 1/2"  Qty 2"
+    itemStart: /^\s*(?:Unit|Window)\s*#?\s*\d+\b/i,
+    itemEnd: /^\s*(?:Sub\s*total|Total\s+Project\s+Investment|Project\s+Total)\b/i,
+    price: /Unit\s*Total\s*:?\s*\$?\s*([\d,]+\.\d{2})/i,
+    quantity: [/Qty\.?\s*:?\s*(\d+)/i, /Quantity\s*:?\s*(\d+)/i],
+    strip: [/Unit\s*Price\s*:?/i]
+  },
+  options: [
+    'Exterior Color',
+    'Interior Finish',
+    'Interior Color',
+    'Grilles',
+    'Glass',
+    'Hardware',
+    'Insect Screen'
+  ],
+  totals: [
+    /Total\s*Project\s*Investment\s*:?\s*\$?\s*([\d,]+\.\d{2})/i,
+    /Project\s*Total\s*:?\s*\$?\s*([\d,]+\.\d{2})/i,
+    /Total\s*Investment\s*:?\s*\$?\s*([\d,]+\.\d{2})/i
+  ]
+};
@@ -0,0 +1,42 @@
+// Marvin Quote Parser for Warnke Windows WindowVisor Dashboard
+// This file holds the rules for Marvin quotes: "Line Item" blocks with the product and rough opening
+// below the header line, options as "Label: value" pairs and an "Extended Price" per line
+
+export const MARVIN_QUOTE_PARSER = {
+  id: 'marvin',
+  name: 'Marvin',
+  aliases: ['Marvin Windows and Doors', 'Integrity', 'Infinity'],
+  header: {
+    quoteNumber: [
+      /Quote\s*(?:Number|No\.?|#)\s*:?\s*([A-Z0-9][A-Z0-9-]*)/i
+    ],
+    quoteDate: [
+      /Date\s*Quoted\s*:?\s*(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})/i,
+      /Quote\s*Date\s*:?\s*(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})/i
+    ],
+    // Dealers name Marvin quotes after the customer, e.g. "Quote Name: Smith Residence"
+    customerName: [
+      /Quote\s*Name\s*:\s*(\S.*?)(?:\s{2,}|$)/im
+    ]
+  },
+  lineItems: {
+    // "Line Item 2    Qty: 3", then the product and "Rough Opening 30 1/2" X 48 1/2""
+    itemStart: /^\s*Line\s*Item\s*#?\s*\d+\b/i,
+    itemEnd: /^\s*(?:Project\s+Sub\s*total|Quote\s+Total|Project\s+Total)\b/i,
+    price: /Extended\s*Price\s*:?\s*\$?\s*([\d,]+\.\d{2})/i,
+    quantity: [/Qty\.?\s*:?\s*(\d+)/i, /Quantity\s*:?\s*(\d+)/i],
+    strip: [/(?:Rough\s+Opening|Net\s+Frame|Frame\s+Size)\s*:?/gi, /Unit\s*Price\s*:?/i]
+  },
+  options: [
+    'Exterior',
+    'Interior',
+    'Glazing',
+    'Divided Lite',
+    'Hardware',
+    'Screen'
+  ],
+  totals: [
+    /Quote\s*Total\s*:?\s*\$?\s*([\d,]+\.\d{2})/i,
+    /Project\s*Total\s*:?\s*\$?\s*([\d,]+\.\d{2})/i
+  ]
+};
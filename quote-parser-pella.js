@@ -0,0 +1,38 @@
+// Pella Quote Parser for Warnke Windows WindowVisor Dashboard
+// This file holds the rules for Pella quotes: a numbered line table (Line, Qty, Description, Size, Price)
+// with the unit's options on the indented lines below it
+
+export const PELLA_QUOTE_PARSER = {
+  id: 'pella',
+  name: 'Pella',
+  aliases: ['Pella Windows & Doors', 'Pella Windows and Doors'],
+  header: {
+    quoteNumber: [
+      /Quote\s*(?:Number|No\.?|#)\s*:?\s*([A-Z0-9][A-Z0-9-]*)/i,
+      /Proposal\s*(?:Number|No\.?|#)\s*:?\s*([A-Z0-9][A-Z0-9-]*)/i
+    ],
+    quoteDate: [
+      /Quote\s*Date\s*:?\s*(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})/i,
+      /Date\s*:?\s*(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})/i
+    ]
+  },
+  lineItems: {
+    // "001   2   Pella 250 Series Double-Hung   35.5 x 59.5   $1,398.00"
+    itemStart: /^\s*\d{3}\s+\d+\s+(?=\S)/,
+    itemEnd: /^\s*(?:Sub\s*total|Order\s+Total|Quote\s+Total)\b/i,
+    quantity: [/^\s*\d{3}\s+(\d+)\s/]
+  },
+  options: [
+    'Exterior Color',
+    'Interior',
+    'Glass',
+    'Grilles',
+    'Screen',
+    'Hardware'
+  ],
+  totals: [
+    /Order\s*Total\s*:?\s*\$?\s*([\d,]+\.\d{2})/i,
+    /Quote\s*Total\s*:?\s*\$?\s*([\d,]+\.\d{2})/i,
+    /Grand\s*Total\s*:?\s*\$?\s*([\d,]+\.\d{2})/i
+  ]
+};
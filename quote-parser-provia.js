@@ -0,0 +1,36 @@
+// ProVia Quote Parser for Warnke Windows WindowVisor Dashboard
+// This file holds the rules for ProVia orders: "Item#" lines with sizes written "W 35-1/2 x H 59-1/2"
+// and the unit's options listed on an "Options:" line below
+
+import { MEASUREMENT_PATTERN } from './measurement-utils';
+
+export const PROVIA_QUOTE_PARSER = {
+  id: 'provia',
+  name: 'ProVia',
+  aliases: ['Pro Via', 'Endure', 'Aeris'],
+  header: {
+    quoteNumber: [
+      /Order\s*(?:Number|No\.?|#)\s*:?\s*([A-Z0-9][A-Z0-9-]*)/i,
+      /Quote\s*(?:Number|No\.?|#)\s*:?\s*([A-Z0-9][A-Z0-9-]*)/i
+    ],
+    quoteDate: [
+      /Order\s*Date\s*:?\s*(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})/i,
+      /Date\s*:?\s*(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})/i
+    ]
+  },
+  lineItems: {
+    // "Item# 1   Endure Double Hung   W 35-1/2 x H 59-1/2   Qty 2   $1,120.00"
+    itemStart: /^\s*Item\s*#?\s*\d+\b/i,
+    itemEnd: /^\s*(?:Sub\s*total|Grand\s+Total|Order\s+Total)\b/i,
+    dimension: new RegExp(`W\\s*(${MEASUREMENT_PATTERN})\\s*(?:x|×)\\s*H\\s*(${MEASUREMENT_PATTERN})`, 'i'),
+    quantity: [/Qty\.?\s*:?\s*(\d+)/i],
+    strip: [/Options\s*:/i]
+  },
+  options: [
+    /Options\s*:\s*([^\n]+)/i
+  ],
+  totals: [
+    /Grand\s*Total\s*:?\s*\$?\s*([\d,]+\.\d{2})/i,
+    /Order\s*Total\s*:?\s*\$?\s*([\d,]+\.\d{2})/i
+  ]
+};
@@ -0,0 +1,30 @@
+// Thermo-Tech Quote Parser for Warnke Windows WindowVisor Dashboard
+// This file holds the rules for Thermo-Tech estimates: one line per window with the options in
+// parentheses after the series name
+
+export const THERMO_TECH_QUOTE_PARSER = {
+  id: 'thermotech',
+  name: 'Thermo-Tech',
+  aliases: ['Thermo-Tech Premium Windows', 'ThermoTech'],
+  header: {
+    quoteNumber: [
+      /Estimate\s*(?:Number|No\.?|#)\s*:?\s*([A-Z0-9][A-Z0-9-]*)/i
+    ],
+    quoteDate: [
+      /Estimate\s*Date\s*:?\s*(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})/i,
+      /Date\s*:?\s*(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})/i
+    ]
+  },
+  lineItems: {
+    // "Series 300 Double Hung (Low-E Argon, Colonial Grids)  36 x 60  Qty: 2  $980.00"
+    price: /\$\s*([\d,]+\.\d{2})\s*$/m,
+    quantity: [/Qty\.?\s*:?\s*(\d+)/i]
+  },
+  options: [
+    /\(([^)]+)\)/
+  ],
+  totals: [
+    /Estimate\s*Total\s*:?\s*\$?\s*([\d,]+\.\d{2})/i,
+    /Total\s*Investment\s*:?\s*\$?\s*([\d,]+\.\d{2})/i
+  ]
+};
@@ -0,0 +1,34 @@
+// Windsor Quote Parser for Warnke Windows WindowVisor Dashboard
+// This file holds the rules for Windsor quotations: a Mark/Qty/Product/Size/Each/Extended table with
+// the unit's options on the next line, separated by "|"
+
+export const WINDSOR_QUOTE_PARSER = {
+  id: 'windsor',
+  name: 'Windsor',
+  aliases: ['Windsor Windows', 'Windsor Windows & Doors', 'Pinnacle', 'Revive'],
+  header: {
+    quoteNumber: [
+      /Quotation\s*(?:Number|No\.?|#)?\s*:?\s*([A-Z0-9][A-Z0-9-]*\d)/i
+    ],
+    quoteDate: [
+      /Date\s*:?\s*(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})/i
+    ]
+  },
+  lineItems: {
+    // "A1   2   Pinnacle Clad DH   36 x 60   $812.00   $1,624.00"
+    itemStart: /^\s*[A-Z]{1,2}\d*\s+\d+\s+(?=\S)/,
+    itemEnd: /^\s*(?:Sub\s*total|Net\s+Total|Quotation\s+Total)\b/i,
+    quantity: [/^\s*[A-Z]{1,2}\d*\s+(\d+)\s/]
+  },
+  options: [
+    'Glass',
+    'Grille',
+    'Color',
+    'Screen',
+    'Hardware'
+  ],
+  totals: [
+    /Net\s*Total\s*:?\s*\$?\s*([\d,]+\.\d{2})/i,
+    /Quotation\s*Total\s*:?\s*\$?\s*([\d,]+\.\d{2})/i
+  ]
+};
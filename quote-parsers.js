@@ -0,0 +1,586 @@
+// Quote Parsers for Warnke Windows WindowVisor Dashboard
+// This file keeps the registry of competitor quote parsers and runs their rules over extracted quote text
+//
+// A quote parser is an object with:
+//   id        - Competitor ID, as stored on the quote (e.g. 'andersen')
+//   name      - Display name
+//   aliases   - Other competitor names the parser handles
+//   header    - { quoteNumber, quoteDate, customerName, customerAddress, salesRep, validUntil, validDays }, each
+//               [RegExp]; the first match wins, capture group 1 holds the value. Customer, rep and expiration
+//               rules fall back to the generic ones, since most quotes label them the same way
+//   lineItems - Line-item rules:
+//                 itemStart  - RegExp for the first line of each item, for layouts that spread an item over
+//                              several lines; without it items are read as rows of the quote's item table
+//                 itemEnd    - RegExp for a line that ends the item list (e.g. the subtotal)
+//                 dimension  - RegExp with the width and height in groups 1 and 2 (defaults to "W x H")
+//                 price      - RegExp with the item's total price in group 1 (defaults to the last $ amount)
+//                 quantity   - [RegExp] with the quantity in group 1
+//                 strip      - [RegExp] for layout text that isn't part of the description
+//   options   - Option rules: a label (matches "Label: value") or a RegExp (group 1, or the whole match)
+//   totals    - [RegExp]; the first match wins, capture group 1 holds the quote total
+// Adding a competitor means writing a parser module and registering it below (or with registerQuoteParser).
+
+import { parseMeasurement, formatMeasurement, createDimensionRegex } from './measurement-utils';
+import { extractTableRows, findWindowSize } from './quote-table';
+import { scoreQuoteItem } from './quote-confidence';
+import { extractItemAttributes } from './quote-item-attributes';
+import { findQuoteCharge, extractQuoteCharges } from './quote-charges';
+import { ANDERSEN_QUOTE_PARSER } from './quote-parser-andersen';
+import { PELLA_QUOTE_PARSER } from './quote-parser-pella';
+import { MARVIN_QUOTE_PARSER } from './quote-parser-marvin';
+import { PROVIA_QUOTE_PARSER } from './quote-parser-provia';
+import { WINDSOR_QUOTE_PARSER } from './quote-parser-windsor';
+import { THERMO_TECH_QUOTE_PARSER } from './quote-parser-thermo-tech';
+
+// Parser for competitors without their own rules, and for quotes a competitor's rules can't read
+export const GENERIC_QUOTE_PARSER = {
+  id: 'generic',
+  name: 'Generic',
+  aliases: ['other'],
+  header: {
+    quoteNumber: [
+      /Quote\s*#?\s*(\w+[-]?\d+)/i,
+      /Quote\s*Number\s*:?\s*(\w+[-]?\d+)/i,
+      /Estimate\s*#?\s*(\w+[-]?\d+)/i
+    ],
+    quoteDate: [
+      /Date\s*:?\s*(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})/i,
+      /(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})/
+    ],
+    customerName: [
+      /\b(?:Customer(?:\s+Name)?|Client|Homeowner|Prepared\s+For|Sold\s+To|Bill\s+To)\s*:\s*(\S.*?)(?:\s{2,}|$)/im
+    ],
+    customerAddress: [
+      /\b(?:Job\s*Site|Site\s+Address|Project\s+Address|Install(?:ation)?\s+Address|Ship\s+To|(?<!E-?mail\s)Address)\s*:\s*(\S.*?)(?:\s{2,}|$)/im
+    ],
+    salesRep: [
+      /\b(?:Sales\s*(?:Rep(?:resentative)?|person|Consultant)|Design\s+Consultant|Project\s+Consultant|Consultant|Prepared\s+By|Salesman|Rep)\s*:\s*(\S.*?)(?:\s{2,}|$)/im
+    ],
+    validUntil: [
+      /\b(?:Valid\s+(?:Until|Through|Thru)|Good\s+(?:Until|Through|Thru)|Expires?(?:\s+On)?|Expiration(?:\s+Date)?)\s*:?\s*(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})/i
+    ],
+    validDays: [
+      /\b(?:valid|good|honored)\s+(?:for\s+)?(\d{1,3})\s+days/i
+    ]
+  },
+  lineItems: {
+    price: /\$\s*([\d,]+\.\d{2})/,
+    quantity: [/qty\s*:?\s*(\d+)/i, /quantity\s*:?\s*(\d+)/i]
+  },
+  options: [],
+  totals: [
+    /Grand\s*Total\s*:?\s*\$?\s*([\d,]+\.\d{2})/i,
+    /Amount\s*Due\s*:?\s*\$?\s*([\d,]+\.\d{2})/i,
+    // A subtotal comes before fees and tax, so it isn't the quote total
+    /(?<!Sub\s*)Total\s*:?\s*\$?\s*([\d,]+\.\d{2})/i
+  ]
+};
+
+// A city, state and ZIP line that continues an address, e.g. "Minneapolis, MN 55401"
+const ADDRESS_CONTINUATION_PATTERN = /^\s*[A-Za-z][A-Za-z .'-]*,\s*[A-Z]{2}\.?\s+\d{5}(?:-\d{4})?\b/;
+
+// Fields read from the quote's header, apart from the quote number and date
+const QUOTE_DETAIL_FIELDS = ['customerName', 'customerAddress', 'salesRep', 'validUntil'];
+
+const quoteParsers = {};
+
+[
+  ANDERSEN_QUOTE_PARSER,
+  PELLA_QUOTE_PARSER,
+  MARVIN_QUOTE_PARSER,
+  PROVIA_QUOTE_PARSER,
+  WINDSOR_QUOTE_PARSER,
+  THERMO_TECH_QUOTE_PARSER
+].forEach(parser => registerQuoteParser(parser));
+
+/**
+ * Register a competitor's quote parser, replacing any parser with the same ID
+ * @param {Object} parser - Quote parser
+ * @returns {Object} - The registered parser
+ */
+export function registerQuoteParser(parser) {
+  if (!parser || !parser.id) {
+    throw new Error('A quote parser needs an id');
+  }
+
+  if (!parser.header || !parser.lineItems || !parser.totals) {
+    throw new Error(`Quote parser "${parser.id}" needs header, lineItems and totals rules`);
+  }
+
+  quoteParsers[parser.id] = parser;
+  return parser;
+}
+
+/**
+ * Get the registered competitor parsers
+ * @returns {Array} - Quote parsers
+ */
+export function getQuoteParsers() {
+  return Object.values(quoteParsers);
+}
+
+/**
+ * Find the parser for a competitor
+ * @param {string} competitorName - Competitor ID or name from the quote
+ * @returns {Object} - The competitor's parser, or the generic parser
+ */
+export function getQuoteParser(competitorName) {
+  const key = normalizeCompetitorName(competitorName);
+
+  if (!key) {
+    return GENERIC_QUOTE_PARSER;
+  }
+
+  return getQuoteParsers().find(parser =>
+    normalizeCompetitorName(parser.id) === key ||
+    normalizeCompetitorName(parser.name) === key ||
+    (parser.aliases || []).some(alias => normalizeCompetitorName(alias) === key)
+  ) || GENERIC_QUOTE_PARSER;
+}
+
+/**
+ * Parse extracted quote text with the competitor's parser
+ * Quotes the competitor's rules find no items in are read with the generic parser instead
+ * @param {string} text - The extracted text
+ * @param {string} competitorName - Competitor ID or name from the quote
+ * @returns {Object} - Quote details (see runQuoteParser), items, charges and the parserId that read them
+ */
+export function parseQuote(text, competitorName) {
+  const parser = getQuoteParser(competitorName);
+  const parsed = runQuoteParser(parser, text);
+
+  if (parser === GENERIC_QUOTE_PARSER || parsed.items.length > 0) {
+    return parsed;
+  }
+
+  const generic = runQuoteParser(GENERIC_QUOTE_PARSER, text);
+  const details = {};
+
+  ['quoteNumber', 'quoteDate', 'totalAmount', ...QUOTE_DETAIL_FIELDS].forEach(field => {
+    details[field] = parsed[field] || generic[field];
+  });
+
+  return { ...generic, ...details };
+}
+
+/**
+ * Run one parser's rules over quote text
+ * @param {Object} parser - Quote parser
+ * @param {string} text - The extracted text
+ * @returns {Object} - quoteNumber, quoteDate, totalAmount, customerName, customerAddress, salesRep,
+ *                     validUntil, items (windows), charges (fees, tax and discounts) and parserId
+ */
+export function runQuoteParser(parser, text) {
+  const quoteDate = matchFirst(text, parser.header.quoteDate || []);
+  const totalAmount = matchFirst(text, parser.totals);
+  const parsedDate = quoteDate ? parseQuoteDate(quoteDate) : null;
+  const hasWindowSize = line => findWindowSize(line, getDimensionRegex(parser)) !== null;
+  // Charge lines are read on their own, so they never join a window's description or price
+  const isChargeLine = line => findQuoteCharge(line, hasWindowSize) !== null;
+
+  return {
+    parserId: parser.id,
+    quoteNumber: matchFirst(text, parser.header.quoteNumber || []) || '',
+    quoteDate: parsedDate,
+    totalAmount: totalAmount ? parseAmount(totalAmount) : 0,
+    customerName: matchFirst(text, getHeaderRules(parser, 'customerName')) || '',
+    customerAddress: matchAddress(text, getHeaderRules(parser, 'customerAddress')),
+    salesRep: matchFirst(text, getHeaderRules(parser, 'salesRep')) || '',
+    validUntil: findValidUntil(parser, text, parsedDate),
+    items: parser.lineItems.itemStart ?
+      extractItemBlocks(parser, text, isChargeLine) :
+      extractItemRows(parser, text, isChargeLine),
+    charges: extractQuoteCharges(text, hasWindowSize)
+  };
+}
+
+/**
+ * Extract items from the rows of the quote's item table
+ * @param {Object} parser - Quote parser
+ * @param {string} text - The extracted text
+ * @param {Function} isChargeLine - Checks for a fee, tax or discount line
+ * @returns {Array} - Quote items
+ */
+function extractItemRows(parser, text, isChargeLine) {
+  return extractTableRows(text, { dimension: getDimensionRegex(parser), skipLine: isChargeLine })
+    .map(row => buildItem(parser, row.text, row.match, row))
+    .filter(Boolean);
+}
+
+/**
+ * Extract items from layouts that spread each item over several lines
+ * @param {Object} parser - Quote parser
+ * @param {string} text - The extracted text
+ * @param {Function} isChargeLine - Checks for a fee, tax or discount line
+ * @returns {Array} - Quote items
+ */
+function extractItemBlocks(parser, text, isChargeLine) {
+  const { itemStart, itemEnd } = parser.lineItems;
+  const blocks = [];
+  let block = null;
+
+  for (const line of text.split(/\r?\n/)) {
+    if (itemEnd && itemEnd.test(line)) {
+      break;
+    }
+
+    if (isChargeLine(line)) {
+      continue;
+    }
+
+    if (itemStart.test(line)) {
+      block = [line];
+      blocks.push(block);
+    } else if (block) {
+      block.push(line);
+    }
+  }
+
+  return blocks
+    .map(lines => {
+      const blockText = lines.join('\n');
+      const match = findWindowSize(blockText, getDimensionRegex(parser));
+      return match ? buildItem(parser, blockText, match) : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Build a quote item from the text of one item, scoring each field from the evidence found for it
+ * Cells from a detected table take precedence over the parser's rules
+ * @param {Object} parser - Quote parser
+ * @param {string} text - The item's line or lines
+ * @param {Array} match - Dimension match within the text
+ * @param {Object} row - Table row with cells (item, quantity, description lines, size, unitPrice,
+ *                       extendedPrice) and the table's columns, if the item came from a detected table
+ * @returns {Object|null} - Quote item, or null without valid dimensions
+ */
+function buildItem(parser, text, match, row = {}) {
+  const { lineItems } = parser;
+  const cells = row.cells || null;
+  const width = parseMeasurement(match[1]);
+  const height = parseMeasurement(match[2]);
+
+  if (!(width > 0 && height > 0)) {
+    return null;
+  }
+
+  const cellQuantity = parseInt(cells && cells.quantity, 10);
+  const ruleQuantity = parseInt(matchFirst(text, lineItems.quantity || []), 10);
+  const quantity = cellQuantity || ruleQuantity || 1;
+  const cellPrice = findCellPrice(cells, quantity);
+  const textPrice = cellPrice ? 0 : findPrice(lineItems, text);
+  const price = cellPrice || textPrice;
+  const optionLines = extractOptionLines(parser.options || [], text);
+
+  const fromCells = cells && cells.description.length > 0;
+
+  let description = removeMatches(fromCells ? cells.description.join('\n') : text, [
+    ...getOptionPatterns(parser.options || []),
+    ...(fromCells ? [] : getLayoutPatterns(lineItems))
+  ])
+    .replace(match[0], '')
+    .split('\n')
+    .map(line => line.replace(/[\s|]+/g, ' ').replace(/^[\s\-–:,]+|[\s\-–:,]+$/g, ''))
+    .filter(line => line !== '')
+    .join(' ');
+
+  if (description === '') {
+    description = `${formatMeasurement(width)} × ${formatMeasurement(height)} Window`;
+  }
+
+  const item = {
+    widthInches: width,
+    heightInches: height,
+    description,
+    optionLines,
+    attributes: extractItemAttributes(description, optionLines),
+    quantity,
+    unitPrice: price / quantity,
+    totalPrice: price
+  };
+
+  const evidence = {
+    sizeSource: cells && cells.size ? 'cell' : 'text',
+    quantitySource: cellQuantity ? 'cell' : (ruleQuantity ? 'rule' : 'none'),
+    priceSource: cellPrice ? 'cell' : (textPrice ? (lineItems.price ? 'rule' : 'line') : 'none'),
+    statedUnitPrice: findStatedUnitPrice(cells, text, price),
+    ruleMatch: cells ?
+      getColumnMatch(row) :
+      [textPrice > 0, !lineItems.quantity || ruleQuantity > 0].filter(Boolean).length / 2
+  };
+
+  return { ...item, ...scoreQuoteItem(item, evidence) };
+}
+
+/**
+ * Get the share of a table's columns a row filled
+ * @param {Object} row - Table row with cells and columns
+ * @returns {number} - 0-1
+ */
+function getColumnMatch(row) {
+  const filled = row.columns.filter(column =>
+    column === 'description' ? row.cells.description.length > 0 : row.cells[column]
+  );
+
+  return filled.length / row.columns.length;
+}
+
+/**
+ * Find a unit price printed on the quote, to check against the item's total
+ * @param {Object} cells - Table cells, or null
+ * @param {string} text - The item's line or lines
+ * @param {number} price - The item's total price
+ * @returns {number|null} - The unit price cell, or another $ amount in the item's text
+ */
+function findStatedUnitPrice(cells, text, price) {
+  if (cells) {
+    // Without an extended price cell the total was worked out from the unit price, so it can't check it
+    return cells.unitPrice && cells.extendedPrice ? parseAmount(cells.unitPrice.replace('$', '')) : null;
+  }
+
+  const amounts = [...text.matchAll(/\$\s*([\d,]+\.\d{2})/g)].map(amount => parseAmount(amount[1]));
+  const priceIndex = amounts.indexOf(price);
+
+  if (priceIndex > -1) {
+    amounts.splice(priceIndex, 1);
+  }
+
+  return amounts.length > 0 ? amounts[0] : null;
+}
+
+/**
+ * Get the patterns for an item's layout text: its start, price, quantity and stripped text
+ * @param {Object} lineItems - Line-item rules
+ * @returns {Array} - RegExps
+ */
+function getLayoutPatterns(lineItems) {
+  return [
+    ...(lineItems.itemStart ? [lineItems.itemStart] : []),
+    ...(lineItems.price ? [lineItems.price] : []),
+    /\$\s*[\d,]+\.\d{2}/,
+    ...(lineItems.quantity || []),
+    ...(lineItems.strip || [])
+  ];
+}
+
+/**
+ * Find an item's total price in its table cells
+ * @param {Object} cells - Table cells, or null
+ * @param {number} quantity - Item quantity
+ * @returns {number} - Extended price, unit price × quantity, or 0 without price cells
+ */
+function findCellPrice(cells, quantity) {
+  if (!cells) {
+    return 0;
+  }
+
+  if (cells.extendedPrice) {
+    return parseAmount(cells.extendedPrice.replace('$', ''));
+  }
+
+  return cells.unitPrice ? parseAmount(cells.unitPrice.replace('$', '')) * quantity : 0;
+}
+
+/**
+ * Find an item's total price
+ * @param {Object} lineItems - Line-item rules
+ * @param {string} text - The item's line or lines
+ * @returns {number} - Price, or 0 if none was found
+ */
+function findPrice(lineItems, text) {
+  if (lineItems.price) {
+    const price = matchFirst(text, [lineItems.price]);
+    return price ? parseAmount(price) : 0;
+  }
+
+  const amounts = [...text.matchAll(/\$\s*([\d,]+\.\d{2})/g)];
+  return amounts.length > 0 ? parseAmount(amounts[amounts.length - 1][1]) : 0;
+}
+
+/**
+ * Collect an item's option lines
+ * @param {Array} rules - Option rules
+ * @param {string} text - The item's line or lines
+ * @returns {Array} - Option text, e.g. "Grilles: Colonial"
+ */
+function extractOptionLines(rules, text) {
+  const optionLines = [];
+
+  rules.forEach(rule => {
+    const pattern = getOptionPatterns([rule])[0];
+
+    for (const match of text.matchAll(pattern)) {
+      const value = typeof rule === 'string' ?
+        `${rule}: ${match[1].trim()}` :
+        (match[1] || match[0]).trim();
+
+      if (value !== '' && !optionLines.includes(value)) {
+        optionLines.push(value);
+      }
+    }
+  });
+
+  return optionLines;
+}
+
+/**
+ * Build global regexes for option rules
+ * @param {Array} rules - Option rules (labels or RegExps)
+ * @returns {Array} - RegExps
+ */
+function getOptionPatterns(rules) {
+  return rules.map(rule => typeof rule === 'string' ?
+    new RegExp(`\\b${escapeRegex(rule)}\\s*:\\s*([^|\\n]+)`, 'gi') :
+    toGlobalRegex(rule)
+  );
+}
+
+/**
+ * Get a parser's rules for a quote detail, followed by the generic rules
+ * @param {Object} parser - Quote parser
+ * @param {string} field - Header field
+ * @returns {Array} - RegExps
+ */
+function getHeaderRules(parser, field) {
+  const generic = parser === GENERIC_QUOTE_PARSER ? [] : GENERIC_QUOTE_PARSER.header[field] || [];
+  return [...(parser.header[field] || []), ...generic];
+}
+
+/**
+ * Find the customer's address, joining a city, state and ZIP line below the street
+ * @param {string} text - The extracted text
+ * @param {Array} patterns - Address rules
+ * @returns {string} - Address, or '' if the quote doesn't show one
+ */
+function matchAddress(text, patterns) {
+  const lines = text.split(/\r?\n/);
+
+  for (const pattern of patterns) {
+    const single = new RegExp(pattern.source, pattern.flags.replace(/[gm]/g, ''));
+
+    for (let index = 0; index < lines.length; index++) {
+      const match = lines[index].match(single);
+
+      if (match) {
+        const street = match[1].trim();
+        const next = lines[index + 1] || '';
+        const continuation = next.match(ADDRESS_CONTINUATION_PATTERN);
+
+        return continuation && !ADDRESS_CONTINUATION_PATTERN.test(street) ?
+          `${street}, ${continuation[0].trim()}` :
+          street;
+      }
+    }
+  }
+
+  return '';
+}
+
+/**
+ * Find the date a quote expires
+ * @param {Object} parser - Quote parser
+ * @param {string} text - The extracted text
+ * @param {Date|null} quoteDate - The quote's date, for quotes "valid for 30 days"
+ * @returns {Date|null} - Expiration date
+ */
+function findValidUntil(parser, text, quoteDate) {
+  const validUntil = matchFirst(text, getHeaderRules(parser, 'validUntil'));
+
+  if (validUntil) {
+    return parseQuoteDate(validUntil);
+  }
+
+  const validDays = parseInt(matchFirst(text, getHeaderRules(parser, 'validDays')), 10);
+
+  if (!quoteDate || !(validDays > 0)) {
+    return null;
+  }
+
+  const date = new Date(quoteDate);
+  date.setDate(date.getDate() + validDays);
+  return date;
+}
+
+/**
+ * Get the parser's dimension regex
+ * @param {Object} parser - Quote parser
+ * @returns {RegExp} - Dimension regex
+ */
+function getDimensionRegex(parser) {
+  return parser.lineItems.dimension || createDimensionRegex();
+}
+
+/**
+ * Remove every match of the patterns from text
+ * @param {string} text - Text
+ * @param {Array} patterns - RegExps
+ * @returns {string} - Remaining text
+ */
+function removeMatches(text, patterns) {
+  return patterns.reduce((remaining, pattern) => remaining.replace(toGlobalRegex(pattern), ''), text);
+}
+
+/**
+ * Copy a regex with the global flag set
+ * @param {RegExp} pattern - Regex
+ * @returns {RegExp} - Global regex
+ */
+function toGlobalRegex(pattern) {
+  return new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`);
+}
+
+/**
+ * Get capture group 1 of the first pattern that matches
+ * @param {string} text - Text to search
+ * @param {Array} patterns - RegExps, tried in order
+ * @returns {string|null} - Captured text
+ */
+function matchFirst(text, patterns) {
+  for (const pattern of patterns) {
+    const match = text.match(new RegExp(pattern.source, pattern.flags.replace('g', '')));
+
+    if (match) {
+      return match[1];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse a quote date
+ * @param {string} value - Date text
+ * @returns {Date|null} - Date, or null if the text isn't a valid date
+ */
+function parseQuoteDate(value) {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Parse a dollar amount
+ * @param {string} value - Amount text, e.g. "1,234.50"
+ * @returns {number} - Amount
+ */
+function parseAmount(value) {
+  return parseFloat(value.replace(/,/g, '')) || 0;
+}
+
+/**
+ * Normalize a competitor name for lookup
+ * @param {string} name - Competitor ID or name
+ * @returns {string} - Lowercase letters and digits
+ */
+function normalizeCompetitorName(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Escape text for use in a regex
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
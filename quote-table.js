@@ -0,0 +1,283 @@
+// Quote Table Extraction for Warnke Windows WindowVisor Dashboard
+// This file finds the line-item rows in extracted quote text: it detects the table's columns from its
+// header row, splits each row into cells and joins wrapped description and price lines back onto their row
+
+import { parseMeasurement, createDimensionRegex } from './measurement-utils';
+
+// Header labels for each column a quote table can have
+export const TABLE_COLUMNS = {
+  item: /^(?:item|line|mark|no\.?|#|item\s*(?:#|no\.?)|line\s*(?:#|no\.?))$/i,
+  quantity: /^(?:qty|qnty|quantity)\.?$/i,
+  description: /^(?:description|product|item\s+description|product\s+description|unit\s+description|window)$/i,
+  size: /^(?:size|sizes|dimensions?|width\s*(?:x|×)\s*height|w\s*(?:x|×)\s*h|rough\s+opening|unit\s+size)$/i,
+  unitPrice: /^(?:unit(?:\s+price)?|each|price\s+each|unit\s+cost)$/i,
+  extendedPrice: /^(?:ext(?:ended|\.)?(?:\s+price)?|total|line\s+total|amount|price)$/i
+};
+
+// Kinds of cell text each column holds
+const COLUMN_KINDS = {
+  item: ['integer', 'mark'],
+  quantity: ['integer'],
+  description: ['text', 'mark', 'integer'],
+  size: ['size'],
+  unitPrice: ['money'],
+  extendedPrice: ['money']
+};
+
+// Smallest and largest width or height, in inches, that can be a window rather than some other number
+export const WINDOW_SIZE_RANGE = { min: 6, max: 240 };
+
+// Lines that end the item table
+const TABLE_END_PATTERN = /^\s*(?:sub\s*total|total|grand\s+total|order\s+total|quote\s+total|net\s+total|tax|sales\s+tax|amount\s+due|balance)\b/i;
+
+/**
+ * Split extracted quote text into line-item rows
+ * With a header row, each row's cells are matched to the detected columns; without one, each line with a
+ * window size is a row, and a price on the line below is picked up when the row has none
+ * @param {string} text - The extracted text
+ * @param {Object} options - dimension (RegExp with width and height in groups 1 and 2) and
+ *                           skipLine (checks for lines that aren't part of any item, such as fees)
+ * @returns {Array} - Rows ({ text, match, cells, columns }); cells and columns are null without a header row
+ */
+export function extractTableRows(text, options = {}) {
+  const dimension = options.dimension || createDimensionRegex();
+  const lines = text.split(/\r?\n/)
+    .map(line => options.skipLine && options.skipLine(line) && !TABLE_END_PATTERN.test(line) ? '' : line);
+  const layout = detectTableLayout(lines);
+
+  return layout ?
+    extractColumnRows(lines, layout, dimension) :
+    extractSizeRows(lines, dimension);
+}
+
+/**
+ * Find the table header and its columns
+ * @param {Array} lines - Lines of extracted text
+ * @returns {Object|null} - { headerIndex, columns: [{ id, label, start, end }] }, or null without a header
+ */
+export function detectTableLayout(lines) {
+  for (let index = 0; index < lines.length; index++) {
+    const cells = splitCells(lines[index]);
+    const columns = [];
+
+    cells.forEach(cell => {
+      const id = Object.keys(TABLE_COLUMNS).find(key =>
+        TABLE_COLUMNS[key].test(cell.text) && !columns.some(column => column.id === key)
+      );
+
+      if (id) {
+        columns.push({ id, label: cell.text, start: cell.start, end: cell.end });
+      }
+    });
+
+    const ids = columns.map(column => column.id);
+    const hasItem = ids.includes('size') || ids.includes('description');
+    const hasAmount = ids.includes('quantity') || ids.includes('unitPrice') || ids.includes('extendedPrice');
+
+    // Most header cells must be column labels, so a sentence mentioning "price" isn't a header
+    if (columns.length >= 3 && hasItem && hasAmount && columns.length >= cells.length - 1) {
+      return { headerIndex: index, columns };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a width and height can be a window
+ * @param {number} width - Width in inches
+ * @param {number} height - Height in inches
+ * @returns {boolean} - True when both are in WINDOW_SIZE_RANGE
+ */
+export function isWindowSize(width, height) {
+  return [width, height].every(value =>
+    value >= WINDOW_SIZE_RANGE.min && value <= WINDOW_SIZE_RANGE.max
+  );
+}
+
+/**
+ * Find the first window size in text, skipping dimensions outside WINDOW_SIZE_RANGE
+ * @param {string} text - Text to search
+ * @param {RegExp} dimension - Dimension regex (defaults to "W x H")
+ * @returns {Array|null} - Dimension match
+ */
+export function findWindowSize(text, dimension = createDimensionRegex()) {
+  const pattern = new RegExp(dimension.source, dimension.flags.includes('g') ? dimension.flags : `${dimension.flags}g`);
+
+  for (const match of text.matchAll(pattern)) {
+    if (isWindowSize(parseMeasurement(match[1]), parseMeasurement(match[2]))) {
+      return match;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Split the lines below a header row into rows of cells
+ * A line starts a new row when it has a size, or an item number or quantity before any other text;
+ * other lines are wrapped description text or a price on its own line
+ * @param {Array} lines - Lines of extracted text
+ * @param {Object} layout - Table layout
+ * @param {RegExp} dimension - Dimension regex
+ * @returns {Array} - Rows
+ */
+function extractColumnRows(lines, layout, dimension) {
+  const rows = [];
+  let row = null;
+
+  for (const line of lines.slice(layout.headerIndex + 1)) {
+    if (TABLE_END_PATTERN.test(line)) {
+      break;
+    }
+
+    const cells = assignCells(splitCells(line), layout.columns, dimension);
+    const leading = cells.length > 0 ? cells[0].column : null;
+    const startsRow = findWindowSize(line, dimension) !== null ||
+      ((leading === 'item' || leading === 'quantity') && cells.length > 1);
+
+    if (startsRow) {
+      row = { lines: [], cells: { description: [] } };
+      rows.push(row);
+    }
+
+    if (!row || cells.length === 0) {
+      continue;
+    }
+
+    row.lines.push(line);
+
+    cells.forEach(cell => {
+      if (cell.column === 'description') {
+        row.cells.description.push(cell.text);
+      } else if (!row.cells[cell.column]) {
+        row.cells[cell.column] = cell.text;
+      }
+    });
+  }
+
+  return rows
+    .map(entry => {
+      const text = entry.lines.join('\n');
+      const match = findWindowSize(entry.cells.size || text, dimension) || findWindowSize(text, dimension);
+      return match ? { text, match, cells: entry.cells, columns: layout.columns.map(column => column.id) } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Find rows in text without a table header: one per line with a window size
+ * @param {Array} lines - Lines of extracted text
+ * @param {RegExp} dimension - Dimension regex
+ * @returns {Array} - Rows
+ */
+function extractSizeRows(lines, dimension) {
+  const rows = [];
+
+  lines.forEach((line, index) => {
+    const match = findWindowSize(line, dimension);
+
+    if (!match) {
+      return;
+    }
+
+    const next = lines[index + 1] || '';
+    const priceOnNextLine = !/\$\s*[\d,]+\.\d{2}/.test(line) &&
+      /^\s*\$\s*[\d,]+\.\d{2}\s*$/.test(next);
+
+    rows.push({ text: priceOnNextLine ? `${line}\n${next}` : line, match, cells: null, columns: null });
+  });
+
+  return rows;
+}
+
+/**
+ * Match a row's cells to the table's columns
+ * Each cell goes to the nearest column that holds its kind of text
+ * @param {Array} cells - Cells of one line
+ * @param {Array} columns - Table columns
+ * @param {RegExp} dimension - Dimension regex
+ * @returns {Array} - Cells with their column ID
+ */
+function assignCells(cells, columns, dimension) {
+  const used = new Set();
+
+  return cells
+    .map(cell => {
+      const kind = getCellKind(cell.text, dimension);
+      const candidates = columns.filter(column =>
+        COLUMN_KINDS[column.id].includes(kind) &&
+        (column.id === 'description' || !used.has(column.id))
+      );
+
+      if (candidates.length === 0) {
+        return null;
+      }
+
+      const center = (cell.start + cell.end) / 2;
+      const column = candidates.reduce((nearest, candidate) =>
+        distanceToColumn(center, candidate) < distanceToColumn(center, nearest) ? candidate : nearest
+      );
+
+      used.add(column.id);
+      return { ...cell, column: column.id };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Classify a cell's text
+ * @param {string} text - Cell text
+ * @param {RegExp} dimension - Dimension regex
+ * @returns {string} - 'size', 'money', 'integer', 'mark' or 'text'
+ */
+function getCellKind(text, dimension) {
+  const size = findWindowSize(text, dimension);
+
+  if (size && text.replace(size[0], '').trim() === '') {
+    return 'size';
+  }
+
+  if (/^\$?\s*[\d,]+\.\d{2}$/.test(text)) {
+    return 'money';
+  }
+
+  if (/^\d{1,4}$/.test(text)) {
+    return 'integer';
+  }
+
+  if (/^[A-Z]{1,2}\d{0,3}$/.test(text)) {
+    return 'mark';
+  }
+
+  return 'text';
+}
+
+/**
+ * Distance from a point on the line to a column's header
+ * @param {number} position - Character position
+ * @param {Object} column - Table column
+ * @returns {number} - Characters outside the header's span (0 inside it)
+ */
+function distanceToColumn(position, column) {
+  if (position < column.start) {
+    return column.start - position;
+  }
+
+  return position > column.end ? position - column.end : 0;
+}
+
+/**
+ * Split a line into cells separated by two or more spaces or a tab
+ * @param {string} line - Line of extracted text
+ * @returns {Array} - Cells ({ text, start, end })
+ */
+function splitCells(line) {
+  const cells = [];
+
+  for (const match of line.matchAll(/\S+(?: \S+)*/g)) {
+    cells.push({ text: match[0], start: match.index, end: match.index + match[0].length });
+  }
+
+  return cells;
+}
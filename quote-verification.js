@@ -8,13 +8,28 @@ import {
   updateQuoteItem,
   verifyQuote
 } from '../backend/quoteManager';
+import { parseMeasurement, formatMeasurement, DEFAULT_NOTATION } from '../measurement-utils';
+import {
+  LOW_CONFIDENCE_THRESHOLD,
+  confirmQuoteItemFields,
+  getFieldConfidence,
+  isLowConfidence
+} from '../quote-confidence';
+import { QUOTE_ITEM_ATTRIBUTES, describeItemAttributes, getItemAttributes } from '../quote-item-attributes';
+import { QUOTE_CHARGE_TYPES, isWindowLine } from '../quote-charges';
 
-export function QuoteVerification({ quoteId, onVerificationComplete, onCancel }) {
+export function QuoteVerification({ 
+  quoteId, 
+  measurementNotation = DEFAULT_NOTATION, 
+  onVerificationComplete, 
+  onCancel 
+}) {
   const [quoteDetails, setQuoteDetails] = useState(null);
   const [quoteItems, setQuoteItems] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [isVerifying, setIsVerifying] = useState(false);
   const [error, setError] = useState(null);
+  const [attributesItemId, setAttributesItemId] = useState(null);
   
   useEffect(() => {
     loadQuoteData();
@@ -46,7 +61,13 @@ export function QuoteVerification({ quoteId, onVerificationComplete, onCancel })
       // Update item in UI immediately for responsiveness
       const updatedItems = quoteItems.map(item => {
         if (item.itemId === itemId) {
-          return { ...item, [field]: value };
+          const updatedItem = { ...item, [field]: value };
+          
+          if (field === 'description' || field === 'attributeEdits') {
+            updatedItem.attributes = getItemAttributes(updatedItem);
+          }
+          
+          return { ...updatedItem, ...confirmQuoteItemFields(updatedItem, [field]) };
         }
         return item;
       });
@@ -81,6 +102,10 @@ export function QuoteVerification({ quoteId, onVerificationComplete, onCancel })
     }
   };
   
+  // Fees, tax and discounts are listed apart from the windows
+  const windowItems = quoteItems.filter(isWindowLine);
+  const chargeItems = quoteItems.filter(item => !isWindowLine(item));
+  
   if (isLoading) {
     return (
       <div className="quote-verification">
@@ -119,7 +144,7 @@ export function QuoteVerification({ quoteId, onVerificationComplete, onCancel })
       
       <div className="verification-instructions">
         <p>Please review the extracted quote data below. Edit any incorrect information.</p>
-        <p>Items with low confidence scores may need your attention.</p>
+        <p>Items with low confidence scores may need your attention. Highlighted cells are the values to check; hover over one to see why.</p>
       </div>
       
       <div className="quote-header">
@@ -139,6 +164,21 @@ export function QuoteVerification({ quoteId, onVerificationComplete, onCancel })
           <label>Total Amount:</label>
           <p>${quoteDetails.totalAmount.toLocaleString()}</p>
         </div>
+        <div className="quote-header-item">
+          <label>Customer:</label>
+          <p>{quoteDetails.customerName || 'N/A'}</p>
+          {quoteDetails.customerAddress && <p className="customer-address">{quoteDetails.customerAddress}</p>}
+        </div>
+        <div className="quote-header-item">
+          <label>Sales Rep:</label>
+          <p>{quoteDetails.salesRep || 'N/A'}</p>
+        </div>
+        <div className="quote-header-item">
+          <label>Valid Until:</label>
+          <p className={quoteDetails.validUntil && new Date(quoteDetails.validUntil) < new Date() ? 'expired' : ''}>
+            {quoteDetails.validUntil ? new Date(quoteDetails.validUntil).toLocaleDateString() : 'N/A'}
+          </p>
+        </div>
       </div>
       
       <div className="table-container">
@@ -148,21 +188,19 @@ export function QuoteVerification({ quoteId, onVerificationComplete, onCancel })
               <th>Item</th>
               <th>Quantity</th>
               <th>Description</th>
-              <th>Width (in)</th>
-              <th>Height (in)</th>
+              <th>Width</th>
+              <th>Height</th>
               <th>Unit Price</th>
               <th>Total Price</th>
               <th>Confidence</th>
             </tr>
           </thead>
           <tbody>
-            {quoteItems.map((item, index) => (
-              <tr 
-                key={item.itemId} 
-                className={item.confidenceScore < 0.7 ? 'low-confidence' : ''}
-              >
+            {windowItems.map((item, index) => (
+              <React.Fragment key={item.itemId}>
+              <tr className={item.confidenceScore < LOW_CONFIDENCE_THRESHOLD ? 'low-confidence' : ''}>
                 <td>{index + 1}</td>
-                <td>
+                <td {...getConfidenceCellProps(item, 'quantity')}>
                   <input 
                     type="number" 
                     value={item.quantity} 
@@ -176,26 +214,31 @@ export function QuoteVerification({ quoteId, onVerificationComplete, onCancel })
                     value={item.description} 
                     onChange={(e) => handleItemUpdate(item.itemId, 'description', e.target.value)}
                   />
+                  <div className="item-attributes">
+                    <span>{describeItemAttributes(getItemAttributes(item)) || 'No options found'}</span>
+                    <button
+                      className="link-button"
+                      onClick={() => setAttributesItemId(attributesItemId === item.itemId ? null : item.itemId)}
+                    >
+                      {attributesItemId === item.itemId ? 'Done' : 'Edit options'}
+                    </button>
+                  </div>
                 </td>
-                <td>
-                  <input 
-                    type="number" 
+                <td {...getConfidenceCellProps(item, 'widthInches')}>
+                  <MeasurementInput 
                     value={item.widthInches} 
-                    onChange={(e) => handleItemUpdate(item.itemId, 'widthInches', parseFloat(e.target.value))}
-                    step="0.125"
-                    min="0"
+                    notation={measurementNotation}
+                    onChange={(inches) => handleItemUpdate(item.itemId, 'widthInches', inches)}
                   />
                 </td>
-                <td>
-                  <input 
-                    type="number" 
+                <td {...getConfidenceCellProps(item, 'heightInches')}>
+                  <MeasurementInput 
                     value={item.heightInches} 
-                    onChange={(e) => handleItemUpdate(item.itemId, 'heightInches', parseFloat(e.target.value))}
-                    step="0.125"
-                    min="0"
+                    notation={measurementNotation}
+                    onChange={(inches) => handleItemUpdate(item.itemId, 'heightInches', inches)}
                   />
                 </td>
-                <td>
+                <td {...getConfidenceCellProps(item, 'unitPrice')}>
                   <input 
                     type="number" 
                     value={item.unitPrice} 
@@ -204,7 +247,7 @@ export function QuoteVerification({ quoteId, onVerificationComplete, onCancel })
                     min="0"
                   />
                 </td>
-                <td>
+                <td {...getConfidenceCellProps(item, 'totalPrice')}>
                   <input 
                     type="number" 
                     value={item.totalPrice} 
@@ -219,13 +262,24 @@ export function QuoteVerification({ quoteId, onVerificationComplete, onCancel })
                       className="confidence-bar" 
                       style={{ 
                         width: `${item.confidenceScore * 100}%`,
-                        backgroundColor: item.confidenceScore < 0.7 ? '#ffc107' : '#28a745'
+                        backgroundColor: item.confidenceScore < LOW_CONFIDENCE_THRESHOLD ? '#ffc107' : '#28a745'
                       }}
                     ></div>
                     <span>{Math.round(item.confidenceScore * 100)}%</span>
                   </div>
                 </td>
               </tr>
+              {attributesItemId === item.itemId && (
+                <tr className="attributes-row">
+                  <td colSpan="8">
+                    <AttributeEditor 
+                      attributes={getItemAttributes(item)} 
+                      onChange={(id, value) => handleItemUpdate(item.itemId, 'attributeEdits', { ...item.attributeEdits, [id]: value })}
+                    />
+                  </td>
+                </tr>
+              )}
+              </React.Fragment>
             ))}
           </tbody>
         </table>
@@ -237,12 +291,14 @@ export function QuoteVerification({ quoteId, onVerificationComplete, onCancel })
           onClick={() => {
             const newItem = {
               itemId: `temp-${Date.now()}`,
+              lineType: 'window',
               quantity: 1,
               description: '',
               widthInches: 0,
               heightInches: 0,
               unitPrice: 0,
               totalPrice: 0,
+              attributes: {},
               confidenceScore: 1.0
             };
             setQuoteItems([...quoteItems, newItem]);
@@ -252,6 +308,52 @@ export function QuoteVerification({ quoteId, onVerificationComplete, onCancel })
         </button>
       </div>
       
+      {chargeItems.length > 0 && (
+        <div className="table-container">
+          <h3>Fees, Tax &amp; Discounts</h3>
+          <table className="quote-charges">
+            <thead>
+              <tr>
+                <th>Type</th>
+                <th>Description</th>
+                <th>Amount</th>
+              </tr>
+            </thead>
+            <tbody>
+              {chargeItems.map(item => (
+                <tr key={item.itemId}>
+                  <td>
+                    <select 
+                      value={item.chargeType} 
+                      onChange={(e) => handleItemUpdate(item.itemId, 'chargeType', e.target.value)}
+                    >
+                      {QUOTE_CHARGE_TYPES.map(type => (
+                        <option key={type.id} value={type.id}>{type.name}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td>
+                    <input 
+                      type="text" 
+                      value={item.description} 
+                      onChange={(e) => handleItemUpdate(item.itemId, 'description', e.target.value)}
+                    />
+                  </td>
+                  <td {...getConfidenceCellProps(item, 'totalPrice')}>
+                    <input 
+                      type="number" 
+                      step="0.01" 
+                      value={item.totalPrice} 
+                      onChange={(e) => handleItemUpdate(item.itemId, 'totalPrice', parseFloat(e.target.value))}
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      
       {error && (
         <div className="error-message">
           <i className="icon-error"></i>
@@ -276,4 +378,115 @@ export function QuoteVerification({ quoteId, onVerificationComplete, onCancel })
         </button>
       </div>
     </div>
-  );
\ No newline at end of file
+  );
+}
+
+/**
+ * Cell props that flag a low-confidence field, with the reasons as a tooltip
+ */
+function getConfidenceCellProps(item, field) {
+  if (!isLowConfidence(item, field)) {
+    return {};
+  }
+  
+  const { score, reasons } = getFieldConfidence(item, field);
+  
+  return {
+    className: 'low-confidence-cell',
+    title: [`${Math.round(score * 100)}% confidence`, ...reasons].join('\n')
+  };
+}
+
+/**
+ * Editors for a quote item's structured attributes
+ * Known values are picked from a list; color and hardware also take what the quote says as written.
+ * Each change is passed on by itself, to be kept over what the description says
+ */
+function AttributeEditor({ attributes, onChange }) {
+  const handleChange = (id, value) => {
+    onChange(id, value);
+  };
+  
+  return (
+    <div className="attribute-editor">
+      {QUOTE_ITEM_ATTRIBUTES.map(attribute => (
+        <label key={attribute.id} className="attribute-field">
+          <span>{attribute.label}</span>
+          {attribute.type === 'boolean' ? (
+            <input 
+              type="checkbox" 
+              checked={!!attributes[attribute.id]} 
+              onChange={(e) => handleChange(attribute.id, e.target.checked)}
+            />
+          ) : attribute.freeText ? (
+            <>
+              <input 
+                type="text" 
+                list={`attribute-values-${attribute.id}`}
+                value={attributes[attribute.id] || ''} 
+                onChange={(e) => handleChange(attribute.id, e.target.value || null)}
+              />
+              <datalist id={`attribute-values-${attribute.id}`}>
+                {attribute.values.map(value => (
+                  <option key={value.id} value={value.id}>{value.name}</option>
+                ))}
+              </datalist>
+            </>
+          ) : (
+            <select 
+              value={attributes[attribute.id] || ''} 
+              onChange={(e) => handleChange(attribute.id, e.target.value || null)}
+            >
+              <option value="">Not stated</option>
+              {attribute.values.map(value => (
+                <option key={value.id} value={value.id}>{value.name}</option>
+              ))}
+            </select>
+          )}
+        </label>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Text input for a measurement in inches
+ * Accepts field notation ("35 1/2", "35-1/2\"", "3' 4\"", "900mm") and shows the
+ * value back in the rep's preferred notation once the input loses focus
+ */
+function MeasurementInput({ value, notation, onChange }) {
+  const [text, setText] = useState(formatMeasurement(value, notation));
+  const [isInvalid, setIsInvalid] = useState(false);
+  
+  useEffect(() => {
+    setText(formatMeasurement(value, notation));
+    setIsInvalid(false);
+  }, [value, notation]);
+  
+  const handleBlur = () => {
+    const inches = parseMeasurement(text, notation === 'mm' ? 'mm' : 'in');
+    
+    if (inches === null || inches <= 0) {
+      setIsInvalid(true);
+      return;
+    }
+    
+    setIsInvalid(false);
+    
+    if (inches !== value) {
+      onChange(inches);
+    } else {
+      setText(formatMeasurement(inches, notation));
+    }
+  };
+  
+  return (
+    <input 
+      type="text" 
+      className={isInvalid ? 'invalid-measurement' : ''}
+      value={text} 
+      onChange={(e) => setText(e.target.value)}
+      onBlur={handleBlur}
+    />
+  );
+}
@@ -4,6 +4,10 @@
 import React, { useState, useEffect } from 'react';
 import { updateUserProfile, updateUserSettings } from '../backend/userManager';
 import { initiateOAuth, logout } from '../window-calculator';
+import { subscribeToAuthState, getTimeRemaining } from '../google-auth';
+import { getPriceCacheStats, flushPriceCache } from '../price-cache';
+import { flushBackendPriceCache } from '../backend/priceBookManager';
+import { MEASUREMENT_NOTATIONS, DEFAULT_NOTATION } from '../measurement-utils';
 
 export function Settings({ user }) {
   const [profileData, setProfileData] = useState({
@@ -19,6 +23,7 @@ export function Settings({ user }) {
       app: true
     },
     defaultCompetitor: '',
+    measurementNotation: DEFAULT_NOTATION,
     autoProcess: true,
     darkMode: false
   });
@@ -29,7 +34,9 @@ export function Settings({ user }) {
     confirmPassword: ''
   });
   
-  const [authStatus, setAuthStatus] = useState('not-authenticated');
+  const [authState, setAuthState] = useState({ status: 'not-authenticated', expiresAt: null });
+  const [timeRemaining, setTimeRemaining] = useState(null);
+  const [cacheStats, setCacheStats] = useState(getPriceCacheStats());
   const [isUpdating, setIsUpdating] = useState(false);
   const [isChangingPassword, setIsChangingPassword] = useState(false);
   const [error, setError] = useState(null);
@@ -55,13 +62,26 @@ export function Settings({ user }) {
     if (user.settings) {
       setSettings(user.settings);
     }
-    
-    // Check authentication status
-    if (user.authStatus) {
-      setAuthStatus(user.authStatus);
-    }
   }, [user]);
   
+  useEffect(() => {
+    // Follow the Google token manager's connection state
+    const unsubscribe = subscribeToAuthState(state => {
+      setAuthState(state);
+      setTimeRemaining(getTimeRemaining(state));
+    });
+    
+    // Count down the time left on the access token
+    const timer = setInterval(() => {
+      setTimeRemaining(getTimeRemaining());
+    }, 30000);
+    
+    return () => {
+      unsubscribe();
+      clearInterval(timer);
+    };
+  }, []);
+  
   const handleProfileChange = (field, value) => {
     setProfileData({
       ...profileData,
@@ -186,12 +206,9 @@ export function Settings({ user }) {
   
   const handleGoogleAuth = async () => {
     try {
-      // Initiate OAuth flow
+      // Initiate OAuth flow; the token manager reports progress through the auth state
       await initiateOAuth();
       
-      // Update auth status
-      setAuthStatus('authenticating');
-      
     } catch (error) {
       console.error('Failed to authenticate with Google:', error);
       setError(error.message || 'Failed to authenticate with Google.');
@@ -203,15 +220,51 @@ export function Settings({ user }) {
       // Logout from Google
       await logout();
       
-      // Update auth status
-      setAuthStatus('not-authenticated');
-      
     } catch (error) {
       console.error('Failed to logout:', error);
       setError(error.message || 'Failed to logout.');
     }
   };
   
+  const handleFlushPriceCache = async () => {
+    try {
+      setError(null);
+      
+      // Comparisons are priced in the backend, which keeps its own cache
+      const backendFlushed = await flushBackendPriceCache();
+      const flushed = flushPriceCache() + backendFlushed;
+      setCacheStats(getPriceCacheStats());
+      setSuccessMessage(`Cleared ${flushed} cached ${flushed === 1 ? 'price' : 'prices'}.`);
+      
+      // Clear success message after 3 seconds
+      setTimeout(() => {
+        setSuccessMessage(null);
+      }, 3000);
+    } catch (error) {
+      console.error('Failed to clear price cache:', error);
+      setError(error.message || 'Failed to clear price cache.');
+    }
+  };
+  
+  const formatTimeRemaining = (milliseconds) => {
+    const minutes = Math.floor(milliseconds / 60000);
+    
+    if (minutes < 1) {
+      return 'less than a minute';
+    }
+    
+    const hours = Math.floor(minutes / 60);
+    
+    if (hours > 0) {
+      return `${hours} hr ${minutes % 60} min`;
+    }
+    
+    return `${minutes} min`;
+  };
+  
+  const authStatus = authState.status;
+  const isConnected = authStatus === 'authenticated' || authStatus === 'refreshing';
+  
   return (
     <div className="settings-page">
       <div className="section-header">
@@ -368,6 +421,21 @@ export function Settings({ user }) {
             <p className="setting-description">Pre-select this competitor when uploading quotes.</p>
           </div>
           
+          <div className="form-group">
+            <label>Measurement Format:</label>
+            <select 
+              value={settings.measurementNotation || DEFAULT_NOTATION} 
+              onChange={(e) => handleSimpleSettingChange('measurementNotation', e.target.value)}
+            >
+              {MEASUREMENT_NOTATIONS.map(notation => (
+                <option key={notation.id} value={notation.id}>
+                  {notation.name}
+                </option>
+              ))}
+            </select>
+            <p className="setting-description">How measurements are displayed. Any format can be typed in.</p>
+          </div>
+          
           <div className="checkbox-group">
             <label>
               <input 
@@ -409,22 +477,39 @@ export function Settings({ user }) {
           <div className="integration-status">
             <p><strong>Status:</strong> {
               authStatus === 'authenticated' ? 'Connected' :
+              authStatus === 'refreshing' ? 'Refreshing Connection...' :
               authStatus === 'authenticating' ? 'Connecting...' :
+              authStatus === 'expired' ? 'Connection Expired' :
               authStatus === 'auth-failed' ? 'Authentication Failed' :
               'Not Connected'
             }</p>
             
-            {authStatus === 'authenticated' && (
+            {isConnected && (
               <p className="integration-info">Connected to Google Sheets for pricing calculations.</p>
             )}
             
+            {isConnected && timeRemaining !== null && (
+              <p className="integration-expiry">
+                <strong>Access expires in:</strong> {formatTimeRemaining(timeRemaining)}
+                {authState.canRefresh && ' (renews automatically)'}
+              </p>
+            )}
+            
+            {isConnected && authState.error && (
+              <p className="integration-error">{authState.error}</p>
+            )}
+            
+            {authStatus === 'expired' && (
+              <p className="integration-error">Your Google connection has expired. Please connect again.</p>
+            )}
+            
             {authStatus === 'auth-failed' && (
-              <p className="integration-error">Authentication failed. Please try again.</p>
+              <p className="integration-error">{authState.error || 'Authentication failed. Please try again.'}</p>
             )}
           </div>
           
           <div className="form-actions">
-            {authStatus === 'authenticated' ? (
+            {isConnected ? (
               <button 
                 className="secondary-button" 
                 onClick={handleLogout}
@@ -442,6 +527,31 @@ export function Settings({ user }) {
             )}
           </div>
         </div>
+        
+        <div className="settings-card price-cache-card">
+          <h3>Price Cache</h3>
+          
+          <div className="cache-stats">
+            <p><strong>Cached prices:</strong> {cacheStats.size}</p>
+            <p><strong>Hits / misses:</strong> {cacheStats.hits} / {cacheStats.misses} ({Math.round(cacheStats.hitRate * 100)}% hit rate)</p>
+            <p><strong>Price book:</strong> {cacheStats.priceBookVersion}</p>
+          </div>
+          
+          <div className="form-actions">
+            <button 
+              className="secondary-button" 
+              onClick={() => setCacheStats(getPriceCacheStats())}
+            >
+              Refresh Stats
+            </button>
+            <button 
+              className="secondary-button" 
+              onClick={handleFlushPriceCache}
+            >
+              Clear Price Cache
+            </button>
+          </div>
+        </div>
       </div>
     </div>
   );
@@ -0,0 +1,271 @@
+// Sync Outbox for Warnke Windows WindowVisor Dashboard
+// This file keeps write requests (saved quotes and other writes) in a durable outbox
+// and sends them through the pricing backend, retrying with exponential backoff until they go through
+
+import wixStorage from 'wix-storage';
+import { getPricingBackend } from './pricing-backends';
+
+// Outbox entries persist across reloads so a write made offline is never lost
+const OUTBOX_STORAGE_KEY = 'syncOutbox';
+
+// Backoff between attempts: 2s, 4s, 8s ... capped at 5 minutes
+const BASE_RETRY_DELAY_MS = 2000;
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+// After this many attempts an entry is marked failed and waits for a manual retry
+const MAX_ATTEMPTS = 8;
+
+// Write actions and the pricing backend method that sends them
+const WRITE_ACTIONS = {
+  saveQuote: 'saveQuote'
+};
+
+// Entry statuses
+//   pending - waiting for its next attempt
+//   sending - request in flight
+//   failed  - gave up after MAX_ATTEMPTS; kept until retried or discarded
+let outbox = null;
+let flushTimer = null;
+let flushing = null;
+const outboxListeners = [];
+
+/**
+ * Add a write to the outbox and try to send it right away
+ * The entry's idempotency key is sent with the request so a write delivered twice is saved once
+ * @param {string} action - Write action (e.g. 'saveQuote')
+ * @param {Object} requestData - Request body
+ * @returns {Promise<Object>} - Backend response when sent, or { success: true, syncStatus: 'pending' }
+ *                              when the write is queued for retry
+ */
+export async function enqueueWrite(action, requestData) {
+  if (!WRITE_ACTIONS[action]) {
+    throw new Error(`Unknown write action "${action}"`);
+  }
+
+  const idempotencyKey = createIdempotencyKey();
+  const entry = {
+    id: idempotencyKey,
+    action,
+    requestData: { ...requestData, idempotencyKey },
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: Date.now(),
+    lastError: null,
+    createdAt: Date.now()
+  };
+
+  loadOutbox().push(entry);
+  saveOutbox();
+
+  const response = await sendEntry(entry);
+
+  if (response.success) {
+    return { ...response, syncStatus: 'synced', idempotencyKey };
+  }
+
+  scheduleFlush();
+
+  return {
+    success: true,
+    syncStatus: entry.status,
+    idempotencyKey,
+    error: response.error
+  };
+}
+
+/**
+ * Send every entry that is due for another attempt
+ * @returns {Promise<Object>} - Outbox summary after the flush
+ */
+export function flushOutbox() {
+  if (flushing) {
+    return flushing;
+  }
+
+  flushing = (async () => {
+    const now = Date.now();
+    const dueEntries = loadOutbox().filter(entry => entry.status === 'pending' && entry.nextAttemptAt <= now);
+
+    // Send in order so quotes sync in the order they were saved
+    for (const entry of dueEntries) {
+      await sendEntry(entry);
+    }
+
+    return getOutboxSummary();
+  })().finally(() => {
+    flushing = null;
+    scheduleFlush();
+  });
+
+  return flushing;
+}
+
+/**
+ * Put failed entries back in the queue and send them now
+ * @param {string} entryId - Entry to retry (defaults to every failed entry)
+ * @returns {Promise<Object>} - Outbox summary after the retry
+ */
+export function retryFailedWrites(entryId) {
+  loadOutbox()
+    .filter(entry => entry.status === 'failed' && (!entryId || entry.id === entryId))
+    .forEach(entry => {
+      entry.status = 'pending';
+      entry.attempts = 0;
+      entry.nextAttemptAt = Date.now();
+    });
+
+  saveOutbox();
+  return flushOutbox();
+}
+
+/**
+ * Remove an entry from the outbox without sending it
+ * @param {string} entryId - Entry ID
+ */
+export function discardWrite(entryId) {
+  outbox = loadOutbox().filter(entry => entry.id !== entryId);
+  saveOutbox();
+}
+
+/**
+ * Get the outbox entries and counts by status
+ * @returns {Object} - entries, pending and failed
+ */
+export function getOutboxSummary() {
+  const entries = loadOutbox();
+
+  return {
+    entries,
+    pending: entries.filter(entry => entry.status !== 'failed').length,
+    failed: entries.filter(entry => entry.status === 'failed').length
+  };
+}
+
+/**
+ * Subscribe to outbox changes; the listener is called right away with the current summary
+ * @param {Function} listener - Called with the outbox summary
+ * @returns {Function} - Unsubscribe function
+ */
+export function subscribeToOutbox(listener) {
+  outboxListeners.push(listener);
+  listener(getOutboxSummary());
+
+  // Entries left over from an earlier visit start sending once someone is watching
+  scheduleFlush();
+
+  return () => {
+    const index = outboxListeners.indexOf(listener);
+    if (index !== -1) {
+      outboxListeners.splice(index, 1);
+    }
+  };
+}
+
+/**
+ * Send one entry and record the outcome
+ * @param {Object} entry - Outbox entry
+ * @returns {Promise<Object>} - Backend response
+ */
+async function sendEntry(entry) {
+  entry.status = 'sending';
+  entry.attempts += 1;
+  saveOutbox();
+
+  let response;
+
+  try {
+    const backend = getPricingBackend();
+    response = await backend[WRITE_ACTIONS[entry.action]](entry.requestData);
+  } catch (error) {
+    response = { success: false, error: error.message };
+  }
+
+  if (response && response.success) {
+    outbox = loadOutbox().filter(item => item !== entry);
+  } else {
+    entry.lastError = (response && response.error) || 'Sync failed';
+
+    if (entry.attempts >= MAX_ATTEMPTS) {
+      entry.status = 'failed';
+    } else {
+      entry.status = 'pending';
+      entry.nextAttemptAt = Date.now() + getRetryDelay(entry.attempts);
+    }
+  }
+
+  saveOutbox();
+  return response || { success: false, error: 'Sync failed' };
+}
+
+/**
+ * Get the delay before the next attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelay(attempts) {
+  return Math.min(BASE_RETRY_DELAY_MS * Math.pow(2, attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Schedule a flush for when the next pending entry is due
+ */
+function scheduleFlush() {
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+
+  const pendingEntries = loadOutbox().filter(entry => entry.status === 'pending');
+
+  if (pendingEntries.length === 0) {
+    return;
+  }
+
+  const nextAttemptAt = Math.min(...pendingEntries.map(entry => entry.nextAttemptAt));
+
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    flushOutbox();
+  }, Math.max(0, nextAttemptAt - Date.now()));
+}
+
+/**
+ * Load the outbox from storage once
+ * Entries caught mid-send by a reload are sent again; the idempotency key keeps that safe
+ * @returns {Array} - Outbox entries
+ */
+function loadOutbox() {
+  if (!outbox) {
+    try {
+      outbox = JSON.parse(wixStorage.local.getItem(OUTBOX_STORAGE_KEY) || '[]');
+    } catch (error) {
+      outbox = [];
+    }
+
+    outbox.forEach(entry => {
+      if (entry.status === 'sending') {
+        entry.status = 'pending';
+      }
+    });
+  }
+
+  return outbox;
+}
+
+/**
+ * Persist the outbox and notify listeners
+ */
+function saveOutbox() {
+  wixStorage.local.setItem(OUTBOX_STORAGE_KEY, JSON.stringify(outbox));
+
+  const summary = getOutboxSummary();
+  outboxListeners.forEach(listener => listener(summary));
+}
+
+/**
+ * Create a unique idempotency key
+ * @returns {string} - Key
+ */
+function createIdempotencyKey() {
+  return `write-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 10)}`;
+}
@@ -1,16 +1,29 @@
 // Top Bar Component for WindowVisor Dashboard
 // This file implements the top navigation bar with user profile
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Icon } from 'wix-ui-icons';
+import { subscribeToOutbox, retryFailedWrites } from '../sync-outbox';
 
 export function TopBar({ user, onLogout }) {
   const [showUserMenu, setShowUserMenu] = useState(false);
+  const [syncState, setSyncState] = useState({ pending: 0, failed: 0 });
+  
+  useEffect(() => {
+    // Show saved quotes that haven't reached the server yet
+    return subscribeToOutbox(summary => {
+      setSyncState({ pending: summary.pending, failed: summary.failed });
+    });
+  }, []);
   
   const toggleUserMenu = () => {
     setShowUserMenu(!showUserMenu);
   };
   
+  const handleRetrySync = () => {
+    retryFailedWrites();
+  };
+  
   return (
     <div className="top-bar">
       <div className="page-title">
@@ -18,6 +31,19 @@ export function TopBar({ user, onLogout }) {
       </div>
       
       <div className="user-section">
+        {syncState.failed > 0 ? (
+          <div className="sync-status failed">
+            <Icon name="StatusAlert" />
+            <span>{syncState.failed} unsynced {syncState.failed === 1 ? 'quote' : 'quotes'}</span>
+            <button className="text-button" onClick={handleRetrySync}>Retry</button>
+          </div>
+        ) : syncState.pending > 0 && (
+          <div className="sync-status pending">
+            <Icon name="Refresh" />
+            <span>Syncing {syncState.pending} {syncState.pending === 1 ? 'quote' : 'quotes'}...</span>
+          </div>
+        )}
+        
         <div className="notifications">
           <Icon name="Notification" />
         </div>
@@ -0,0 +1,89 @@
+// United Inches Pricing Tiers for Warnke Windows WindowVisor Dashboard
+// This file computes united inches (UI) and looks up the UI bracket a window is priced in
+
+// Default UI brackets. These are placeholder ranges for reporting which bracket a window falls in;
+// the workbook doesn't define any. A window is priced at its own united inches unless its bracket
+// has a configured price.
+export const DEFAULT_UI_BRACKETS = [
+  { id: 'ui-60', label: 'Up to 60 UI', minUI: 0, maxUI: 60 },
+  { id: 'ui-80', label: '61-80 UI', minUI: 61, maxUI: 80 },
+  { id: 'ui-101', label: '81-101 UI', minUI: 81, maxUI: 101 },
+  { id: 'ui-120', label: '102-120 UI', minUI: 102, maxUI: 120 },
+  { id: 'ui-150', label: '121-150 UI', minUI: 121, maxUI: 150 },
+  { id: 'ui-180', label: '151-180 UI', minUI: 151, maxUI: 180 },
+  { id: 'ui-240', label: '181-240 UI', minUI: 181, maxUI: 240 }
+];
+
+let bracketConfig = {
+  brackets: DEFAULT_UI_BRACKETS,
+  // Flat bracket prices by window type and bracket ID, e.g. { 'double-hung': { 'ui-80': 495 } }
+  prices: {}
+};
+
+// Bumped on every configuration change, so cached prices from an older configuration aren't reused
+let bracketConfigVersion = 0;
+
+/**
+ * Get the active UI bracket configuration
+ * @returns {Object} - Brackets and per window type bracket prices
+ */
+export function getUIBracketConfig() {
+  return bracketConfig;
+}
+
+/**
+ * Get the version of the UI bracket configuration
+ * @returns {number} - Configuration version, bumped on every change
+ */
+export function getUIBracketConfigVersion() {
+  return bracketConfigVersion;
+}
+
+/**
+ * Replace the UI bracket configuration
+ * @param {Object} config - Brackets and/or per window type bracket prices
+ * @returns {Object} - Active configuration
+ */
+export function setUIBracketConfig(config) {
+  bracketConfig = {
+    brackets: (config && config.brackets) || DEFAULT_UI_BRACKETS,
+    prices: (config && config.prices) || {}
+  };
+  bracketConfigVersion += 1;
+  return bracketConfig;
+}
+
+/**
+ * Calculate united inches (width + height), rounded up to the next whole inch
+ * @param {number} width - Width in inches
+ * @param {number} height - Height in inches
+ * @returns {number} - United inches
+ */
+export function calculateUnitedInches(width, height) {
+  return Math.ceil(width + height);
+}
+
+/**
+ * Find the UI bracket and bracket price for a window
+ * @param {number} unitedInches - United inches
+ * @param {string} windowType - Window type
+ * @returns {Object} - Bracket with its configured price (null when priced from the matrix)
+ */
+export function findUIBracket(unitedInches, windowType) {
+  const { brackets, prices } = bracketConfig;
+  const bracket = brackets.find(entry => unitedInches >= entry.minUI && unitedInches <= entry.maxUI);
+
+  if (!bracket) {
+    throw new Error(`${unitedInches} UI is outside the configured UI brackets`);
+  }
+
+  const typePrices = prices[windowType] || {};
+
+  return {
+    id: bracket.id,
+    label: bracket.label,
+    minUI: bracket.minUI,
+    maxUI: bracket.maxUI,
+    price: typeof typePrices[bracket.id] === 'number' ? typePrices[bracket.id] : null
+  };
+}
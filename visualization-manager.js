@@ -10,6 +10,10 @@ import {
   uploadFile
 } from 'wix-data';
 
+import { calculatePrice } from '../window-calculator';
+import { getEffectivePricingMatrix } from './priceBookManager';
+import { canMemberViewMargins, hidePriceMargins } from './marginManager';
+
 // Collection names
 const VISUALIZATIONS_COLLECTION = 'Visualizations';
 const PRODUCTS_COLLECTION = 'WarnkeProducts';
@@ -97,6 +101,25 @@ export async function getWarnkeProducts() {
   }
 }
 
+/**
+ * Price a window placed on a visualization under the price book in effect today
+ * Costs and margins stay in the backend for members who can't see them
+ * @param {Object} measurements - Shape params and quantity
+ * @param {Object} options - Calculator options
+ * @returns {Promise<Object>} - Calculator state (results, error, violations)
+ */
+export async function priceVisualizedWindow(measurements, options) {
+  try {
+    const matrix = await getEffectivePricingMatrix(new Date());
+    const priceState = await calculatePrice(measurements, options, undefined, matrix);
+    
+    return await canMemberViewMargins() ? priceState : hidePriceMargins(priceState);
+  } catch (error) {
+    console.error('Failed to price visualized window:', error);
+    throw new Error('Failed to price window. Please try again.');
+  }
+}
+
 /**
  * Save visualization
  * @param {Object} visualizationData - The visualization data
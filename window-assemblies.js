@@ -0,0 +1,428 @@
+// Window Assemblies for Warnke Windows WindowVisor Dashboard
+// This file models bay, bow and garden windows and mulled units as assemblies of component
+// windows plus mull joints, head/seat boards and roofing kits, and checks that they fit the opening
+
+import { parseMeasurement, formatMeasurement } from './measurement-utils';
+import { checkWindowSize } from './window-rules';
+import { priceLabor } from './labor-pricing';
+import { roundCurrency } from './currency-utils';
+
+// Assembly types
+//   minUnits/maxUnits - component windows, left to right
+//   jointAngle        - degrees each joint turns the next unit away from the wall plane
+//                       (bay angle is chosen per assembly)
+//   unitTypes         - default component window types by position (ends, middle)
+//   boards            - head/seat boards the assembly needs
+//   roofing           - whether the assembly projects far enough to need a roofing kit
+//   laborUnits        - single-window installs the assembly's labor is worth; it goes into the opening
+//                       as one unit, but boards, roofing and angled joints add work
+//                       (PLACEHOLDER until the workbook's Labor Matrix has assembly rows)
+export const ASSEMBLY_TYPES = {
+  'mulled': {
+    label: 'Mulled unit',
+    minUnits: 2,
+    maxUnits: 4,
+    jointAngle: 0,
+    unitTypes: { ends: 'double-hung', middle: 'double-hung' },
+    boards: [],
+    roofing: false,
+    laborUnits: 1.25
+  },
+  'bay': {
+    label: 'Bay window',
+    minUnits: 3,
+    maxUnits: 3,
+    jointAngle: 30,
+    angles: [30, 45],
+    unitTypes: { ends: 'double-hung', middle: 'picture' },
+    boards: ['head-board', 'seat-board'],
+    roofing: true,
+    laborUnits: 2
+  },
+  'bow': {
+    label: 'Bow window',
+    minUnits: 4,
+    maxUnits: 6,
+    jointAngle: 10,
+    unitTypes: { ends: 'casement', middle: 'picture' },
+    boards: ['head-board', 'seat-board'],
+    roofing: true,
+    laborUnits: 2.5
+  },
+  'garden': {
+    label: 'Garden window',
+    minUnits: 3,
+    maxUnits: 3,
+    jointAngle: 90,
+    unitTypes: { ends: 'casement', middle: 'picture' },
+    boards: ['seat-board'],
+    roofing: false,
+    laborUnits: 1.5
+  }
+};
+
+// Part prices
+//   mull joints are per joint; boards and roofing are per linear foot of the assembly face
+export const ASSEMBLY_PARTS = {
+  'mull-joint': { label: 'Mull joint', price: 95 },
+  'angled-mull-joint': { label: 'Angled mull joint', price: 145 },
+  'head-board': { label: 'Head board', pricePerFoot: 24 },
+  'seat-board': { label: 'Seat board', pricePerFoot: 28 },
+  'roofing-kit': { label: 'Roofing kit', pricePerFoot: 65, minimum: 350 }
+};
+
+// Board species (multiplier on the board price)
+export const BOARD_MATERIALS = [
+  { id: 'oak', name: 'Oak', multiplier: 1.0 },
+  { id: 'birch', name: 'Birch', multiplier: 0.9 },
+  { id: 'maple', name: 'Maple', multiplier: 1.15 },
+  { id: 'paint-grade', name: 'Paint Grade', multiplier: 0.7 }
+];
+
+// Roofing kits (multiplier on the roofing price)
+export const ROOFING_KITS = [
+  { id: 'none', name: 'No roofing', multiplier: 0 },
+  { id: 'shingle', name: 'Shingle', multiplier: 1.0 },
+  { id: 'copper', name: 'Copper', multiplier: 2.4 }
+];
+
+// Width each mull joint adds between units (inches)
+const MULL_JOINT_WIDTH = 0.5;
+
+// Depth of a garden window box, which is also the width of its side vents (inches)
+const GARDEN_DEPTH = 14;
+
+// Shim space the assembly needs inside the rough opening, across the width and the height (inches)
+const OPENING_CLEARANCE = 0.5;
+
+/**
+ * Lay out an assembly's component windows to fill an opening
+ * Units are sized evenly (bay centers are twice the flankers) and rounded down to 1/8"
+ * @param {string} type - Assembly type
+ * @param {Object} opening - Rough opening width and height (numbers or field notation), and unit
+ * @param {Object} options - units (count), angle (bay), windowType (every unit), boardMaterial,
+ *                           roofing, quantity and the component windows' shared options
+ * @returns {Object} - Assembly ({ type, opening, units, angle, boardMaterial, roofing, quantity, options })
+ */
+export function buildAssembly(type, opening, options = {}) {
+  const assemblyType = getAssemblyType(type);
+  const { units: unitCount, angle, windowType, boardMaterial, roofing, quantity, ...windowOptions } = options;
+
+  const count = unitCount || assemblyType.minUnits;
+  const openingWidth = parseMeasurement(opening.width, opening.unit);
+  const openingHeight = parseMeasurement(opening.height, opening.unit);
+
+  if (openingWidth === null || openingHeight === null) {
+    throw new Error('Opening width and height are required to lay out an assembly');
+  }
+
+  const assembly = {
+    type,
+    opening: { width: openingWidth, height: openingHeight },
+    angle: angle || assemblyType.jointAngle,
+    boardMaterial: boardMaterial || BOARD_MATERIALS[0].id,
+    roofing: roofing || (assemblyType.roofing ? 'shingle' : 'none'),
+    quantity: quantity || 1,
+    options: windowOptions,
+    units: []
+  };
+
+  const orientations = getUnitOrientations(assembly, count);
+  const available = openingWidth - OPENING_CLEARANCE - (count - 1) * MULL_JOINT_WIDTH;
+  const height = roundDownToEighth(openingHeight - OPENING_CLEARANCE);
+
+  // Relative widths: bay centers are twice their flankers; garden sides are vents as wide as the box is deep
+  const shares = orientations.map((orientation, index) => (type === 'bay' && index === 1 ? 2 : 1));
+
+  if (type === 'garden') {
+    assembly.units = [GARDEN_DEPTH, roundDownToEighth(available), GARDEN_DEPTH];
+  } else {
+    const projectedShares = shares.reduce((total, share, index) => {
+      return total + share * Math.cos(toRadians(orientations[index]));
+    }, 0);
+    const unitWidth = available / projectedShares;
+
+    assembly.units = shares.map(share => roundDownToEighth(unitWidth * share));
+  }
+
+  assembly.units = assembly.units.map((width, index) => ({
+    windowType: windowType || getDefaultUnitType(assemblyType, index, count),
+    width,
+    height
+  }));
+
+  return assembly;
+}
+
+/**
+ * Get the width and height an assembly takes up across its opening
+ * Angled units count only the part of their width that faces the wall
+ * @param {Object} assembly - Assembly with units (width and height in inches)
+ * @returns {Object} - Width and height in inches
+ */
+export function getAssemblySize(assembly) {
+  const orientations = getUnitOrientations(assembly, assembly.units.length);
+
+  const width = assembly.units.reduce((total, unit, index) => {
+    return total + unit.width * Math.cos(toRadians(orientations[index]));
+  }, 0) + (assembly.units.length - 1) * MULL_JOINT_WIDTH;
+
+  return {
+    width: Math.round(width * 1000) / 1000,
+    height: Math.max(...assembly.units.map(unit => unit.height))
+  };
+}
+
+/**
+ * Validate an assembly's make-up and check that it fits its opening
+ * @param {Object} assembly - Assembly with type, opening and units (inches)
+ * @returns {Array} - Violations, each with field, limit, value and message
+ */
+export function validateAssembly(assembly) {
+  const assemblyType = getAssemblyType(assembly.type);
+  const violations = [];
+  const count = assembly.units.length;
+
+  if (count < assemblyType.minUnits || count > assemblyType.maxUnits) {
+    const range = assemblyType.minUnits === assemblyType.maxUnits ?
+      `${assemblyType.minUnits}` : `${assemblyType.minUnits} to ${assemblyType.maxUnits}`;
+
+    violations.push({
+      field: 'units',
+      limit: count < assemblyType.minUnits ? 'minUnits' : 'maxUnits',
+      limitValue: count < assemblyType.minUnits ? assemblyType.minUnits : assemblyType.maxUnits,
+      value: count,
+      message: `${assemblyType.label} needs ${range} units, not ${count}`
+    });
+  }
+
+  if (assemblyType.angles && !assemblyType.angles.includes(assembly.angle)) {
+    violations.push({
+      field: 'angle',
+      limit: 'angles',
+      limitValue: assemblyType.angles,
+      value: assembly.angle,
+      message: `${assemblyType.label} angle must be ${assemblyType.angles.join('° or ')}°`
+    });
+  }
+
+  if (violations.length > 0) {
+    return violations;
+  }
+
+  const size = getAssemblySize(assembly);
+
+  // Bay, bow and garden units are also sold as a whole, so the whole has size rules too
+  if (assembly.type !== 'mulled') {
+    checkWindowSize(size, { windowType: assembly.type }).forEach(violation => {
+      violations.push({ ...violation, message: `Assembly ${violation.message}` });
+    });
+  }
+
+  if (assembly.opening) {
+    const maxWidth = assembly.opening.width - OPENING_CLEARANCE;
+    const maxHeight = assembly.opening.height - OPENING_CLEARANCE;
+
+    if (size.width > maxWidth) {
+      violations.push({
+        field: 'width',
+        limit: 'openingWidth',
+        limitValue: maxWidth,
+        value: size.width,
+        message: `Assembly is ${formatMeasurement(size.width)} wide but the opening fits ${formatMeasurement(maxWidth)}`
+      });
+    }
+
+    if (size.height > maxHeight) {
+      violations.push({
+        field: 'height',
+        limit: 'openingHeight',
+        limitValue: maxHeight,
+        value: size.height,
+        message: `Assembly is ${formatMeasurement(size.height)} tall but the opening fits ${formatMeasurement(maxHeight)}`
+      });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Price an assembly's mull joints, head/seat boards and roofing kit
+ * @param {Object} assembly - Assembly with type, units (inches), boardMaterial, roofing and quantity
+ * @returns {Object} - Itemized parts with per-assembly and total prices
+ */
+export function priceAssemblyParts(assembly) {
+  const assemblyType = getAssemblyType(assembly.type);
+  const quantity = assembly.quantity || 1;
+  const faceFeet = assembly.units.reduce((total, unit) => total + unit.width, 0) / 12;
+  const items = [];
+
+  const joints = assembly.units.length - 1;
+  if (joints > 0) {
+    const joint = ASSEMBLY_PARTS[assemblyType.jointAngle === 0 ? 'mull-joint' : 'angled-mull-joint'];
+    items.push({
+      id: assemblyType.jointAngle === 0 ? 'mull-joint' : 'angled-mull-joint',
+      label: `${joint.label}${joints > 1 ? 's' : ''} (${joints})`,
+      quantity: joints,
+      unitPrice: joint.price,
+      pricePerAssembly: roundCurrency(joints * joint.price)
+    });
+  }
+
+  const boardMaterial = findOption(BOARD_MATERIALS, assembly.boardMaterial) || BOARD_MATERIALS[0];
+  assemblyType.boards.forEach(id => {
+    const board = ASSEMBLY_PARTS[id];
+    const unitPrice = roundCurrency(board.pricePerFoot * boardMaterial.multiplier);
+
+    items.push({
+      id,
+      label: `${boardMaterial.name} ${board.label.toLowerCase()}`,
+      quantity: Math.round(faceFeet * 100) / 100,
+      unitPrice,
+      pricePerAssembly: roundCurrency(faceFeet * unitPrice)
+    });
+  });
+
+  const roofing = findOption(ROOFING_KITS, assembly.roofing);
+  if (assemblyType.roofing && roofing && roofing.multiplier > 0) {
+    const kit = ASSEMBLY_PARTS['roofing-kit'];
+    const unitPrice = roundCurrency(kit.pricePerFoot * roofing.multiplier);
+
+    items.push({
+      id: 'roofing-kit',
+      label: `${roofing.name} ${kit.label.toLowerCase()}`,
+      quantity: Math.round(faceFeet * 100) / 100,
+      unitPrice,
+      pricePerAssembly: roundCurrency(Math.max(faceFeet * unitPrice, kit.minimum * roofing.multiplier))
+    });
+  }
+
+  const pricedItems = items.map(item => ({
+    ...item,
+    totalPrice: roundCurrency(item.pricePerAssembly * quantity)
+  }));
+
+  return {
+    items: pricedItems,
+    pricePerAssembly: roundCurrency(pricedItems.reduce((total, item) => total + item.pricePerAssembly, 0)),
+    totalPrice: roundCurrency(pricedItems.reduce((total, item) => total + item.totalPrice, 0))
+  };
+}
+
+/**
+ * Price installation labor for an assembly
+ * The assembly is installed once, so labor is one window's rate scaled by the type's laborUnits
+ * rather than a full install per component window
+ * @param {Object} assembly - Assembly with type, options (labor options) and quantity
+ * @param {Object} matrix - Pricing matrix (defaults to the active matrix)
+ * @returns {Object} - Labor line from priceLabor with laborUnits, ratePerAssembly and the total
+ */
+export function priceAssemblyLabor(assembly, matrix) {
+  const assemblyType = getAssemblyType(assembly.type);
+  const labor = priceLabor({
+    measurements: { quantity: assembly.quantity || 1 },
+    options: assembly.options || {}
+  }, matrix);
+  const ratePerAssembly = roundCurrency(labor.ratePerWindow * assemblyType.laborUnits);
+
+  return {
+    ...labor,
+    assemblyLabel: assemblyType.label,
+    laborUnits: assemblyType.laborUnits,
+    ratePerAssembly,
+    total: roundCurrency(ratePerAssembly * labor.quantity),
+    placeholder: true
+  };
+}
+
+/**
+ * Get the assembly a calculator window type or mull configuration calls for
+ * @param {Object} options - windowType and mullConfiguration
+ * @returns {Object|null} - Assembly type and unit count, or null for a single window
+ */
+export function findAssemblyType(options) {
+  if (ASSEMBLY_TYPES[options.windowType] && options.windowType !== 'mulled') {
+    return { type: options.windowType, units: ASSEMBLY_TYPES[options.windowType].minUnits };
+  }
+
+  const mullUnits = parseInt(options.mullConfiguration, 10);
+  if (mullUnits > 1) {
+    return { type: 'mulled', units: mullUnits };
+  }
+
+  return null;
+}
+
+/**
+ * Look up an assembly type
+ * @param {string} type - Assembly type
+ * @returns {Object} - Assembly type definition
+ */
+function getAssemblyType(type) {
+  const assemblyType = ASSEMBLY_TYPES[type];
+
+  if (!assemblyType) {
+    throw new Error(`Unknown assembly type "${type}"`);
+  }
+
+  return assemblyType;
+}
+
+/**
+ * Get the angle (degrees from the wall plane) of each unit, symmetric about the middle
+ * @param {Object} assembly - Assembly with type and angle
+ * @param {number} count - Number of units
+ * @returns {Array} - Angle per unit
+ */
+function getUnitOrientations(assembly, count) {
+  const assemblyType = getAssemblyType(assembly.type);
+  const angle = assembly.angle || assemblyType.jointAngle;
+
+  if (assembly.type === 'bay' || assembly.type === 'garden') {
+    // Only the end units turn; the middle faces out
+    return Array.from({ length: count }, (value, index) => (index === 0 || index === count - 1 ? angle : 0));
+  }
+
+  // Bow units step around an arc
+  return Array.from({ length: count }, (value, index) => Math.abs(index - (count - 1) / 2) * angle);
+}
+
+/**
+ * Get the default window type for a unit position
+ * @param {Object} assemblyType - Assembly type definition
+ * @param {number} index - Unit position, left to right
+ * @param {number} count - Number of units
+ * @returns {string} - Window type
+ */
+function getDefaultUnitType(assemblyType, index, count) {
+  return index === 0 || index === count - 1 ? assemblyType.unitTypes.ends : assemblyType.unitTypes.middle;
+}
+
+/**
+ * Find an option by ID
+ * @param {Array} list - Option list
+ * @param {string} id - Option ID
+ * @returns {Object|undefined} - Option
+ */
+function findOption(list, id) {
+  return list.find(option => option.id === id);
+}
+
+/**
+ * Convert degrees to radians
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} - Angle in radians
+ */
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+/**
+ * Round a measurement down to the nearest 1/8"
+ * @param {number} inches - Measurement in inches
+ * @returns {number} - Rounded measurement
+ */
+function roundDownToEighth(inches) {
+  return Math.floor(inches * 8) / 8;
+}
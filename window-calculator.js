@@ -1,27 +1,28 @@
 // Window Calculator Implementation for Warnke Windows WindowVisor Dashboard
 // This file handles the calculation of window prices based on measurements and options
 
-import { fetch } from 'wix-fetch';
-import wixWindow from 'wix-window';
-import wixStorage from 'wix-storage';
+import { getPricingBackend } from './pricing-backends';
+import { getPriceBookVersion } from './pricing-matrix';
+import { calculateUnitedInches, findUIBracket } from './united-inches';
+import { summarizeProjectPrice, getQuantityDiscountLines } from './project-pricing';
+import { parseMeasurement } from './measurement-utils';
+import { checkWindowSize } from './window-rules';
+import { priceAddOns } from './add-on-pricing';
+import { applyPricingAdjustments } from './pricing-adjustments';
+import { getAuthState } from './google-auth';
+import { enqueueWrite } from './sync-outbox';
+import { createPriceCacheKey, getCachedPrice, setCachedPrice } from './price-cache';
+import { calculateLineMargin, calculateProjectMargin, checkMarginFloor } from './margin-calculator';
+import { getOptionPackages } from './option-packages';
+import { estimateProjectEnergySavings, findClimateZone } from './energy-performance';
+import { priceLabor, createBackendLabor, getLaborOptions } from './labor-pricing';
+import { ASSEMBLY_TYPES, validateAssembly, getAssemblySize, priceAssemblyParts, priceAssemblyLabor } from './window-assemblies';
+import { readShapeParams, validateShape, getShapeGeometry } from './window-shapes';
+import { appendTraceSteps, traceAddOns, traceLabor, traceAdjustments, describeTrace } from './price-trace';
+import { roundCurrency } from './currency-utils';
 
-// Google Sheets API Configuration
-const SCRIPT_URL = "https://script.google.com/macros/s/AKfycbzyojx7Qg-Tl5wWYn4FS4hl9icNya_eBW7xCW_v3MqlcV7AxG-QjuunolHyHqrP_ntdRw/exec";
-
-// Window Measurement Defaults and Constraints
-const MIN_WIDTH = 12; // inches
-const MAX_WIDTH = 120; // inches
-const MIN_HEIGHT = 12; // inches
-const MAX_HEIGHT = 120; // inches
-
-// OAuth configuration
-const CLIENT_ID = "62610418228-i22m3312lnfr0f3aiuvet7rb8p9tpgd1.apps.googleusercontent.com";
-const AUTH_PARAMS = {
-    client_id: CLIENT_ID,
-    response_type: 'token',
-    scope: 'https://www.googleapis.com/auth/spreadsheets',
-    redirect_uri: wixWindow.lightbox.getUrl()
-};
+// Google sign-in lives in the token manager; re-exported for existing callers
+export { initiateOAuth, handleOAuthCallback, logout } from './google-auth';
 
 /**
  * Initialize the calculator with default settings
@@ -30,7 +31,7 @@ export function initCalculator() {
     const calculatorState = {
         ready: true,
         calculating: false,
-        authStatus: 'not-authenticated',
+        authStatus: getAuthState().status,
         measurements: {
             width: 36,
             height: 60,
@@ -43,65 +44,92 @@ export function initCalculator() {
         error: null
     };
     
-    // Check if we already have an OAuth token
-    const token = wixStorage.local.getItem('googleOAuthToken');
-    if (token) {
-        calculatorState.authStatus = 'authenticated';
-    }
-    
     return calculatorState;
 }
 
 /**
  * Calculate window price based on measurements and options
+ * Labor is priced from options.laborMatrixId, heightLevel, installType and projectType
+ * Optional adjustments ({ address, discounts, promotions }) add promotion, discount
+ * and sales tax lines to the results; the address (or adjustments.climateZone) also
+ * sets the climate zone for the energy savings estimate.
+ * An optional matrix (e.g. the price book in effect, from getEffectivePricingMatrix) prices
+ * the window on the local workbook backend instead of the active pricing matrix
  */
-export async function calculatePrice(measurements, options) {
+export async function calculatePrice(measurements, options, adjustments, matrix) {
     // Create a state object to track the calculation process
     const state = {
         calculating: true,
         results: null,
-        error: null
+        error: null,
+        violations: []
     };
     
     try {
-        // Validate measurements
-        if (!validateMeasurements(measurements)) {
-            throw new Error("Invalid measurements. Please check width and height values.");
-        }
-        
-        // Prepare data for API call
-        const requestData = {
-            action: "calculatePrice",
-            measurements: {
-                width: measurements.width,
-                height: measurements.height,
-                quantity: measurements.quantity || 1
-            },
-            options: {
-                windowType: options.windowType || "double-hung",
-                material: options.material || "vinyl",
-                glassType: options.glassType || "double-pane"
-            }
-        };
+        const requestData = buildPriceRequest(measurements, options);
         
-        // Call Google Sheets API
-        const response = await callGoogleSheetsAPI(requestData);
+        // Call the configured pricing backend, unless this exact window was priced recently
+        const response = await requestCachedPrice(requestData, matrix);
         
         if (response && response.success) {
-            state.results = {
-                basePrice: response.basePrice,
-                optionsPrice: response.optionsPrice,
-                totalPrice: response.totalPrice,
-                pricePerWindow: response.pricePerWindow,
-                estimatedInstallation: response.estimatedInstallation,
-                totalProject: response.totalProject
-            };
+            state.results = formatPriceResults(response, requestData, matrix);
+            
+            if (adjustments) {
+                state.results.adjustments = applyPricingAdjustments({
+                    subtotal: state.results.totalPrice,
+                    installation: state.results.estimatedInstallation,
+                    windows: [{ pricePerWindow: state.results.pricePerWindow, quantity: requestData.measurements.quantity }]
+                }, adjustments);
+                state.results.trace = appendTraceSteps(state.results.trace, traceAdjustments(state.results.adjustments));
+            }
+            
+            applyMarginFloor(state.results, () => calculateLineMargin(
+                { ...state.results, measurements: requestData.measurements, options: requestData.options },
+                getSellingPrice(state.results)
+            ));
+            
+            attachEnergyEstimate(state.results, [requestData], adjustments);
         } else {
             throw new Error(response.error || "Failed to calculate price. Please try again.");
         }
     } catch (error) {
         console.error("Price calculation error:", error);
         state.error = error.message;
+        state.violations = error.violations || [];
+    } finally {
+        state.calculating = false;
+    }
+    
+    return state;
+}
+
+/**
+ * Calculate prices for a whole project of windows in one request
+ * Each line item is { lineId, measurements, options }; lines that fail validation
+ * or pricing carry an error and are left out of the project totals.
+ * Optional adjustments and matrix work the same way as in calculatePrice.
+ * A price blocked by the margin floor fails with its results kept in blockedResults
+ */
+export async function calculateProjectPrice(lineItems, adjustments, matrix) {
+    const state = {
+        calculating: true,
+        results: null,
+        error: null,
+        violations: []
+    };
+    
+    try {
+        if (!lineItems || lineItems.length === 0) {
+            throw new Error("Please add at least one window to price.");
+        }
+        
+        const lineResults = await priceLineItems(lineItems, matrix);
+        state.results = summarizeLineResults(lineResults, adjustments);
+    } catch (error) {
+        console.error("Project price calculation error:", error);
+        state.error = error.message;
+        state.violations = error.violations || [];
+        state.blockedResults = error.blockedResults || null;
     } finally {
         state.calculating = false;
     }
@@ -110,91 +138,659 @@ export async function calculatePrice(measurements, options) {
 }
 
 /**
- * Call the Google Sheets API using the Apps Script Web App as a proxy
+ * Price a set of windows under every option package in one request
+ * Each package's options are laid over each line item's own options.
+ * Results are shaped for side-by-side display: one column per package with its
+ * project totals, and one row per line item with a cell per package.
+ * Optional adjustments and matrix work the same way as in calculatePrice
  */
-async function callGoogleSheetsAPI(data) {
+export async function calculatePackagePrices(lineItems, packages = getOptionPackages(), adjustments, matrix) {
+    const state = {
+        calculating: true,
+        results: null,
+        error: null
+    };
+    
     try {
-        const token = wixStorage.local.getItem('googleOAuthToken');
-        
-        const response = await fetch(SCRIPT_URL, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': token ? `Bearer ${token}` : ''
-            },
-            body: JSON.stringify(data)
+        if (!lineItems || lineItems.length === 0) {
+            throw new Error("Please add at least one window to price.");
+        }
+        
+        const lineIds = lineItems.map((lineItem, index) => lineItem.lineId || `line-${index + 1}`);
+        
+        // Every package/line combination goes out together
+        const packageLineItems = [];
+        packages.forEach(optionPackage => {
+            lineItems.forEach((lineItem, index) => {
+                packageLineItems.push({
+                    lineId: lineIds[index],
+                    measurements: lineItem.measurements,
+                    options: { ...(lineItem.options || {}), ...optionPackage.options }
+                });
+            });
         });
         
-        if (!response.ok) {
-            if (response.status === 401) {
-                // Token expired or invalid
-                wixStorage.local.removeItem('googleOAuthToken');
-                return { success: false, error: "Authentication required. Please log in again." };
+        const lineResults = await priceLineItems(packageLineItems, matrix);
+        
+        const columns = packages.map((optionPackage, packageIndex) => {
+            const packageLines = lineResults.slice(packageIndex * lineItems.length, (packageIndex + 1) * lineItems.length);
+            const column = {
+                packageId: optionPackage.id,
+                name: optionPackage.name,
+                description: optionPackage.description,
+                options: optionPackage.options,
+                lines: packageLines
+            };
+            
+            // A package that can't be sold (e.g. below the margin floor) doesn't sink the others
+            try {
+                return { ...column, ...summarizeLineResults(packageLines, adjustments), error: null };
+            } catch (error) {
+                return { ...column, error: error.message, violations: error.violations || [] };
             }
-            throw new Error(`API call failed with status: ${response.status}`);
+        });
+        
+        const rows = lineItems.map((lineItem, index) => ({
+            lineId: lineIds[index],
+            measurements: lineItem.measurements,
+            cells: columns.map(column => {
+                const line = column.lines[index];
+                
+                return {
+                    packageId: column.packageId,
+                    pricePerWindow: line.error ? null : line.pricePerWindow,
+                    totalPrice: line.error ? null : line.totalPrice,
+                    laborPrice: line.error ? null : line.laborPrice,
+                    error: line.error || null,
+                    violations: line.violations || []
+                };
+            })
+        }));
+        
+        const pricedColumn = columns.find(column => column.priceBookVersion);
+        
+        state.results = {
+            columns: columns.map(({ lines, ...column }) => column),
+            rows,
+            priceBookVersion: pricedColumn ? pricedColumn.priceBookVersion : null
+        };
+    } catch (error) {
+        console.error("Package price calculation error:", error);
+        state.error = error.message;
+    } finally {
+        state.calculating = false;
+    }
+    
+    return state;
+}
+
+/**
+ * Price a bay, bow or garden window or a mulled unit as one assembly
+ * The assembly is { type, opening, units: [{ windowType, width, height }], angle, boardMaterial,
+ * roofing, quantity, options }, usually laid out by buildAssembly. Each unit is priced as a
+ * window with the assembly's shared options; mull joints, boards and roofing are priced as parts.
+ * Assemblies that don't fit their opening fail with width/height violations.
+ * Optional adjustments and matrix work the same way as in calculatePrice.
+ * A price blocked by the margin floor fails with its results kept in blockedResults
+ */
+export async function calculateAssemblyPrice(assembly, adjustments, matrix) {
+    const state = {
+        calculating: true,
+        results: null,
+        error: null,
+        violations: []
+    };
+    
+    try {
+        const normalizedAssembly = normalizeAssembly(assembly);
+        const violations = validateAssembly(normalizedAssembly);
+        
+        if (violations.length > 0) {
+            const error = new Error(violations.map(violation => violation.message).join('; '));
+            error.violations = violations;
+            throw error;
         }
         
-        return await response.json();
+        const lineResults = await priceLineItems(normalizedAssembly.units.map((unit, index) => ({
+            lineId: `unit-${index + 1}`,
+            measurements: { width: unit.width, height: unit.height, quantity: normalizedAssembly.quantity },
+            // Mull joints are assembly parts, so units are priced single-wide
+            options: { ...normalizedAssembly.options, windowType: unit.windowType, mullConfiguration: "single" }
+        })), matrix);
+        
+        const failedIndex = lineResults.findIndex(line => line.error);
+        
+        if (failedIndex >= 0) {
+            const failedLine = lineResults[failedIndex];
+            const error = new Error(`Unit ${failedIndex + 1}: ${failedLine.error}`);
+            error.violations = (failedLine.violations || []).map(violation => ({
+                ...violation,
+                unit: failedIndex + 1,
+                message: `Unit ${failedIndex + 1}: ${violation.message}`
+            }));
+            throw error;
+        }
+        
+        state.results = summarizeAssembly(normalizedAssembly, lineResults, adjustments, matrix);
     } catch (error) {
-        console.error("API call error:", error);
-        return { success: false, error: error.message };
+        console.error("Assembly price calculation error:", error);
+        state.error = error.message;
+        state.violations = error.violations || [];
+        state.blockedResults = error.blockedResults || null;
+    } finally {
+        state.calculating = false;
     }
+    
+    return state;
 }
 
 /**
- * Validate window measurements
+ * Price line items ({ lineId, measurements, options }) in one backend request
+ * Lines that fail validation or pricing carry an error instead of prices
  */
-function validateMeasurements(measurements) {
-    const { width, height } = measurements;
+async function priceLineItems(lineItems, matrix) {
+    // Build every line up front so invalid lines don't cost a round trip
+    const lines = lineItems.map((lineItem, index) => {
+        const lineId = lineItem.lineId || `line-${index + 1}`;
+        
+        try {
+            return { lineId, requestData: buildPriceRequest(lineItem.measurements, lineItem.options || {}) };
+        } catch (error) {
+            return { lineId, error: error.message, violations: error.violations || [] };
+        }
+    });
     
-    // Check if values are numeric and within bounds
-    if (isNaN(width) || width < MIN_WIDTH || width > MAX_WIDTH) {
-        return false;
+    const pricedLines = lines.filter(line => line.requestData);
+    let responses = [];
+    
+    if (pricedLines.length > 0) {
+        const response = await requestCachedProjectPrice(pricedLines.map(line => line.requestData), matrix);
+        
+        if (!response || !response.success) {
+            throw new Error((response && response.error) || "Failed to calculate project price. Please try again.");
+        }
+        
+        responses = response.lines;
     }
     
-    if (isNaN(height) || height < MIN_HEIGHT || height > MAX_HEIGHT) {
-        return false;
+    return lines.map(line => {
+        if (line.error) {
+            return { lineId: line.lineId, error: line.error, violations: line.violations };
+        }
+        
+        const response = responses[pricedLines.indexOf(line)];
+        
+        if (!response || !response.success) {
+            return { lineId: line.lineId, error: (response && response.error) || "Failed to calculate price." };
+        }
+        
+        try {
+            return {
+                lineId: line.lineId,
+                measurements: line.requestData.measurements,
+                options: line.requestData.options,
+                ...formatPriceResults(response, line.requestData, matrix)
+            };
+        } catch (error) {
+            return { lineId: line.lineId, error: error.message };
+        }
+    });
+}
+
+/**
+ * Total priced lines into project results, with optional adjustments and the margin floor
+ */
+function summarizeLineResults(lineResults, adjustments) {
+    const results = summarizeProjectPrice(lineResults);
+    
+    // Every line is priced in one request, so they share a price book
+    const pricedLine = lineResults.find(line => !line.error);
+    results.priceBookVersion = pricedLine ? pricedLine.priceBookVersion : null;
+    
+    const quantityDiscountLines = getQuantityDiscountLines(results.quantityDiscount);
+    
+    if (adjustments) {
+        results.adjustments = applyPricingAdjustments({
+            subtotal: results.subtotal,
+            installation: results.installation,
+            windows: lineResults
+                .filter(line => !line.error)
+                .map(line => ({ pricePerWindow: line.pricePerWindow, quantity: line.measurements.quantity })),
+            lines: quantityDiscountLines
+        }, adjustments);
     }
     
-    return true;
+    // Each line's own trace explains its price; the project trace adds them up
+    results.trace = appendTraceSteps([], [
+        ...traceLineSteps(lineResults.filter(line => !line.error), line => line.lineId),
+        { type: 'labor', label: 'Labor', rule: `${results.windowCount} windows, see each line`, amount: results.installation },
+        ...traceAdjustments(results.adjustments || { lines: quantityDiscountLines })
+    ]);
+    
+    applyMarginFloor(results, () => calculateProjectMargin(lineResults, getSellingPrice(results)));
+    
+    attachEnergyEstimate(results, lineResults.filter(line => !line.error), adjustments);
+    
+    return results;
 }
 
 /**
- * Initiate Google OAuth flow
+ * Roll an assembly's priced units and parts up into one price, with optional adjustments
+ * and the margin floor
+ * Labor is priced once for the assembly, not per unit, since it's installed as one window
  */
-export function initiateOAuth() {
-    // Build OAuth URL
-    const authUrl = new URL('https://accounts.google.com/o/oauth2/v2/auth');
-    Object.entries(AUTH_PARAMS).forEach(([key, value]) => {
-        authUrl.searchParams.append(key, value);
+function summarizeAssembly(assembly, lineResults, adjustments, matrix) {
+    const quantity = assembly.quantity;
+    const parts = priceAssemblyParts(assembly);
+    const componentsPrice = roundCurrency(lineResults.reduce((total, line) => total + line.totalPrice, 0));
+    const materialPrice = roundCurrency(componentsPrice + parts.totalPrice);
+    const labor = priceAssemblyLabor(assembly, matrix);
+    const laborPrice = labor.total;
+    
+    const results = {
+        assemblyType: assembly.type,
+        label: ASSEMBLY_TYPES[assembly.type].label,
+        quantity,
+        opening: assembly.opening,
+        size: getAssemblySize(assembly),
+        components: lineResults,
+        parts: parts.items,
+        componentsPrice,
+        partsPrice: parts.totalPrice,
+        totalPrice: materialPrice,
+        pricePerAssembly: roundCurrency(materialPrice / quantity),
+        estimatedInstallation: laborPrice,
+        materialPrice,
+        laborPrice,
+        labor,
+        laborPlaceholder: labor.placeholder,
+        priceLines: [
+            { type: 'material', label: 'Material', amount: materialPrice },
+            { type: 'labor', label: 'Labor', amount: laborPrice }
+        ],
+        totalProject: roundCurrency(materialPrice + laborPrice),
+        priceBookVersion: lineResults[0].priceBookVersion
+    };
+    
+    if (adjustments) {
+        results.adjustments = applyPricingAdjustments({
+            subtotal: materialPrice,
+            installation: laborPrice,
+            windows: [{ pricePerWindow: results.pricePerAssembly, quantity }]
+        }, adjustments);
+    }
+    
+    results.trace = appendTraceSteps([], [
+        ...traceLineSteps(lineResults, (line, index) => `Unit ${index + 1}`),
+        ...parts.items.map(part => ({
+            type: 'part',
+            label: part.label,
+            rule: `${part.quantity} × $${part.unitPrice.toFixed(2)}${quantity > 1 ? ` × ${quantity}` : ''}`,
+            amount: part.totalPrice
+        })),
+        traceLabor(labor),
+        ...(results.adjustments ? traceAdjustments(results.adjustments) : [])
+    ]);
+    
+    applyMarginFloor(results, () => calculateProjectMargin(lineResults, getSellingPrice(results), { parts: parts.items, labor }));
+    
+    attachEnergyEstimate(results, lineResults, adjustments);
+    
+    return results;
+}
+
+/**
+ * Convert an assembly's opening and unit sizes to inches
+ * Sizes may be numbers or field notation, in the assembly's unit
+ */
+function normalizeAssembly(assembly) {
+    const toInches = value => parseMeasurement(value, assembly.unit);
+    
+    if (!ASSEMBLY_TYPES[assembly.type]) {
+        throw new Error(`Unknown assembly type "${assembly.type}"`);
+    }
+    
+    if (!assembly.units || assembly.units.length === 0) {
+        throw new Error("Please add the assembly's units to price it.");
+    }
+    
+    const units = assembly.units.map((unit, index) => {
+        const width = toInches(unit.width);
+        const height = toInches(unit.height);
+        
+        if (width === null || width <= 0 || height === null || height <= 0) {
+            throw new Error(`Unit ${index + 1} size "${unit.width} x ${unit.height}" is not a valid measurement`);
+        }
+        
+        return { ...unit, width, height };
     });
     
-    // Open OAuth window
-    wixWindow.openLightbox("OAuthHandler", { url: authUrl.toString() });
+    const opening = assembly.opening ? {
+        width: toInches(assembly.opening.width),
+        height: toInches(assembly.opening.height)
+    } : null;
+    
+    if (opening && (opening.width === null || opening.height === null)) {
+        throw new Error(`Opening size "${assembly.opening.width} x ${assembly.opening.height}" is not a valid measurement`);
+    }
+    
+    return {
+        ...assembly,
+        opening,
+        angle: assembly.angle || ASSEMBLY_TYPES[assembly.type].jointAngle,
+        quantity: assembly.quantity || 1,
+        options: assembly.options || {},
+        units
+    };
+}
+
+/**
+ * Trace steps for the material price of priced lines, one step per line
+ */
+function traceLineSteps(lineResults, getLabel) {
+    return lineResults.map((line, index) => ({
+        type: 'line',
+        label: getLabel(line, index),
+        rule: `${line.measurements.width}" × ${line.measurements.height}" ${line.options.windowType} × ${line.measurements.quantity}`,
+        amount: line.totalPrice
+    }));
+}
+
+/**
+ * Attach yearly energy savings and payback to priced results
+ * The climate zone comes from adjustments.climateZone or the adjustments address
+ */
+function attachEnergyEstimate(results, windows, adjustments = {}) {
+    try {
+        results.energy = estimateProjectEnergySavings(windows, {
+            climateZone: adjustments.climateZone || findClimateZone(adjustments.address),
+            baseline: adjustments.energyBaseline,
+            cost: results.adjustments ? results.adjustments.grandTotal : results.totalProject
+        });
+    } catch (error) {
+        // Options without performance data still get a price
+        console.error("Energy estimate error:", error);
+        results.energy = null;
+    }
+}
+
+/**
+ * Attach margin to priced results and enforce the margin floor
+ * Prices below the floor throw with a 'price' violation when the policy blocks them,
+ * otherwise they are flagged with marginWarning. The blocked results ride on the error as
+ * blockedResults, for callers that check the floor against their own adjusted total
+ */
+function applyMarginFloor(results, getMargin) {
+    let margin;
+    
+    try {
+        margin = getMargin();
+    } catch (error) {
+        // Missing cost data leaves the price without a margin rather than failing it
+        console.error("Margin calculation error:", error);
+        results.margin = null;
+        return;
+    }
+    
+    results.margin = margin;
+    
+    const floorViolation = checkMarginFloor(margin);
+    
+    if (!floorViolation) {
+        return;
+    }
+    
+    if (floorViolation.blocked) {
+        const error = new Error(floorViolation.message);
+        error.violations = [{
+            field: 'price',
+            limit: 'floorMargin',
+            limitValue: floorViolation.floorMargin,
+            value: margin.grossMargin,
+            message: floorViolation.message
+        }];
+        error.blockedResults = results;
+        throw error;
+    }
+    
+    results.marginWarning = floorViolation.message;
+}
+
+/**
+ * Get the selling price margins are measured against: the adjusted total before tax,
+ * or the project total when there are no adjustments
+ */
+function getSellingPrice(results) {
+    if (!results.adjustments) {
+        return results.totalProject;
+    }
+    
+    return results.adjustments.grandTotal - results.adjustments.taxAmount;
+}
+
+/**
+ * Price one window through the price cache
+ */
+async function requestCachedPrice(requestData, matrix) {
+    const backend = getPricingBackend();
+    const cacheKey = createPriceCacheKey(requestData, backend.id, matrix ? getPriceBookVersion(matrix) : undefined);
+    const cached = getCachedPrice(cacheKey);
+    
+    if (cached) {
+        return cached;
+    }
+    
+    const response = await backend.calculatePrice(requestData, matrix);
+    setCachedPrice(cacheKey, response);
+    
+    return response;
 }
 
 /**
- * Handle OAuth callback and store token
+ * Price several windows through the price cache
+ * Only the windows that aren't cached are sent to the backend, in one request
  */
-export function handleOAuthCallback(token) {
-    if (token) {
-        wixStorage.local.setItem('googleOAuthToken', token);
-        return { authStatus: 'authenticated' };
-    } else {
-        return { authStatus: 'auth-failed' };
+async function requestCachedProjectPrice(lineRequests, matrix) {
+    const backend = getPricingBackend();
+    const priceBookVersion = matrix ? getPriceBookVersion(matrix) : undefined;
+    const cacheKeys = lineRequests.map(requestData => createPriceCacheKey(requestData, backend.id, priceBookVersion));
+    const responses = cacheKeys.map(cacheKey => getCachedPrice(cacheKey));
+    const missing = lineRequests.filter((requestData, index) => !responses[index]);
+    
+    if (missing.length > 0) {
+        const response = await backend.calculateProjectPrice({
+            action: "calculateProjectPrice",
+            lineItems: missing
+        }, matrix);
+        
+        if (!response || !response.success) {
+            return response;
+        }
+        
+        missing.forEach((requestData, index) => {
+            const lineIndex = lineRequests.indexOf(requestData);
+            responses[lineIndex] = response.lines[index];
+            setCachedPrice(cacheKeys[lineIndex], response.lines[index]);
+        });
     }
+    
+    return { success: true, lines: responses };
 }
 
 /**
- * Log out and clear OAuth token
+ * Validate measurements and build the pricing request for one window
  */
-export function logout() {
-    wixStorage.local.removeItem('googleOAuthToken');
-    return { authStatus: 'not-authenticated' };
+function buildPriceRequest(measurements, options) {
+    const shape = options.shape || "rectangle";
+    const windowOptions = {
+        // Shaped windows are the workbook's Custom Shapes (CS) type
+        windowType: shape === "rectangle" ? options.windowType || "double-hung" : "custom",
+        shape,
+        material: options.material || "vinyl",
+        glassType: options.glassType || "double-pane",
+        gridPattern: options.gridPattern || "none",
+        gridPlacement: options.gridPlacement || "between-glass",
+        mullConfiguration: options.mullConfiguration || "single",
+        jambDepth: options.jambDepth || null,
+        ...getLaborOptions(options)
+    };
+    
+    // Validate measurements against the size rules for these options
+    const violations = validateMeasurements(measurements, windowOptions);
+    
+    if (violations.length > 0) {
+        const error = new Error(violations.map(violation => violation.message).join('; '));
+        error.violations = violations;
+        throw error;
+    }
+    
+    const { width, height, unitedInches, ...shapeGeometry } = measureWindow(measurements, shape);
+    const uiBracket = findUIBracket(unitedInches, windowOptions.windowType);
+    
+    return {
+        action: "calculatePrice",
+        measurements: {
+            width,
+            height,
+            quantity: measurements.quantity || 1,
+            unitedInches,
+            ...shapeGeometry
+        },
+        options: windowOptions,
+        uiBracket
+    };
+}
+
+/**
+ * Measure a window in inches: the width and height of its bounding box and its united inches.
+ * Shaped windows also get their shape params, area (ft²) and perimeter, and are priced on
+ * the united inches of the square window with the same area
+ */
+function measureWindow(measurements, shape) {
+    if (shape === "rectangle") {
+        const width = parseMeasurement(measurements.width, measurements.unit);
+        const height = parseMeasurement(measurements.height, measurements.unit);
+        
+        // Price by united inches (width + height), the way reps quote on site
+        return { width, height, unitedInches: calculateUnitedInches(width, height) };
+    }
+    
+    const shapeParams = readShapeParams(shape, measurements);
+    const geometry = getShapeGeometry(shape, shapeParams);
+    
+    return {
+        width: geometry.width,
+        height: geometry.height,
+        unitedInches: geometry.unitedInches,
+        shapeParams,
+        area: geometry.area,
+        perimeter: geometry.perimeter
+    };
+}
+
+/**
+ * Shape a backend price response into calculator results
+ * Add-ons (grids, mulls, jamb extensions) are priced here and itemized on top of the backend price,
+ * unless the backend itemized them itself (response.addOns), in which case its price already includes them.
+ * Labor is the backend's own (itemized, or its estimatedInstallation) and comes from the labor
+ * pricing module only when the backend has none; laborPlaceholder flags labor priced from placeholder
+ * rates. It is kept apart from material in priceLines. The trace continues the backend's own trace (or starts
+ * from its price when it has none) with the add-ons and labor
+ */
+function formatPriceResults(response, requestData, matrix) {
+    const { uiBracket } = requestData;
+    const quantity = requestData.measurements.quantity;
+    const backendAddOns = Array.isArray(response.addOns);
+    const addOns = backendAddOns ?
+        { items: response.addOns, pricePerWindow: 0, totalPrice: 0 } :
+        priceAddOns(requestData.options, requestData.measurements);
+    const labor = response.labor || (typeof response.estimatedInstallation === "number" ?
+        createBackendLabor(requestData, response.estimatedInstallation) :
+        priceLabor(requestData, matrix));
+    const totalPrice = roundCurrency(response.totalPrice + addOns.totalPrice);
+    
+    const backendTrace = response.trace || appendTraceSteps([], [{
+        type: 'baseline',
+        label: `${requestData.options.windowType} price from the pricing backend`,
+        rule: `$${response.basePrice.toFixed(2)} base + $${response.optionsPrice.toFixed(2)} options, × ${quantity}`,
+        amount: response.totalPrice
+    }]);
+    
+    return {
+        basePrice: response.basePrice,
+        optionsPrice: roundCurrency(response.optionsPrice + addOns.pricePerWindow),
+        totalPrice,
+        pricePerWindow: roundCurrency(response.pricePerWindow + addOns.pricePerWindow),
+        estimatedInstallation: labor.total,
+        materialPrice: totalPrice,
+        laborPrice: labor.total,
+        labor,
+        laborPlaceholder: Boolean(labor.placeholder),
+        priceLines: [
+            { type: 'material', label: 'Material', amount: totalPrice },
+            { type: 'labor', label: 'Labor', amount: labor.total }
+        ],
+        totalProject: roundCurrency(totalPrice + labor.total),
+        trace: appendTraceSteps(backendTrace, [
+            ...(backendAddOns ? [] : traceAddOns(addOns.items, quantity)),
+            traceLabor(labor)
+        ]),
+        addOns: addOns.items,
+        priceBookVersion: response.priceBookVersion || null,
+        unitedInches: requestData.measurements.unitedInches,
+        uiBracket: {
+            id: uiBracket.id,
+            label: uiBracket.label,
+            minUI: uiBracket.minUI,
+            maxUI: uiBracket.maxUI
+        }
+    };
+}
+
+/**
+ * Validate window measurements against the size rules for the window's options
+ * Width and height may be numbers or field notation such as "35 1/2" or "3' 4\""
+ * Shaped windows are checked against their shape's limits, then their bounding box against the size rules
+ * Returns field-level violations; an empty list means the measurements are valid
+ */
+function validateMeasurements(measurements, options) {
+    if (options.shape !== "rectangle") {
+        const shapeParams = readShapeParams(options.shape, measurements);
+        const shapeViolations = validateShape(options.shape, shapeParams);
+        
+        if (shapeViolations.length > 0) {
+            return shapeViolations;
+        }
+        
+        return checkWindowSize(getShapeGeometry(options.shape, shapeParams), options);
+    }
+    
+    const width = parseMeasurement(measurements.width, measurements.unit);
+    const height = parseMeasurement(measurements.height, measurements.unit);
+    const violations = [];
+    
+    // Check if values are parseable before checking them against the rules
+    if (width === null || width <= 0) {
+        violations.push({ field: 'width', message: `Width "${measurements.width}" is not a valid measurement` });
+    }
+    
+    if (height === null || height <= 0) {
+        violations.push({ field: 'height', message: `Height "${measurements.height}" is not a valid measurement` });
+    }
+    
+    if (violations.length > 0) {
+        return violations;
+    }
+    
+    return checkWindowSize({ width, height }, options);
 }
 
 /**
- * Save quote to Google Sheets
+ * Save quote through the sync outbox
+ * Results may come from calculatePrice, calculateProjectPrice, calculateAssemblyPrice or
+ * calculatePackagePrices; their price trace is saved with the quote as readable text
+ * If the backend can't be reached the quote stays queued and is retried in the background;
+ * the response then has syncStatus 'pending' instead of a quoteId
  */
 export async function saveQuote(customerInfo, measurements, options, results) {
     if (!results) {
@@ -207,10 +803,12 @@ export async function saveQuote(customerInfo, measurements, options, results) {
             customerInfo: customerInfo,
             measurements: measurements,
             options: options,
-            results: results
+            results: results,
+            // Readable audit trail of how the price was reached
+            priceTrace: results.trace ? describeTrace(results.trace) : []
         };
         
-        const response = await callGoogleSheetsAPI(requestData);
+        const response = await enqueueWrite("saveQuote", requestData);
         return response;
     } catch (error) {
         console.error("Save quote error:", error);
@@ -0,0 +1,156 @@
+// Window Manufacturability Rules for Warnke Windows WindowVisor Dashboard
+// This file defines size constraints by window type, material and glass and checks measurements against them
+
+// Size rules; a rule applies when every key it sets (windowType, material, glassType) matches.
+// Matching rules are merged from least to most specific, so later, narrower rules win.
+// Widths and heights are inches, area is square feet, aspect ratio is width ÷ height.
+export const WINDOW_SIZE_RULES = [
+  { minWidth: 12, maxWidth: 120, minHeight: 12, maxHeight: 120 },
+
+  { windowType: 'double-hung', minWidth: 18, maxWidth: 48, minHeight: 24, maxHeight: 84 },
+  { windowType: 'single-hung', minWidth: 18, maxWidth: 48, minHeight: 24, maxHeight: 84 },
+  { windowType: 'casement', minWidth: 14, maxWidth: 40, minHeight: 18, maxHeight: 80 },
+  { windowType: 'casement', material: 'vinyl', maxWidth: 36, maxHeight: 72 },
+  { windowType: 'awning', minWidth: 18, maxWidth: 48, minHeight: 14, maxHeight: 36 },
+  { windowType: 'awning', material: 'vinyl', maxWidth: 44, maxHeight: 32 },
+  { windowType: 'hopper', minWidth: 16, maxWidth: 48, minHeight: 12, maxHeight: 30 },
+  { windowType: 'slider', minWidth: 24, maxWidth: 84, minHeight: 12, maxHeight: 60, minAspectRatio: 1, maxAspectRatio: 4 },
+  { windowType: 'picture', maxWidth: 120, maxHeight: 96, maxArea: 50 },
+  { windowType: 'picture', material: 'vinyl', maxWidth: 96, maxArea: 40 },
+  { windowType: 'bay', minWidth: 48, maxWidth: 120, minHeight: 24, maxHeight: 84 },
+  { windowType: 'bow', minWidth: 60, maxWidth: 120, minHeight: 24, maxHeight: 84 },
+  { windowType: 'garden', minWidth: 24, maxWidth: 72, minHeight: 24, maxHeight: 60 },
+  // Shaped windows are held to their shape's own minimums (window-shapes.js), e.g. a low eyebrow arch
+  { windowType: 'custom', minHeight: 4 },
+
+  // Heavier glass packages limit the size of a single sash or lite
+  { glassType: 'triple-pane', maxArea: 35 },
+  { glassType: 'impact-resistant', maxArea: 30 }
+];
+
+// Limit keys and how they are checked
+const LIMIT_CHECKS = [
+  { key: 'minWidth', field: 'width', label: 'min width', unit: 'in', fails: (value, limit) => value < limit },
+  { key: 'maxWidth', field: 'width', label: 'max width', unit: 'in', fails: (value, limit) => value > limit },
+  { key: 'minHeight', field: 'height', label: 'min height', unit: 'in', fails: (value, limit) => value < limit },
+  { key: 'maxHeight', field: 'height', label: 'max height', unit: 'in', fails: (value, limit) => value > limit },
+  { key: 'maxArea', field: 'area', label: 'max area', unit: ' sq ft', fails: (value, limit) => value > limit },
+  { key: 'minAspectRatio', field: 'aspectRatio', label: 'min width-to-height ratio', unit: '', fails: (value, limit) => value < limit },
+  { key: 'maxAspectRatio', field: 'aspectRatio', label: 'max width-to-height ratio', unit: '', fails: (value, limit) => value > limit }
+];
+
+/**
+ * Get the size limits that apply to a window
+ * @param {Object} options - windowType, material and glassType
+ * @param {Array} rules - Size rules
+ * @returns {Object} - Limits keyed by limit name, each with the rule that set it
+ */
+export function getSizeLimits(options, rules = WINDOW_SIZE_RULES) {
+  const limits = {};
+
+  rules
+    .filter(rule => ruleMatches(rule, options))
+    .sort((a, b) => getSpecificity(a) - getSpecificity(b))
+    .forEach(rule => {
+      LIMIT_CHECKS.forEach(({ key }) => {
+        if (typeof rule[key] === 'number') {
+          limits[key] = { value: rule[key], rule };
+        }
+      });
+    });
+
+  return limits;
+}
+
+/**
+ * Check a window's size against the rules for its type, material and glass
+ * @param {Object} size - Width and height in inches
+ * @param {Object} options - windowType, material and glassType
+ * @param {Array} rules - Size rules
+ * @returns {Array} - Violations, each with field, limit, value and message
+ */
+export function checkWindowSize(size, options, rules = WINDOW_SIZE_RULES) {
+  const { width, height } = size;
+  const limits = getSizeLimits(options, rules);
+
+  const values = {
+    width,
+    height,
+    area: (width * height) / 144,
+    aspectRatio: width / height
+  };
+
+  const violations = [];
+
+  LIMIT_CHECKS.forEach(check => {
+    const limit = limits[check.key];
+    const value = values[check.field];
+
+    if (limit && check.fails(value, limit.value)) {
+      violations.push({
+        field: check.field,
+        limit: check.key,
+        limitValue: limit.value,
+        value: Math.round(value * 100) / 100,
+        message: `${describeRule(limit.rule)} ${check.label} ${limit.value}${check.unit}${describeRuleScope(limit.rule)}`
+      });
+    }
+  });
+
+  return violations;
+}
+
+/**
+ * Check whether a rule applies to a window's options
+ * @param {Object} rule - Size rule
+ * @param {Object} options - windowType, material and glassType
+ * @returns {boolean} - Whether the rule applies
+ */
+function ruleMatches(rule, options) {
+  return ['windowType', 'material', 'glassType'].every(key => !rule[key] || rule[key] === options[key]);
+}
+
+/**
+ * Rank rules so narrower rules override broader ones
+ * @param {Object} rule - Size rule
+ * @returns {number} - Specificity
+ */
+function getSpecificity(rule) {
+  return (rule.windowType ? 1 : 0) + (rule.material ? 2 : 0) + (rule.glassType ? 4 : 0);
+}
+
+/**
+ * Describe what a rule applies to, e.g. "casement" or "triple-pane glass"
+ * @param {Object} rule - Size rule
+ * @returns {string} - Rule subject
+ */
+function describeRule(rule) {
+  if (rule.windowType) {
+    return rule.windowType;
+  }
+
+  if (rule.glassType) {
+    return `${rule.glassType} glass`;
+  }
+
+  return 'window';
+}
+
+/**
+ * Describe the material/glass a type rule is restricted to, e.g. " for vinyl"
+ * @param {Object} rule - Size rule
+ * @returns {string} - Rule scope
+ */
+function describeRuleScope(rule) {
+  const scope = [];
+
+  if (rule.material) {
+    scope.push(rule.material);
+  }
+
+  if (rule.glassType && rule.windowType) {
+    scope.push(`${rule.glassType} glass`);
+  }
+
+  return scope.length > 0 ? ` for ${scope.join(' with ')}` : '';
+}
@@ -0,0 +1,341 @@
+// Window Shapes for Warnke Windows WindowVisor Dashboard
+// This file defines custom window shapes: their parameters, size limits, area and perimeter
+// for pricing, and the outline the visualizer draws
+
+import { parseMeasurement } from './measurement-utils';
+
+// Line segments used to draw a quarter circle
+const ARC_SEGMENTS = 12;
+
+// Shape definitions
+//   params   - measurements the shape is sized by ({ key, label, choices } for non-measurements)
+//   limits   - size limits in inches, by param
+//   example  - typical proportions, used when only the bounding box is known (e.g. the visualizer)
+//   bounds, area (in²), perimeter (in) and outline (points, inches from the top-left corner)
+//   are computed from the params; check returns violations beyond the per-param limits
+export const WINDOW_SHAPES = {
+  'rectangle': {
+    label: 'Rectangle',
+    params: [
+      { key: 'width', label: 'Width' },
+      { key: 'height', label: 'Height' }
+    ],
+    limits: {},
+    example: { width: 36, height: 48 },
+    bounds: ({ width, height }) => ({ width, height }),
+    area: ({ width, height }) => width * height,
+    perimeter: ({ width, height }) => 2 * (width + height),
+    outline: ({ width, height }) => [[0, 0], [width, 0], [width, height], [0, height]],
+    check: () => []
+  },
+  'half-round': {
+    label: 'Half-Round',
+    params: [
+      { key: 'width', label: 'Width' },
+      { key: 'legHeight', label: 'Leg height', optional: true }
+    ],
+    limits: { width: { min: 12, max: 96 }, legHeight: { min: 0, max: 24 } },
+    example: { width: 48, legHeight: 0 },
+    bounds: ({ width, legHeight }) => ({ width, height: width / 2 + legHeight }),
+    area: ({ width, legHeight }) => Math.PI * Math.pow(width / 2, 2) / 2 + width * legHeight,
+    perimeter: ({ width, legHeight }) => Math.PI * width / 2 + width + 2 * legHeight,
+    outline: ({ width, legHeight }) => [
+      ...arcPoints(width / 2, width / 2, width / 2, Math.PI, 2 * Math.PI),
+      [width, width / 2 + legHeight],
+      [0, width / 2 + legHeight]
+    ],
+    check: () => []
+  },
+  'eyebrow': {
+    label: 'Eyebrow',
+    params: [
+      { key: 'width', label: 'Width' },
+      { key: 'height', label: 'Arch rise' },
+      { key: 'legHeight', label: 'Leg height', optional: true }
+    ],
+    limits: { width: { min: 24, max: 120 }, height: { min: 4 }, legHeight: { min: 0, max: 24 } },
+    example: { width: 60, height: 15, legHeight: 0 },
+    bounds: ({ width, height, legHeight }) => ({ width, height: height + legHeight }),
+    area: ({ width, height, legHeight }) => {
+      const radius = getArchRadius(width, height);
+      const segment = Math.pow(radius, 2) * Math.acos((radius - height) / radius) -
+        (radius - height) * Math.sqrt(2 * radius * height - Math.pow(height, 2));
+      return segment + width * legHeight;
+    },
+    perimeter: ({ width, height, legHeight }) => {
+      const radius = getArchRadius(width, height);
+      return 2 * radius * Math.asin(width / (2 * radius)) + width + 2 * legHeight;
+    },
+    outline: ({ width, height, legHeight }) => {
+      const radius = getArchRadius(width, height);
+      const halfAngle = Math.asin(width / (2 * radius));
+      return [
+        ...arcPoints(width / 2, radius, radius, -Math.PI / 2 - halfAngle, -Math.PI / 2 + halfAngle),
+        [width, height + legHeight],
+        [0, height + legHeight]
+      ];
+    },
+    check: ({ width, height }) => (height >= width / 2 ? [{
+      field: 'height',
+      limit: 'maxRise',
+      limitValue: width / 2,
+      value: height,
+      message: 'Eyebrow arch rise must be less than half the width (use a half-round)'
+    }] : [])
+  },
+  'quarter-round': {
+    label: 'Quarter-Round',
+    params: [
+      { key: 'width', label: 'Radius' },
+      { key: 'direction', label: 'Straight side', choices: ['left', 'right'], optional: true }
+    ],
+    limits: { width: { min: 12, max: 48 } },
+    example: { width: 24, direction: 'left' },
+    bounds: ({ width }) => ({ width, height: width }),
+    area: ({ width }) => Math.PI * Math.pow(width, 2) / 4,
+    perimeter: ({ width }) => Math.PI * width / 2 + 2 * width,
+    outline: ({ width, direction }) => mirror([
+      ...arcPoints(0, width, width, -Math.PI / 2, 0),
+      [0, width]
+    ], width, direction === 'right'),
+    check: () => []
+  },
+  'trapezoid': {
+    label: 'Trapezoid',
+    params: [
+      { key: 'width', label: 'Width' },
+      { key: 'height', label: 'Tall side' },
+      { key: 'shortHeight', label: 'Short side' },
+      { key: 'direction', label: 'Tall side', choices: ['left', 'right'], optional: true }
+    ],
+    limits: { width: { min: 12, max: 96 }, height: { min: 12, max: 96 }, shortHeight: { min: 6 } },
+    example: { width: 36, height: 48, shortHeight: 24, direction: 'left' },
+    bounds: ({ width, height }) => ({ width, height }),
+    area: ({ width, height, shortHeight }) => width * (height + shortHeight) / 2,
+    perimeter: ({ width, height, shortHeight }) => {
+      return width + height + shortHeight + Math.sqrt(Math.pow(width, 2) + Math.pow(height - shortHeight, 2));
+    },
+    outline: ({ width, height, shortHeight, direction }) => mirror([
+      [0, 0],
+      [width, height - shortHeight],
+      [width, height],
+      [0, height]
+    ], width, direction === 'right'),
+    check: ({ height, shortHeight }) => (shortHeight >= height ? [{
+      field: 'shortHeight',
+      limit: 'maxShortHeight',
+      limitValue: height,
+      value: shortHeight,
+      message: 'Trapezoid short side must be shorter than the tall side'
+    }] : [])
+  },
+  'octagon': {
+    label: 'Octagon',
+    params: [
+      { key: 'width', label: 'Width' }
+    ],
+    limits: { width: { min: 12, max: 48 } },
+    example: { width: 24 },
+    bounds: ({ width }) => ({ width, height: width }),
+    area: ({ width }) => 2 * (1 + Math.SQRT2) * Math.pow(getOctagonSide(width), 2),
+    perimeter: ({ width }) => 8 * getOctagonSide(width),
+    outline: ({ width }) => {
+      const side = getOctagonSide(width);
+      const corner = (width - side) / 2;
+      return [
+        [corner, 0], [corner + side, 0], [width, corner], [width, corner + side],
+        [corner + side, width], [corner, width], [0, corner + side], [0, corner]
+      ];
+    },
+    check: () => []
+  },
+  'circle': {
+    label: 'Circle',
+    params: [
+      { key: 'width', label: 'Diameter' }
+    ],
+    limits: { width: { min: 12, max: 60 } },
+    example: { width: 30 },
+    bounds: ({ width }) => ({ width, height: width }),
+    area: ({ width }) => Math.PI * Math.pow(width, 2) / 4,
+    perimeter: ({ width }) => Math.PI * width,
+    outline: ({ width }) => arcPoints(width / 2, width / 2, width / 2, 0, 2 * Math.PI).slice(0, -1),
+    check: () => []
+  }
+};
+
+/**
+ * Read a shape's params from window measurements
+ * @param {string} shape - Shape ID
+ * @param {Object} measurements - Shape params (numbers or field notation) and unit
+ * @returns {Object} - Params in inches; measurements that can't be parsed are null
+ */
+export function readShapeParams(shape, measurements) {
+  const definition = getShapeDefinition(shape);
+  const params = {};
+
+  definition.params.forEach(param => {
+    const value = measurements[param.key];
+
+    if (param.choices) {
+      params[param.key] = param.choices.includes(value) ? value : param.choices[0];
+    } else if (param.optional && (value === undefined || value === null || value === '')) {
+      params[param.key] = 0;
+    } else {
+      params[param.key] = parseMeasurement(value, measurements.unit);
+    }
+  });
+
+  return params;
+}
+
+/**
+ * Validate a shape's params
+ * @param {string} shape - Shape ID
+ * @param {Object} params - Params in inches (from readShapeParams)
+ * @returns {Array} - Violations, each with field, limit, value and message
+ */
+export function validateShape(shape, params) {
+  const definition = getShapeDefinition(shape);
+  const violations = [];
+
+  definition.params.filter(param => !param.choices).forEach(param => {
+    const value = params[param.key];
+    const limits = definition.limits[param.key] || {};
+
+    if (value === null || value < 0 || (value === 0 && !param.optional)) {
+      violations.push({ field: param.key, message: `${param.label} is not a valid measurement` });
+    } else if (typeof limits.min === 'number' && value < limits.min) {
+      violations.push(createLimitViolation(definition, param, 'min', limits.min, value));
+    } else if (typeof limits.max === 'number' && value > limits.max) {
+      violations.push(createLimitViolation(definition, param, 'max', limits.max, value));
+    }
+  });
+
+  return violations.length > 0 ? violations : definition.check(params);
+}
+
+/**
+ * Get a shape's bounding box, area and perimeter
+ * United inches are width + height for a rectangle; other shapes are priced as the square window
+ * of the same area, so a shape is priced on the glass it holds rather than on its outline
+ * @param {string} shape - Shape ID
+ * @param {Object} params - Params in inches
+ * @returns {Object} - width and height (inches), area (ft²), perimeter (inches) and unitedInches
+ */
+export function getShapeGeometry(shape, params) {
+  const definition = getShapeDefinition(shape);
+  const bounds = definition.bounds(params);
+  const area = definition.area(params);
+  const perimeter = definition.perimeter(params);
+
+  return {
+    width: bounds.width,
+    height: bounds.height,
+    area: Math.round(area / 144 * 100) / 100,
+    perimeter: Math.round(perimeter * 100) / 100,
+    unitedInches: definition === WINDOW_SHAPES.rectangle ?
+      Math.ceil(bounds.width + bounds.height) :
+      Math.ceil(2 * Math.sqrt(area))
+  };
+}
+
+/**
+ * Get the outline of a shape for drawing
+ * @param {string} shape - Shape ID
+ * @param {Object} params - Params in inches (defaults to the shape's example proportions)
+ * @returns {Object} - width, height and points ([x, y] in inches from the top-left corner)
+ */
+export function getShapeOutline(shape, params) {
+  const definition = getShapeDefinition(shape);
+  const shapeParams = params || definition.example;
+  const bounds = definition.bounds(shapeParams);
+
+  return {
+    width: bounds.width,
+    height: bounds.height,
+    points: definition.outline(shapeParams)
+  };
+}
+
+/**
+ * Look up a shape definition
+ * @param {string} shape - Shape ID
+ * @returns {Object} - Shape definition
+ */
+function getShapeDefinition(shape) {
+  const definition = WINDOW_SHAPES[shape || 'rectangle'];
+
+  if (!definition) {
+    throw new Error(`Unknown window shape "${shape}"`);
+  }
+
+  return definition;
+}
+
+/**
+ * Build a size limit violation
+ * @param {Object} definition - Shape definition
+ * @param {Object} param - Param definition
+ * @param {string} bound - 'min' or 'max'
+ * @param {number} limitValue - Limit in inches
+ * @param {number} value - Measured value in inches
+ * @returns {Object} - Violation
+ */
+function createLimitViolation(definition, param, bound, limitValue, value) {
+  return {
+    field: param.key,
+    limit: `${bound}${param.key.charAt(0).toUpperCase()}${param.key.slice(1)}`,
+    limitValue,
+    value,
+    message: `${definition.label} ${bound} ${param.label.toLowerCase()} ${limitValue}in`
+  };
+}
+
+/**
+ * Points along a circular arc
+ * @param {number} centerX - Center x
+ * @param {number} centerY - Center y (canvas orientation, y down)
+ * @param {number} radius - Radius
+ * @param {number} start - Start angle in radians
+ * @param {number} end - End angle in radians
+ * @returns {Array} - [x, y] points from start to end
+ */
+function arcPoints(centerX, centerY, radius, start, end) {
+  const segments = Math.max(2, Math.ceil(Math.abs(end - start) / (Math.PI / 2) * ARC_SEGMENTS));
+
+  return Array.from({ length: segments + 1 }, (value, index) => {
+    const angle = start + (end - start) * index / segments;
+    return [centerX + radius * Math.cos(angle), centerY + radius * Math.sin(angle)];
+  });
+}
+
+/**
+ * Mirror points left to right within a width
+ * @param {Array} points - [x, y] points
+ * @param {number} width - Width to mirror within
+ * @param {boolean} flip - Whether to mirror
+ * @returns {Array} - Points
+ */
+function mirror(points, width, flip) {
+  return flip ? points.map(([x, y]) => [width - x, y]) : points;
+}
+
+/**
+ * Radius of the circle an arch of a given width and rise is cut from
+ * @param {number} width - Chord width
+ * @param {number} rise - Arch rise
+ * @returns {number} - Radius
+ */
+function getArchRadius(width, rise) {
+  return (Math.pow(rise, 2) + Math.pow(width / 2, 2)) / (2 * rise);
+}
+
+/**
+ * Side length of a regular octagon
+ * @param {number} width - Width across flats
+ * @returns {number} - Side length
+ */
+function getOctagonSide(width) {
+  return width / (1 + Math.SQRT2);
+}
@@ -5,8 +5,82 @@ import React, { useState, useEffect, useRef } from 'react';
 import { 
   getVisualizationDetails, 
   getWarnkeProducts,
-  saveVisualization
+  saveVisualization,
+  priceVisualizedWindow
 } from '../backend/visualizationManager';
+import { getGridPrice } from '../add-on-pricing';
+import { WINDOW_SHAPES, readShapeParams, validateShape, getShapeOutline } from '../window-shapes';
+import { extractItemAttributes } from '../quote-item-attributes';
+import { roundCurrency } from '../currency-utils';
+
+/**
+ * Get a placed window's size in inches
+ * Windows placed before sizes were entered use their shape's example size
+ * @param {Object} window - Placed window
+ * @returns {Object} - Shape params (width, height, ...) in inches
+ */
+function getWindowMeasurements(window) {
+  const shape = (window.options && window.options.shape) || 'rectangle';
+  return window.measurements || { ...WINDOW_SHAPES[shape].example };
+}
+
+/**
+ * Get a placed window's shape params for drawing
+ * Sizes that aren't valid yet (e.g. while they're being typed) draw at the shape's example proportions
+ * @param {Object} window - Placed window
+ * @returns {Object} - Shape params in inches
+ */
+function getWindowShapeParams(window) {
+  const shape = (window.options && window.options.shape) || 'rectangle';
+  const params = readShapeParams(shape, getWindowMeasurements(window));
+  
+  return validateShape(shape, params).length === 0 ? params : WINDOW_SHAPES[shape].example;
+}
+
+/**
+ * Get calculator options for a placed window
+ * @param {Object} options - Placed window options
+ * @param {Object} product - The window's Warnke product
+ * @returns {Object} - Calculator options
+ */
+function getCalculatorOptions(options, product) {
+  const attributes = product ? extractItemAttributes(product.productName) : {};
+  
+  return {
+    windowType: attributes.windowType,
+    material: options.frameMaterial,
+    glassType: options.glassType,
+    gridPattern: options.gridPattern,
+    shape: options.shape
+  };
+}
+
+/**
+ * Trace a placed window's shape as the current canvas path
+ * The shape's outline is stretched to the window's box, less an inset on every side
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} window - Placed window (x, y, width, height, options.shape and measurements)
+ * @param {number} inset - Pixels to shrink the box by on each side (e.g. the frame)
+ */
+function traceWindowShape(ctx, window, inset = 0) {
+  const shape = (window.options && window.options.shape) || 'rectangle';
+  const outline = getShapeOutline(shape, getWindowShapeParams(window));
+  const scaleX = (window.width - inset * 2) / outline.width;
+  const scaleY = (window.height - inset * 2) / outline.height;
+  
+  ctx.beginPath();
+  outline.points.forEach(([pointX, pointY], index) => {
+    const canvasX = window.x + inset + pointX * scaleX;
+    const canvasY = window.y + inset + pointY * scaleY;
+    
+    if (index === 0) {
+      ctx.moveTo(canvasX, canvasY);
+    } else {
+      ctx.lineTo(canvasX, canvasY);
+    }
+  });
+  ctx.closePath();
+}
 
 export function WindowVisualizer({ 
   visualizationId, 
@@ -28,6 +102,7 @@ export function WindowVisualizer({
   const [frameColor, setFrameColor] = useState('white');
   const [glassType, setGlassType] = useState('double-pane');
   const [gridPattern, setGridPattern] = useState('none');
+  const [shape, setShape] = useState('rectangle');
   
   // Canvas references
   const canvasRef = useRef(null);
@@ -38,10 +113,18 @@ export function WindowVisualizer({
   const [placedWindows, setPlacedWindows] = useState([]);
   const [activeWindowIndex, setActiveWindowIndex] = useState(-1);
   
+  // Price of the selected window, from the window calculator under the price book in effect
+  const [windowPrice, setWindowPrice] = useState(null);
+  const priceRequestRef = useRef(0);
+  
   useEffect(() => {
     loadData();
   }, [visualizationId]);
   
+  useEffect(() => {
+    priceActiveWindow();
+  }, [activeWindowIndex, placedWindows, products]);
+  
   const loadData = async () => {
     try {
       setIsLoading(true);
@@ -78,6 +161,7 @@ export function WindowVisualizer({
           setFrameColor(firstWindow.options.frameColor || 'white');
           setGlassType(firstWindow.options.glassType || 'double-pane');
           setGridPattern(firstWindow.options.gridPattern || 'none');
+          setShape(firstWindow.options.shape || 'rectangle');
         }
       } else if (productsData.length > 0) {
         // Set default product
@@ -96,6 +180,29 @@ export function WindowVisualizer({
     }
   };
   
+  const priceActiveWindow = async () => {
+    const window = placedWindows[activeWindowIndex];
+    const requestId = priceRequestRef.current + 1;
+    priceRequestRef.current = requestId;
+    
+    if (!window) {
+      setWindowPrice(null);
+      return;
+    }
+    
+    const product = products.find(p => p.productId === window.productId);
+    // Priced in the backend, under the price book in effect, so costs and margins stay there
+    const priceState = await priceVisualizedWindow(
+      { ...getWindowMeasurements(window), quantity: 1 },
+      getCalculatorOptions(window.options, product)
+    );
+    
+    // Ignore prices for a selection that has since changed
+    if (priceRequestRef.current === requestId) {
+      setWindowPrice(priceState);
+    }
+  };
+  
   const initCanvas = () => {
     if (!canvasRef.current || !photoRef.current || !visualization) return;
     
@@ -121,20 +228,23 @@ export function WindowVisualizer({
     
     // Draw each window
     placedWindows.forEach((window, index) => {
-      const { x, y, width, height } = window;
-      
       // Draw window frame
+      traceWindowShape(ctx, window);
       ctx.fillStyle = index === activeWindowIndex ? 'rgba(201, 177, 106, 0.4)' : 'rgba(26, 60, 100, 0.4)';
-      ctx.fillRect(x, y, width, height);
+      ctx.fill();
       
       // Draw window border
       ctx.strokeStyle = index === activeWindowIndex ? '#c9b16a' : '#1a3c64';
       ctx.lineWidth = 2;
-      ctx.strokeRect(x, y, width, height);
+      ctx.stroke();
       
-      // If grid pattern is selected, draw grid lines
+      // If grid pattern is selected, draw grid lines inside the shape
       if (window.options && window.options.gridPattern !== 'none') {
+        ctx.save();
+        traceWindowShape(ctx, window);
+        ctx.clip();
         drawGridPattern(ctx, window);
+        ctx.restore();
       }
       
       // Draw resize handles if active
@@ -246,18 +356,22 @@ export function WindowVisualizer({
     const y = event.clientY - rect.top;
     
     if (isPlacingWindow) {
-      // Place a new window
+      // Place a new window, in the shape's proportions
+      const outline = getShapeOutline(shape);
+      const windowHeight = shape === 'rectangle' ? 150 : Math.round(200 * outline.height / outline.width);
       const newWindow = {
         x: x - 100,
-        y: y - 75,
+        y: y - windowHeight / 2,
         width: 200,
-        height: 150,
+        height: windowHeight,
+        measurements: { ...WINDOW_SHAPES[shape].example },
         productId: selectedProduct ? selectedProduct.productId : null,
         options: {
           frameMaterial,
           frameColor,
           glassType,
-          gridPattern
+          gridPattern,
+          shape
         }
       };
       
@@ -321,6 +435,9 @@ export function WindowVisualizer({
       case 'gridPattern':
         setGridPattern(value);
         break;
+      case 'shape':
+        setShape(value);
+        break;
       default:
         break;
     }
@@ -335,11 +452,31 @@ export function WindowVisualizer({
           [option]: value
         }
       };
+      
+      // A new shape is sized by different measurements
+      if (option === 'shape') {
+        updatedWindows[activeWindowIndex].measurements = { ...WINDOW_SHAPES[value].example };
+      }
+      
       setPlacedWindows(updatedWindows);
       drawWindows();
     }
   };
   
+  const handleMeasurementChange = (key, value) => {
+    if (activeWindowIndex < 0) return;
+    
+    const updatedWindows = [...placedWindows];
+    updatedWindows[activeWindowIndex] = {
+      ...updatedWindows[activeWindowIndex],
+      measurements: {
+        ...getWindowMeasurements(updatedWindows[activeWindowIndex]),
+        [key]: value
+      }
+    };
+    setPlacedWindows(updatedWindows);
+  };
+  
   const handleRemoveWindow = () => {
     if (activeWindowIndex < 0) return;
     
@@ -383,16 +520,21 @@ export function WindowVisualizer({
         
         // Draw frame
         const frameWidth = 10;
-        ctx.fillRect(x, y, width, height);
-        ctx.clearRect(x + frameWidth, y + frameWidth, width - frameWidth * 2, height - frameWidth * 2);
+        traceWindowShape(ctx, window);
+        ctx.fill();
+        
+        // Draw glass, clipped to the inside of the frame
+        ctx.save();
+        traceWindowShape(ctx, window, frameWidth);
+        ctx.clip();
+        ctx.clearRect(x, y, width, height);
         
-        // Draw glass
         ctx.fillStyle = options.glassType === 'single-pane' ? 'rgba(200, 200, 255, 0.3)' :
                         options.glassType === 'double-pane' ? 'rgba(180, 180, 230, 0.4)' :
                         options.glassType === 'triple-pane' ? 'rgba(160, 160, 210, 0.5)' :
                         'rgba(180, 180, 230, 0.4)';
         
-        ctx.fillRect(x + frameWidth, y + frameWidth, width - frameWidth * 2, height - frameWidth * 2);
+        ctx.fillRect(x, y, width, height);
         
         // Draw grid pattern if selected
         if (options.gridPattern !== 'none') {
@@ -485,6 +627,8 @@ export function WindowVisualizer({
             ctx.stroke();
           }
         }
+        
+        ctx.restore();
       });
       
       // Convert canvas to data URL
@@ -549,6 +693,11 @@ export function WindowVisualizer({
     );
   }
   
+  const activeWindow = placedWindows[activeWindowIndex];
+  const activeShape = activeWindow ? activeWindow.options.shape || 'rectangle' : shape;
+  const activeMeasurements = activeWindow ? getWindowMeasurements(activeWindow) : {};
+  const activePrice = windowPrice && windowPrice.results;
+  
   return (
     <div className="window-visualizer">
       <div className="section-header">
@@ -681,12 +830,6 @@ export function WindowVisualizer({
           <div className="option-group">
             <h3>Glass Type</h3>
             <div className="option-buttons">
-              <button 
-                className={`option-button ${glassType === 'single-pane' ? 'active' : ''}`}
-                onClick={() => handleOptionChange('glassType', 'single-pane')}
-              >
-                Single Pane
-              </button>
               <button 
                 className={`option-button ${glassType === 'double-pane' ? 'active' : ''}`}
                 onClick={() => handleOptionChange('glassType', 'double-pane')}
@@ -702,6 +845,21 @@ export function WindowVisualizer({
             </div>
           </div>
           
+          <div className="option-group">
+            <h3>Shape</h3>
+            <div className="option-buttons">
+              {Object.keys(WINDOW_SHAPES).map(shapeId => (
+                <button 
+                  key={shapeId}
+                  className={`option-button ${shape === shapeId ? 'active' : ''}`}
+                  onClick={() => handleOptionChange('shape', shapeId)}
+                >
+                  {WINDOW_SHAPES[shapeId].label}
+                </button>
+              ))}
+            </div>
+          </div>
+          
           <div className="option-group">
             <h3>Grid Pattern</h3>
             <div className="option-buttons">
@@ -716,22 +874,86 @@ export function WindowVisualizer({
                 onClick={() => handleOptionChange('gridPattern', 'colonial')}
               >
                 Colonial
+                <span className="option-price">+${getGridPrice('colonial')}</span>
               </button>
               <button 
                 className={`option-button ${gridPattern === 'prairie' ? 'active' : ''}`}
                 onClick={() => handleOptionChange('gridPattern', 'prairie')}
               >
                 Prairie
+                <span className="option-price">+${getGridPrice('prairie')}</span>
               </button>
               <button 
                 className={`option-button ${gridPattern === 'diamond' ? 'active' : ''}`}
                 onClick={() => handleOptionChange('gridPattern', 'diamond')}
               >
                 Diamond
+                <span className="option-price">+${getGridPrice('diamond')}</span>
               </button>
             </div>
           </div>
         </div>
+        
+        {activeWindow && (
+          <div className="window-details">
+            <h3>Selected Window</h3>
+            {WINDOW_SHAPES[activeShape].params.map(param => (
+              <div className="form-group" key={param.key}>
+                <label>{param.label}{param.choices ? '' : ' (in)'}:</label>
+                {param.choices ? (
+                  <select 
+                    value={activeMeasurements[param.key] || param.choices[0]}
+                    onChange={(e) => handleMeasurementChange(param.key, e.target.value)}
+                  >
+                    {param.choices.map(choice => (
+                      <option key={choice} value={choice}>{choice}</option>
+                    ))}
+                  </select>
+                ) : (
+                  <input 
+                    type="text" 
+                    value={activeMeasurements[param.key] === undefined ? '' : activeMeasurements[param.key]}
+                    onChange={(e) => handleMeasurementChange(param.key, e.target.value)}
+                  />
+                )}
+              </div>
+            ))}
+            
+            <div className="window-price">
+              {!windowPrice && <p>Calculating price...</p>}
+              {windowPrice && windowPrice.error && <p className="error-text">{windowPrice.error}</p>}
+              {activePrice && (
+                <table className="price-lines">
+                  <tbody>
+                    <tr>
+                      <td>Window</td>
+                      <td className="price-cell">
+                        ${roundCurrency(activePrice.addOns.reduce(
+                          (total, addOn) => total - addOn.pricePerWindow,
+                          activePrice.pricePerWindow
+                        )).toLocaleString()}
+                      </td>
+                    </tr>
+                    {activePrice.addOns.map(addOn => (
+                      <tr key={addOn.id}>
+                        <td>{addOn.label}</td>
+                        <td className="price-cell">${addOn.pricePerWindow.toLocaleString()}</td>
+                      </tr>
+                    ))}
+                    <tr>
+                      <td>Installation</td>
+                      <td className="price-cell">${activePrice.estimatedInstallation.toLocaleString()}</td>
+                    </tr>
+                    <tr className="total-row">
+                      <td>Total</td>
+                      <td className="price-cell">${activePrice.totalProject.toLocaleString()}</td>
+                    </tr>
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </div>
+        )}
       </div>
       
       <div className="visualization-canvas-container">